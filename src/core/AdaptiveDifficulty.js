@@ -0,0 +1,124 @@
+/**
+ * Difficulty that follows the player's live typing, used by the Adaptive preset
+ *
+ * Watches a rolling window of keystrokes and enemies and keeps the player near a target
+ * success rate - the share of correct keystrokes times the share of enemies stopped
+ * before they got through. Doing better than the target raises the level, doing worse
+ * lowers it, and the level never climbs past what the player's typing speed can keep
+ * up with. The level scales the wave's enemy speed, spawn rate and word length.
+ *
+ * Not to be confused with AdaptiveLevel, which picks the wave settings in Zen mode.
+ */
+export class AdaptiveDifficulty {
+  constructor() {
+    this.minLevel = 0.5;
+    this.maxLevel = 2.5;
+    this.window = 20; // Seconds of play the rolling stats cover
+    this.updateInterval = 2; // Seconds between adjustments
+    this.minKeystrokes = 10; // Keystrokes in the window before adjusting
+    this.targetSuccessRate = 0.85;
+    this.gain = 0.5; // Level change per update for each point of success rate off target
+    this.wpmPerLevel = 30; // Typing speed needed to hold level 1
+    this.burstGap = 1.5; // Longer pauses between keystrokes don't count towards WPM
+    this.wordListsPerLevel = 3; // Word lists (letters) added to words per level above 1
+
+    this.reset();
+  }
+
+  /**
+   * Follow a game core's events
+   * @param {GameCore} core - Game core
+   */
+  attach(core) {
+    core.on('keystroke', ({ correct }) => this.keystrokes.push({ time: core.gameTime, correct }));
+    core.on('enemyDestroyed', () => this.outcomes.push({ time: core.gameTime, stopped: true }));
+    core.on('damage', () => this.outcomes.push({ time: core.gameTime, stopped: false }));
+    core.on('shieldHit', () => this.outcomes.push({ time: core.gameTime, stopped: false }));
+    core.on('enemyRecycled', () => this.outcomes.push({ time: core.gameTime, stopped: false }));
+  }
+
+  /**
+   * Start again from level 1 (called by the core when a run starts)
+   */
+  reset() {
+    this.level = 1;
+    this.peakLevel = 1;
+    this.keystrokes = [];
+    this.outcomes = [];
+    this.nextUpdate = this.updateInterval;
+  }
+
+  /**
+   * Adjust the level if an update is due
+   * @param {number} time - Game time in seconds
+   * @returns {boolean} True if the level changed
+   */
+  update(time) {
+    if (time < this.nextUpdate) return false;
+    this.nextUpdate = time + this.updateInterval;
+
+    this.keystrokes = this.keystrokes.filter(keystroke => keystroke.time > time - this.window);
+    this.outcomes = this.outcomes.filter(outcome => outcome.time > time - this.window);
+    if (this.keystrokes.length < this.minKeystrokes) return false;
+
+    const { wpm, successRate } = this.getRollingStats();
+    const ceiling = Math.max(this.minLevel, wpm / this.wpmPerLevel);
+    const target = this.level + this.gain * (successRate - this.targetSuccessRate);
+    const level = Math.round(Math.min(this.maxLevel, ceiling, Math.max(this.minLevel, target)) * 100) / 100;
+
+    if (level === this.level) return false;
+
+    this.level = level;
+    this.peakLevel = Math.max(this.peakLevel, level);
+    return true;
+  }
+
+  /**
+   * Get the stats over the rolling window
+   * WPM only counts the gaps between correct keystrokes typed in a burst, so it measures
+   * how fast the player types rather than how many words the wave handed out
+   * @returns {{wpm: number, accuracy: number, stopRate: number, successRate: number}} Rolling stats
+   */
+  getRollingStats() {
+    const correct = this.keystrokes.filter(keystroke => keystroke.correct);
+    const accuracy = this.keystrokes.length > 0 ? correct.length / this.keystrokes.length : 1;
+
+    let typingTime = 0;
+    let gaps = 0;
+    for (let i = 1; i < correct.length; i++) {
+      const gap = correct[i].time - correct[i - 1].time;
+      if (gap > 0 && gap <= this.burstGap) {
+        typingTime += gap;
+        gaps++;
+      }
+    }
+    const wpm = typingTime > 0 ? (gaps / 5) / (typingTime / 60) : 0;
+
+    const stopped = this.outcomes.filter(outcome => outcome.stopped).length;
+    const stopRate = this.outcomes.length > 0 ? stopped / this.outcomes.length : 1;
+
+    return { wpm, accuracy, stopRate, successRate: accuracy * stopRate };
+  }
+
+  /**
+   * Scale wave settings by the current level
+   * Word length moves by whole word lists, as the bundled lists each hold one length
+   * @param {Object} settings - Wave settings, already scaled by the preset
+   * @returns {Object} Adjusted copy of the settings
+   */
+  apply(settings) {
+    const lengthChange = Math.round((this.level - 1) * this.wordListsPerLevel);
+    const maxLength = settings.maxLength === null
+      ? null
+      : Math.max(settings.minLength, settings.maxLength + lengthChange);
+
+    return {
+      ...settings,
+      spawnInterval: settings.spawnInterval / this.level,
+      speed: settings.speed * this.level,
+      wordList: Math.max(0, settings.wordList + lengthChange),
+      maxLength,
+      boss: settings.boss && { ...settings.boss, speed: settings.boss.speed * this.level }
+    };
+  }
+}
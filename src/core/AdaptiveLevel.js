@@ -0,0 +1,83 @@
+/**
+ * Difficulty level that follows the player, used by modes without waves
+ * Completed words push the level up, wrong keys and missed enemies pull it down. The
+ * level picks which wave's word settings are used, so words get longer and harder as
+ * the player settles in and ease off again when they struggle.
+ */
+export class AdaptiveLevel {
+  /**
+   * @param {number} maxLevel - Highest level
+   */
+  constructor(maxLevel = 30) {
+    this.maxLevel = maxLevel;
+    this.wordStep = 0.25;
+    this.errorStep = 0.1;
+    this.missStep = 1;
+
+    this.reset();
+  }
+
+  /**
+   * Follow a game core's events
+   * @param {GameCore} core - Game core
+   */
+  attach(core) {
+    core.on('reset', () => this.reset());
+    core.on('keystroke', ({ correct }) => {
+      if (!correct) this.recordError();
+    });
+    core.on('enemyDestroyed', () => this.recordWord());
+    core.on('wordCompleted', () => this.recordWord());
+    core.on('enemyRecycled', () => this.recordMiss());
+  }
+
+  /**
+   * Start again from level 1
+   */
+  reset() {
+    this.value = 1;
+    this.peakLevel = 1;
+    this.wordsTyped = 0;
+    this.wordsMissed = 0;
+  }
+
+  /**
+   * A word was typed in full
+   */
+  recordWord() {
+    this.wordsTyped++;
+    this.adjust(this.wordStep);
+  }
+
+  /**
+   * A wrong key was pressed
+   */
+  recordError() {
+    this.adjust(-this.errorStep);
+  }
+
+  /**
+   * An enemy got past the player
+   */
+  recordMiss() {
+    this.wordsMissed++;
+    this.adjust(-this.missStep);
+  }
+
+  /**
+   * Move the level, keeping it in range
+   * @param {number} amount - Change in level
+   */
+  adjust(amount) {
+    this.value = Math.min(this.maxLevel, Math.max(1, this.value + amount));
+    this.peakLevel = Math.max(this.peakLevel, this.getLevel());
+  }
+
+  /**
+   * Get the current level
+   * @returns {number} Whole level from 1 to maxLevel
+   */
+  getLevel() {
+    return Math.floor(this.value);
+  }
+}
@@ -0,0 +1,86 @@
+import { Enemy } from './Enemy.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Boss - a large ship carrying a whole phrase
+ * The phrase is typed one word at a time: `word` is always the word currently being
+ * typed, so targeting and damage work exactly as for a single-word enemy. Health covers
+ * every letter of the phrase, and the ship is destroyed once its last word is typed.
+ */
+export class Boss extends Enemy {
+  /**
+   * @param {string} phrase - Words separated by spaces
+   * @param {number} x - Spawn X (centre of the sweep)
+   * @param {number} y - Spawn Y
+   * @param {number} speed - Descent speed
+   * @param {Player} player - Player the boss is heading for
+   * @param {Random} rng - Random generator (the game's seeded generator)
+   * @param {number} scoreBonus - Points for destroying the boss
+   * @param {number} damage - Lives lost if the boss reaches the player
+   */
+  constructor(phrase, x, y, speed = 12, player = null, rng = new Random(), scoreBonus = 100, damage = 2) {
+    const words = phrase.split(/\s+/).filter(word => word.length > 0);
+    super(words[0], x, y, speed, player, rng, 'boss');
+
+    this.phrase = words.join(' ');
+    this.words = words;
+    this.wordIndex = 0;
+    this.defeated = false;
+
+    this.health = words.reduce((total, word) => total + word.length, 0);
+    this.maxHealth = this.health;
+    this.scoreBonus = scoreBonus;
+    this.damage = damage;
+    this.size = 45;
+    this.launchInterval = 5; // Seconds between missiles
+
+    // Sweep side to side around the spawn point while descending
+    this.sweepCenter = x;
+    this.sweepAmplitude = Math.max(0, Math.min(250, x - 100));
+    this.sweepPhase = rng.next() * Math.PI * 2;
+  }
+
+  /**
+   * Descend slowly while sweeping across the play field
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  move(deltaTime) {
+    this.sweepPhase += deltaTime * 0.8;
+    this.x = this.sweepCenter + Math.sin(this.sweepPhase) * this.sweepAmplitude;
+    this.y += this.speed * deltaTime;
+  }
+
+  /**
+   * Take damage without ever going down from hits alone - only typing the last word
+   * destroys a boss
+   * @param {number} damage - Amount of damage
+   */
+  hit(damage = 1) {
+    super.hit(Math.min(damage, this.health - 1));
+  }
+
+  /**
+   * Move on to the next word of the phrase, or go down after the last one
+   * @returns {boolean} True if the boss is destroyed
+   */
+  completeWord() {
+    if (this.wordIndex < this.words.length - 1) {
+      this.wordIndex++;
+      this.word = this.words[this.wordIndex];
+      this.typedChars = 0;
+      return false;
+    }
+
+    this.defeated = true;
+    this.destroy();
+    return true;
+  }
+
+  /**
+   * Get how many words are still to be typed, including the current one
+   * @returns {number} Words left
+   */
+  getWordsLeft() {
+    return this.words.length - this.wordIndex;
+  }
+}
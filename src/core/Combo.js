@@ -0,0 +1,119 @@
+/**
+ * Combo - a score multiplier for clean play
+ * Every enemy destroyed without a mistake adds to the streak, and every few kills in a
+ * row raise the multiplier applied to typed words. A wrong key or a lost life (a missed
+ * enemy in modes without lives) breaks the streak and drops the multiplier back to ×1.
+ */
+export class Combo {
+  /**
+   * @param {number} killsPerStep - Kills in a row needed for each step up
+   * @param {number} maxMultiplier - Highest multiplier
+   */
+  constructor(killsPerStep = 5, maxMultiplier = 4) {
+    this.killsPerStep = killsPerStep;
+    this.maxMultiplier = maxMultiplier;
+    this.core = null;
+
+    this.reset();
+  }
+
+  /**
+   * Follow a game core's events
+   * @param {GameCore} core - Game core
+   */
+  attach(core) {
+    this.core = core;
+
+    core.on('reset', () => this.reset());
+    core.on('keystroke', ({ correct }) => {
+      if (!correct) this.break();
+    });
+    core.on('damage', () => this.break());
+    core.on('enemyRecycled', () => this.break());
+    core.on('enemyDestroyed', () => this.recordKill());
+    core.on('waveStart', () => this.resetWave());
+  }
+
+  /**
+   * Start a new run with no streak
+   */
+  reset() {
+    this.streak = 0;
+    this.multiplier = 1;
+    this.bestStreak = 0;
+    this.maxMultiplierReached = 1;
+    this.bonus = 0; // Points earned on top of the unmultiplied score
+    this.resetWave();
+  }
+
+  /**
+   * Start counting the wave's best streak and bonus from scratch (the streak itself
+   * carries over)
+   */
+  resetWave() {
+    this.waveBestStreak = this.streak;
+    this.waveBonus = 0;
+  }
+
+  /**
+   * An enemy was destroyed by typing
+   */
+  recordKill() {
+    this.streak++;
+    this.bestStreak = Math.max(this.bestStreak, this.streak);
+    this.waveBestStreak = Math.max(this.waveBestStreak, this.streak);
+
+    const multiplier = Math.min(this.maxMultiplier, 1 + Math.floor(this.streak / this.killsPerStep));
+    const raised = multiplier > this.multiplier;
+    this.multiplier = multiplier;
+    this.maxMultiplierReached = Math.max(this.maxMultiplierReached, multiplier);
+
+    this.emitChange(raised, false);
+  }
+
+  /**
+   * A mistake ended the streak
+   */
+  break() {
+    if (this.streak === 0) return;
+
+    const broken = this.multiplier > 1;
+    this.streak = 0;
+    this.multiplier = 1;
+
+    this.emitChange(false, broken);
+  }
+
+  /**
+   * Apply the multiplier to points for a typed word
+   * @param {number} points - Points before the multiplier
+   * @returns {number} Points to add to the score
+   */
+  apply(points) {
+    const total = points * this.multiplier;
+    this.bonus += total - points;
+    this.waveBonus += total - points;
+    return total;
+  }
+
+  /**
+   * Get the combo figures of the wave so far
+   * @returns {{bestStreak: number, bonus: number}} Best streak and bonus points this wave
+   */
+  getWaveStats() {
+    return {
+      bestStreak: this.waveBestStreak,
+      bonus: this.waveBonus
+    };
+  }
+
+  /**
+   * Tell the core's listeners about a new streak or multiplier
+   * @param {boolean} raised - The multiplier went up
+   * @param {boolean} broken - A multiplier above ×1 was lost
+   */
+  emitChange(raised, broken) {
+    if (!this.core) return;
+    this.core.emit('combo', { streak: this.streak, multiplier: this.multiplier, raised, broken });
+  }
+}
@@ -0,0 +1,358 @@
+import { Random } from '../utils/Random.js';
+
+/**
+ * Enemy archetypes
+ *   basic    - a ship with a word
+ *   carrier  - a basic ship that drops a power-up when destroyed (see powerUps.js)
+ *   scout    - fast, with a short word
+ *   armoured - slow, its word has to be typed twice, and it launches missiles
+ *   splitter - breaks into syllable fragments when destroyed
+ *   kamikaze - speeds up once it's targeted
+ *   fragment - one syllable of a splitter (never spawned by waves)
+ *
+ * Fields:
+ *   speed          - multiplier on the wave's enemy speed
+ *   size           - ship radius
+ *   scoreBonus     - points on top of the word score when destroyed
+ *   wordListOffset - shift from the wave's bundled word list (negative = shorter words)
+ *   minWordLength  - shortest word it spawns with (null = the wave's limit)
+ *   maxWordLength  - longest word it spawns with (null = the wave's limit)
+ *   passes         - times the word has to be typed
+ *   splits         - breaks into fragments when destroyed by typing
+ *   targetedSpeed  - speed multiplier while targeted
+ *   launchInterval - seconds between missile launches (null = never launches)
+ */
+export const ENEMY_ARCHETYPES = {
+  basic: {
+    speed: 1,
+    size: 15,
+    scoreBonus: 0,
+    wordListOffset: 0,
+    minWordLength: null,
+    maxWordLength: null,
+    passes: 1,
+    splits: false,
+    targetedSpeed: 1,
+    launchInterval: null
+  },
+  carrier: {
+    speed: 1,
+    size: 15,
+    scoreBonus: 0,
+    wordListOffset: 0,
+    minWordLength: null,
+    maxWordLength: null,
+    passes: 1,
+    splits: false,
+    targetedSpeed: 1,
+    launchInterval: null
+  },
+  scout: {
+    speed: 1.8,
+    size: 11,
+    scoreBonus: 5,
+    wordListOffset: -3,
+    minWordLength: null,
+    maxWordLength: null,
+    passes: 1,
+    splits: false,
+    targetedSpeed: 1,
+    launchInterval: null
+  },
+  armoured: {
+    speed: 0.6,
+    size: 19,
+    scoreBonus: 15,
+    wordListOffset: 0,
+    minWordLength: null,
+    maxWordLength: null,
+    passes: 2,
+    splits: false,
+    targetedSpeed: 1,
+    launchInterval: 7
+  },
+  splitter: {
+    speed: 0.8,
+    size: 17,
+    scoreBonus: 10,
+    wordListOffset: 0,
+    minWordLength: 4,
+    maxWordLength: null,
+    passes: 1,
+    splits: true,
+    targetedSpeed: 1,
+    launchInterval: null
+  },
+  kamikaze: {
+    speed: 1,
+    size: 14,
+    scoreBonus: 20,
+    wordListOffset: 0,
+    minWordLength: null,
+    maxWordLength: null,
+    passes: 1,
+    splits: false,
+    targetedSpeed: 2.5,
+    launchInterval: null
+  },
+  fragment: {
+    speed: 1.3,
+    size: 10,
+    scoreBonus: 0,
+    wordListOffset: 0,
+    minWordLength: null,
+    maxWordLength: null,
+    passes: 1,
+    splits: false,
+    targetedSpeed: 1,
+    launchInterval: null
+  }
+};
+
+/**
+ * Enemy types that wave definitions can spawn
+ */
+export const ENEMY_TYPES = ['basic', 'carrier', 'scout', 'armoured', 'splitter', 'kamikaze'];
+
+/**
+ * Look up an archetype
+ * @param {string} type - Enemy type
+ * @returns {Object} Archetype (basic for types without one, e.g. bosses and pickups)
+ */
+export function getArchetype(type) {
+  return ENEMY_ARCHETYPES[type] || ENEMY_ARCHETYPES.basic;
+}
+
+/**
+ * Enemy class - an enemy ship with a word (simulation state only, drawn by the Renderer)
+ */
+export class Enemy {
+  constructor(word, x, y, speed = 80, player = null, rng = new Random(), type = 'basic') {
+    const archetype = getArchetype(type);
+
+    this.word = word;
+    this.type = type;
+    this.x = x;
+    this.y = y;
+    this.prevX = x; 
+    this.prevY = y;
+    this.speed = speed;
+    this.baseSpeed = speed;
+    this.player = player; 
+    this.targeted = false;
+    this.passesLeft = archetype.passes; // Times the word still has to be typed
+    this.health = word.length * archetype.passes;
+    this.maxHealth = this.health;
+    this.alive = true;
+    this.dying = false;
+    this.damage = 1; // Lives lost when this enemy reaches the player
+    this.scoreBonus = archetype.scoreBonus; // Points on top of the word score when destroyed
+    this.powerUp = null; // Power-up carried (carriers drop it, pickups activate it)
+    this.review = false; // Word comes from the player's review deck (Review mode)
+    this.splits = archetype.splits;
+    this.targetedSpeed = archetype.targetedSpeed;
+    this.launchInterval = archetype.launchInterval;
+    this.launchTimer = 0;
+
+    this.size = archetype.size;
+    this.typedChars = 0; 
+
+    this.pulsePhase = rng.next() * Math.PI * 2;
+    this.deathTimer = 0;
+    this.deathDuration = 0.3;
+
+    
+    this.isHit = false;
+    this.hitTimer = 0;
+    this.hitDuration = 0.2; 
+
+    
+    this.velocityX = (rng.next() - 0.5) * 60; 
+    this.minX = 50; 
+    this.maxX = 1150; 
+  }
+
+  /**
+   * Update enemy position and state
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(deltaTime) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    if (this.dying) {
+      this.deathTimer += deltaTime;
+      if (this.deathTimer >= this.deathDuration) {
+        this.alive = false;
+      }
+      return;
+    }
+
+    this.move(deltaTime);
+
+    
+    this.pulsePhase += deltaTime * 3;
+
+    
+    if (this.isHit) {
+      this.hitTimer += deltaTime;
+
+      if (this.hitTimer >= this.hitDuration) {
+        this.isHit = false;
+        this.hitTimer = 0;
+
+        
+        this.speed = this.baseSpeed;
+      }
+    }
+
+  }
+
+  /**
+   * Count down to the next missile launch
+   * Only counts while the enemy is on screen and not going down
+   * @param {number} deltaTime - Time since last step in seconds
+   * @returns {boolean} True when a missile is due
+   */
+  updateLauncher(deltaTime) {
+    if (this.launchInterval === null || this.dying || this.y < 0) return false;
+
+    this.launchTimer += deltaTime;
+    if (this.launchTimer < this.launchInterval) return false;
+
+    this.launchTimer = 0;
+    return true;
+  }
+
+  /**
+   * Move towards the player
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  move(deltaTime) {
+    const speed = this.targeted ? this.speed * this.targetedSpeed : this.speed;
+
+    if (this.player) {
+      const dx = this.player.x - this.x;
+      const dy = this.player.y - this.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance > 0) {
+        
+        const homingSpeed = speed * 0.3;
+        this.x += (dx / distance) * homingSpeed * deltaTime;
+
+        
+        this.y += (dy / distance) * speed * 0.7 * deltaTime;
+      }
+    } else {
+      
+      this.y += speed * deltaTime * 0.6;
+    }
+
+    
+    if (this.x < this.minX) this.x = this.minX;
+    if (this.x > this.maxX) this.x = this.maxX;
+  }
+
+  /**
+   * Get the position to draw at, between the previous and current simulation step
+   * @param {number} alpha - Interpolation factor (0 = previous step, 1 = current step)
+   * @returns {{x: number, y: number}} Render position
+   */
+  getRenderPosition(alpha) {
+    return {
+      x: this.prevX + (this.x - this.prevX) * alpha,
+      y: this.prevY + (this.y - this.prevY) * alpha
+    };
+  }
+
+  /**
+   * Set targeted state
+   * @param {boolean} targeted - Whether enemy is targeted
+   */
+  setTargeted(targeted) {
+    this.targeted = targeted;
+    
+    if (!targeted) {
+      this.typedChars = 0;
+    }
+  }
+
+  /**
+   * Set how many characters have been typed
+   * @param {number} count - Number of characters typed
+   */
+  setTypedChars(count) {
+    this.typedChars = count;
+  }
+
+  /**
+   * Reduce enemy health when hit
+   * @param {number} damage - Amount of damage (usually 1 per letter)
+   */
+  hit(damage = 1) {
+    this.health -= damage;
+
+    
+    this.isHit = true;
+    this.hitTimer = 0;
+
+    
+    this.speed = this.baseSpeed * 0.7;
+
+    if (this.health <= 0) {
+      this.destroy();
+    }
+  }
+
+  /**
+   * Called when the current word has been typed in full
+   * An armoured enemy loses its armour on the first pass and has to be typed again
+   * @returns {boolean} True if the enemy is destroyed, false if it has more words to type
+   */
+  completeWord() {
+    if (this.passesLeft > 1) {
+      this.passesLeft--;
+      this.typedChars = 0;
+      return false;
+    }
+
+    this.destroy();
+    return true;
+  }
+
+  /**
+   * Get how many words are still to be typed, including the current one
+   * @returns {number} Words left
+   */
+  getWordsLeft() {
+    return this.passesLeft;
+  }
+
+  /**
+   * Destroy the enemy (trigger death animation)
+   */
+  destroy() {
+    if (!this.dying) {
+      this.dying = true;
+      this.deathTimer = 0;
+    }
+  }
+
+  /**
+   * Check if enemy is still alive
+   * @returns {boolean} True if alive
+   */
+  isAlive() {
+    return this.alive;
+  }
+
+  /**
+   * Check if enemy is off screen (bottom)
+   * @param {number} maxY - Maximum Y coordinate
+   * @returns {boolean} True if off screen
+   */
+  isOffScreen(maxY = 800) {
+    return this.y > maxY;
+  }
+}
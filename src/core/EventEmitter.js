@@ -0,0 +1,51 @@
+/**
+ * Minimal event emitter used by the game core to notify renderers, HUD and audio
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - Event name
+   * @param {Function} listener - Called with the event data
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} type - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    const listeners = this.listeners[type];
+    if (!listeners) return;
+
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify every listener of an event
+   * @param {string} type - Event name
+   * @param {Object} data - Event data
+   */
+  emit(type, data = {}) {
+    const listeners = this.listeners[type];
+    if (!listeners) return;
+
+    for (const listener of [...listeners]) {
+      listener(data);
+    }
+  }
+}
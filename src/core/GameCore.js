@@ -0,0 +1,927 @@
+import { Player } from './Player.js';
+import { Enemy, getArchetype } from './Enemy.js';
+import { Boss } from './Boss.js';
+import { PowerUp } from './PowerUp.js';
+import { Missile, MISSILE_SPEED } from './Missile.js';
+import { POWER_UPS, getAvailablePowerUps } from './powerUps.js';
+import { TypingController } from './TypingController.js';
+import { EventEmitter } from './EventEmitter.js';
+import { createWordSource } from './words.js';
+import { WavePlan } from './waves.js';
+import { getDifficulty, applyDifficulty } from './difficulty.js';
+import { getGameMode } from './modes.js';
+import { AdaptiveLevel } from './AdaptiveLevel.js';
+import { AdaptiveDifficulty } from './AdaptiveDifficulty.js';
+import { Combo } from './Combo.js';
+import { KeystrokeLedger } from './KeystrokeLedger.js';
+import { REVIEW_SETTINGS } from './review.js';
+import { Random } from '../utils/Random.js';
+import { getFirstLetter, splitSyllables } from '../utils/thaana.js';
+
+/**
+ * Headless game simulation - waves, spawning, targeting, damage, scoring and statistics
+ *
+ * Has no DOM, canvas or audio dependencies, so it runs in the browser, in Node, in bots
+ * and in replay verification alike. The browser Game drives it one fixed step at a time
+ * and subscribes to its events to draw, update the HUD and play sounds:
+ *
+ *   reset         { seed }                  - a new run started
+ *   spawn         { enemy }                 - an enemy entered the play field
+ *   enemySplit    { enemy, fragments }      - a splitter broke into syllable fragments
+ *   bossSpawn     { boss }                  - a boss entered the play field
+ *   missileLaunched { missile, launcher }   - a larger enemy launched a missile
+ *   keystroke     { correct, expected, typed } - a typed character was accepted or rejected
+ *                                             (expected is null for a wrong first key)
+ *   shot          { enemy }                 - a correct character hit an enemy
+ *   inputChanged  { value }                 - the accepted input was changed by the game
+ *   targetChanged { enemy }                 - the lock moved to another enemy without a keystroke
+ *                                             (cycled, or auto-retargeted after the target was lost)
+ *   enemyDestroyed { enemy, points }        - a word was completed
+ *   wordCompleted { enemy, word, points, wordsLeft } - a boss lost one word of its phrase
+ *                                             (word is the one typed; enemy.word is already the next)
+ *   score         { score, points }         - points were added
+ *   combo         { streak, multiplier, raised, broken } - the kill streak grew or was broken
+ *   damage        { enemy, lives }          - an enemy reached the player
+ *   shieldHit     { enemy }                 - the shield blocked an enemy that reached the player
+ *   powerUpDropped { pickup }               - a destroyed carrier dropped a power-up
+ *   powerUpActivated { powerUp, destroyed } - a pickup's bonus word was typed (destroyed lists
+ *                                             the enemies cleared by a smart bomb)
+ *   enemyRecycled { enemy }                 - an enemy got past the player in a mode without damage
+ *   levelChange   { level }                 - the adaptive level changed (modes without waves)
+ *   difficultyChange { level }              - the Adaptive preset's level changed
+ *   waveClear     { stats }                 - the last enemy of a wave is gone
+ *   waveStart     { wave }                  - the next wave began
+ *   gameOver      { result }                - the run ended
+ */
+export class GameCore extends EventEmitter {
+  /**
+   * @param {Object} options - Optional settings
+   * @param {number} options.seed - Seed for the first run (random if omitted)
+   * @param {number} options.width - Play field width
+   * @param {number} options.height - Play field height
+   * @param {Object} options.wordSource - Word source from createWordSource()
+   * @param {Object} options.waves - Wave config (see waves.js); every wave uses the defaults if omitted
+   * @param {string} options.difficulty - Difficulty preset id (see difficulty.js), Normal if omitted
+   * @param {string} options.mode - Game mode id (see modes.js), Classic if omitted
+   * @param {boolean} options.autoRetarget - Move the typed input to another matching enemy
+   *   when the locked one is lost mid-word (off if omitted)
+   * @param {string[]} options.reviewWords - Words due for review, mixed in with fresh
+   *   words in Review mode (none if omitted)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.width = options.width || 1200;
+    this.height = options.height || 700;
+    this.wordSource = options.wordSource || createWordSource();
+    this.setWaveConfig(options.waves || {});
+    this.setDifficulty(options.difficulty);
+    this.setMode(options.mode);
+    this.setAutoRetarget(options.autoRetarget);
+    this.setReviewWords(options.reviewWords);
+    this.waveClearDuration = 4.0;
+    this.streamMaxEnemies = 6; // Enemies on screen at once in modes without waves
+
+    this.player = new Player(this.width / 2, this.height - 80);
+    this.typing = new TypingController(this);
+    this.keystrokes = new KeystrokeLedger();
+    this.adaptiveLevel = new AdaptiveLevel();
+    this.adaptiveLevel.attach(this);
+    this.combo = new Combo();
+    this.combo.attach(this);
+    this.adaptiveDifficulty = new AdaptiveDifficulty();
+    this.adaptiveDifficulty.attach(this);
+
+    this.reset(options.seed ?? Random.createSeed());
+  }
+
+  /**
+   * Start a new run
+   * @param {number} seed - 32-bit seed; the same seed and inputs always produce the same run
+   */
+  reset(seed) {
+    this.seed = seed >>> 0;
+    this.rng = new Random(this.seed);
+
+    this.score = 0;
+    this.wave = 1;
+    this.gameOver = false;
+    this.waveClear = false;
+    this.waveStats = null;
+
+    this.tick = 0;
+    this.gameTime = 0; // Game clock in seconds - only advances while the simulation runs
+    this.adaptiveDifficulty.reset();
+    this.waveSettings = this.getWaveSettings(this.wave);
+    this.spawnInterval = this.waveSettings.spawnInterval;
+    this.spawnTimer = this.spawnInterval;
+
+    this.enemiesSpawnedThisWave = 0;
+    this.totalEnemiesThisWave = this.waveSettings.count;
+    this.bossPending = this.waveSettings.boss !== null;
+    this.boss = null;
+    this.waveClearTimer = 0;
+    this.slowTimer = 0;
+    this.reviewQueue = this.mode.review ? [...this.reviewWords] : [];
+    this.reviewWordsServed = 0;
+
+    this.totalStats = {
+      totalWavesCompleted: 0,
+      totalScore: 0
+    };
+
+    this.enemies = [];
+    this.player.reset(this.width / 2, this.height - 80, this.difficulty.lives);
+    this.typing.clear();
+    this.keystrokes.reset();
+
+    this.emit('reset', { seed: this.seed });
+  }
+
+  /**
+   * Use a different wave config (takes effect from the next reset)
+   * @param {Object} config - Wave config (see waves.js)
+   */
+  setWaveConfig(config) {
+    this.wavePlan = new WavePlan(config);
+  }
+
+  /**
+   * Use a different difficulty preset (takes effect from the next reset)
+   * @param {string} id - Difficulty preset id
+   */
+  setDifficulty(id) {
+    this.chosenDifficulty = id;
+    this.difficulty = getDifficulty(this.mode?.difficulty ?? id);
+  }
+
+  /**
+   * Use a different game mode (takes effect from the next reset)
+   * Modes with a fixed difficulty (the timed challenges) override the chosen preset
+   * @param {string} id - Game mode id
+   */
+  setMode(id) {
+    this.mode = getGameMode(id);
+    this.setDifficulty(this.chosenDifficulty);
+  }
+
+  /**
+   * Turn auto-retarget on or off (takes effect straight away)
+   * @param {boolean} enabled - Whether a lost target hands the input to another match
+   */
+  setAutoRetarget(enabled) {
+    this.autoRetarget = Boolean(enabled);
+  }
+
+  /**
+   * Use a different list of words due for review (takes effect from the next reset)
+   * @param {string[]} words - Due words, most overdue first
+   */
+  setReviewWords(words = []) {
+    this.reviewWords = [...words];
+  }
+
+  /**
+   * Get the settings for a wave, scaled by the difficulty (and the current level of the
+   * Adaptive preset)
+   * Modes without waves use them for their adaptive level, without bosses
+   * @param {number} wave - Wave number
+   * @returns {Object} Wave settings
+   */
+  getWaveSettings(wave) {
+    let settings = applyDifficulty(this.wavePlan.getWave(wave), this.difficulty);
+    if (this.difficulty.adaptive) {
+      settings = this.adaptiveDifficulty.apply(settings);
+    }
+    return this.mode.waves ? settings : { ...settings, boss: null };
+  }
+
+  /**
+   * Resize the play field
+   * @param {number} width - Play field width
+   * @param {number} height - Play field height
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.player.x = this.width / 2;
+    this.player.y = this.height - 80;
+  }
+
+  /**
+   * Feed the current text field value into the game
+   * @param {string} value - Full input value
+   */
+  typeInput(value) {
+    if (this.gameOver) return;
+    this.typing.validateAndUpdateInput(value);
+  }
+
+  /**
+   * Drop the current target and typed input
+   * Doesn't count as a mistake, so the combo streak is kept (the keystroke ledger files it
+   * as a correction)
+   */
+  clearInput() {
+    this.keystrokes.record(this.typing.getCurrentInput() ? 'correction' : 'ignored');
+    this.typing.clear();
+  }
+
+  /**
+   * Move the lock to the next enemy matching the typed input
+   */
+  cycleTarget() {
+    if (this.gameOver) return;
+    this.keystrokes.record('ignored');
+    this.typing.cycleTarget();
+  }
+
+  /**
+   * Advance the simulation by one step
+   * @param {number} dt - Step length in seconds
+   */
+  step(dt) {
+    if (this.gameOver) return;
+
+    this.tick++;
+    this.gameTime += dt;
+    if (!this.waveClear) {
+      this.keystrokes.addTime(dt);
+    }
+
+    if (this.getTimeLeft() === 0) {
+      this.endGame();
+      return;
+    }
+
+    const enemyDt = this.slowTimer > 0 ? dt * POWER_UPS.slow.factor : dt;
+    this.slowTimer = Math.max(0, this.slowTimer - dt);
+
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      const isPickup = enemy.type === 'pickup';
+      enemy.update(isPickup ? dt : enemyDt);
+
+      if (enemy.updateLauncher(enemyDt)) {
+        this.launchMissile(enemy);
+      }
+
+      if (!enemy.isAlive()) {
+        if (enemy.targeted) {
+          this.typing.clear();
+        }
+        this.enemies.splice(i, 1);
+        continue;
+      }
+
+      if (isPickup) continue;
+
+      if ((enemy.isOffScreen(this.height + 50) || this.checkCollision(enemy, this.player)) && !enemy.dying) {
+        if (!this.mode.damage) {
+          if (enemy.type === 'missile') {
+            enemy.destroy();
+          } else {
+            this.recycleEnemy(enemy);
+          }
+          continue;
+        }
+
+        if (this.player.absorbHit()) {
+          enemy.destroy();
+          this.emit('shieldHit', { enemy });
+          continue;
+        }
+
+        this.player.takeDamage(enemy.damage);
+        enemy.destroy();
+        this.emit('damage', { enemy, lives: this.player.getLives() });
+
+        if (!this.player.isAlive()) {
+          this.endGame();
+          return;
+        }
+      }
+    }
+
+    // With auto-retarget, hand the input on as soon as the locked enemy goes down mid-word
+    // (it hit the player, was blocked by the shield or faded)
+    if (this.autoRetarget && this.getTargetedEnemy()?.dying) {
+      this.typing.handleTargetLost();
+    }
+
+    this.player.setTarget(this.getTargetedEnemy() || null);
+
+    if (this.difficulty.adaptive && !this.waveClear) {
+      this.updateAdaptiveDifficulty();
+    }
+
+    if (!this.mode.waves) {
+      this.stepStream(dt);
+      return;
+    }
+
+    if (this.waveClear) {
+      this.waveClearTimer += dt;
+      if (this.waveClearTimer >= this.waveClearDuration) {
+        this.startNextWave();
+      }
+    } else {
+      this.spawnTimer += dt;
+      if (this.spawnTimer >= this.spawnInterval) {
+        if (this.enemiesSpawnedThisWave < this.totalEnemiesThisWave) {
+          this.spawnEnemy();
+          this.spawnTimer = 0;
+        } else if (this.bossPending) {
+          this.spawnBoss();
+          this.spawnTimer = 0;
+        }
+      }
+
+      if (this.enemiesSpawnedThisWave >= this.totalEnemiesThisWave && !this.bossPending && this.enemies.length === 0) {
+        this.completeWave();
+      }
+    }
+  }
+
+  /**
+   * Keep enemies coming at the adaptive level, for modes without waves
+   * @param {number} dt - Step length in seconds
+   */
+  stepStream(dt) {
+    const level = this.mode.levelEvery
+      ? 1 + Math.floor(this.gameTime / this.mode.levelEvery)
+      : this.adaptiveLevel.getLevel();
+    if (level !== this.wave) {
+      this.wave = level;
+      this.waveSettings = this.getWaveSettings(level);
+      this.spawnInterval = this.waveSettings.spawnInterval;
+      this.emit('levelChange', { level });
+    }
+
+    this.spawnTimer += dt;
+    if (this.spawnTimer >= this.spawnInterval) {
+      const onScreen = this.enemies.filter(enemy => !enemy.dying && enemy.type !== 'pickup' && enemy.type !== 'missile').length;
+      if (onScreen < this.streamMaxEnemies) {
+        this.spawnEnemy();
+        this.spawnTimer = 0;
+      }
+    }
+  }
+
+  /**
+   * Let the Adaptive preset retune the current wave to the player's recent typing
+   * Enemies already on screen keep their speed; new spawns use the new settings
+   */
+  updateAdaptiveDifficulty() {
+    if (!this.adaptiveDifficulty.update(this.gameTime)) return;
+
+    this.waveSettings = this.getWaveSettings(this.wave);
+    this.spawnInterval = this.waveSettings.spawnInterval;
+    this.emit('difficultyChange', { level: this.adaptiveDifficulty.level });
+  }
+
+  /**
+   * Send an enemy that got past the player back to the top with the same word
+   * @param {Enemy} enemy - Enemy to recycle
+   */
+  recycleEnemy(enemy) {
+    if (enemy.targeted) {
+      this.typing.clear();
+    }
+
+    const margin = this.width * 0.1;
+    enemy.x = this.rng.next() * (this.width - margin * 2) + margin;
+    enemy.y = -50;
+    enemy.prevX = enemy.x;
+    enemy.prevY = enemy.y;
+
+    this.emit('enemyRecycled', { enemy });
+    this.addPenalty(this.mode.scoring.miss);
+  }
+
+  /**
+   * Spawn a new enemy using the current wave's settings
+   * Words starting with the same letter as an enemy already on screen are avoided
+   * whenever the word list allows, so the first keystroke always picks one target
+   */
+  spawnEnemy() {
+    const settings = this.waveSettings;
+
+    const firstLetters = this.getFirstLettersOnScreen();
+    const reviewWord = this.pickReviewWord(firstLetters);
+
+    // Review words come on plain ships, so they're never cut short or split up
+    const type = reviewWord ? 'basic' : this.pickEnemyType(settings.enemyTypes);
+    const archetype = getArchetype(type);
+
+    const word = reviewWord || this.wordSource.pickWord({
+      list: settings.wordList + archetype.wordListOffset,
+      words: settings.words,
+      ...this.getWordLengthRange(settings, archetype),
+      avoidFirstLetters: firstLetters
+    }, this.rng);
+
+    const margin = this.width * 0.1;
+    const spawnWidth = this.width - (margin * 2);
+    const x = this.rng.next() * spawnWidth + margin;
+
+    const enemy = new Enemy(word, x, -50, settings.speed * archetype.speed, this.player, this.rng, type);
+    if (type === 'carrier') {
+      enemy.powerUp = this.rng.pick(getAvailablePowerUps(this.mode));
+    }
+    enemy.review = reviewWord !== null;
+    this.enemies.push(enemy);
+    this.enemiesSpawnedThisWave++;
+
+    this.emit('spawn', { enemy });
+  }
+
+  /**
+   * In Review mode, take the word for a spawn from the words due for review (for a share
+   * of spawns, until they run out)
+   * A due word whose first letter is already on screen waits for a later spawn
+   * @param {Set<string>} firstLetters - First letters of the words on screen
+   * @returns {string|null} Review word, or null for a fresh word
+   */
+  pickReviewWord(firstLetters) {
+    if (this.reviewQueue.length === 0 || this.rng.next() >= REVIEW_SETTINGS.share) {
+      return null;
+    }
+
+    const index = this.reviewQueue.findIndex(word => !firstLetters.has(getFirstLetter(word)));
+    if (index === -1) return null;
+
+    this.reviewWordsServed++;
+    return this.reviewQueue.splice(index, 1)[0];
+  }
+
+  /**
+   * Spawn the boss that ends a boss wave, once its regular enemies are all out
+   */
+  spawnBoss() {
+    const settings = this.waveSettings.boss;
+
+    const phrase = this.wordSource.pickPhrase({
+      phrases: settings.phrases,
+      avoidFirstLetters: this.getFirstLettersOnScreen()
+    }, this.rng);
+
+    const boss = new Boss(phrase, this.width / 2, -60, settings.speed, this.player, this.rng, settings.bonus, settings.damage);
+    this.enemies.push(boss);
+    this.boss = boss;
+    this.bossPending = false;
+
+    this.emit('spawn', { enemy: boss });
+    this.emit('bossSpawn', { boss });
+  }
+
+  /**
+   * Launch a missile from a larger enemy, labelled with one syllable of its word
+   * Syllables starting with a letter already on screen are skipped so the first
+   * keystroke still picks one target; with none left the launch is called off
+   * @param {Enemy} launcher - Enemy launching the missile
+   */
+  launchMissile(launcher) {
+    const firstLetters = this.getFirstLettersOnScreen();
+    const labels = splitSyllables(launcher.word).filter(label => !firstLetters.has(getFirstLetter(label)));
+    if (labels.length === 0) return;
+
+    const label = this.rng.pick(labels);
+    const missile = new Missile(label, launcher, this.waveSettings.speed * MISSILE_SPEED, this.player, this.rng);
+    this.enemies.push(missile);
+
+    this.emit('spawn', { enemy: missile });
+    this.emit('missileLaunched', { missile, launcher });
+  }
+
+  /**
+   * Narrow a wave's word length range to what an archetype allows
+   * @param {Object} settings - Wave settings
+   * @param {Object} archetype - Enemy archetype
+   * @returns {{minLength: number, maxLength: number|null}} Word length range
+   */
+  getWordLengthRange(settings, archetype) {
+    let { minLength, maxLength } = settings;
+    if (archetype.minWordLength !== null) {
+      minLength = Math.max(minLength, archetype.minWordLength);
+    }
+    if (archetype.maxWordLength !== null) {
+      maxLength = maxLength === null ? archetype.maxWordLength : Math.min(maxLength, archetype.maxWordLength);
+    }
+    return { minLength, maxLength };
+  }
+
+  /**
+   * Follow up on an enemy destroyed by typing its word: a splitter breaks apart, a
+   * carrier drops its power-up and a pickup activates the one it holds
+   * @param {Enemy} enemy - Destroyed enemy
+   */
+  handleEnemyDestroyed(enemy) {
+    if (enemy.splits) {
+      this.splitEnemy(enemy);
+    }
+
+    if (!enemy.powerUp) return;
+
+    if (enemy.type === 'pickup') {
+      this.activatePowerUp(enemy.powerUp);
+    } else {
+      this.dropPowerUp(enemy);
+    }
+  }
+
+  /**
+   * Break a splitter into fragments, each carrying part of its word (up to three, split
+   * between syllables) and spreading out from where it went down
+   * @param {Enemy} splitter - Destroyed splitter
+   */
+  splitEnemy(splitter) {
+    const syllables = splitSyllables(splitter.word);
+    if (syllables.length < 2) return;
+
+    const count = Math.min(3, syllables.length);
+    const archetype = getArchetype('fragment');
+    const fragments = [];
+
+    for (let i = 0; i < count; i++) {
+      const start = Math.round((i * syllables.length) / count);
+      const end = Math.round(((i + 1) * syllables.length) / count);
+      const word = syllables.slice(start, end).join('');
+      const x = splitter.x + (i - (count - 1) / 2) * 50;
+
+      const fragment = new Enemy(word, x, splitter.y, this.waveSettings.speed * archetype.speed, this.player, this.rng, 'fragment');
+      this.enemies.push(fragment);
+      fragments.push(fragment);
+
+      this.emit('spawn', { enemy: fragment });
+    }
+
+    this.emit('enemySplit', { enemy: splitter, fragments });
+  }
+
+  /**
+   * Leave a carrier's power-up behind as a pickup with a short bonus word
+   * The pickup hovers where the carrier went down, kept well clear of the player
+   * @param {Enemy} carrier - Destroyed carrier
+   */
+  dropPowerUp(carrier) {
+    const settings = this.waveSettings;
+
+    const word = this.wordSource.pickWord({
+      list: settings.wordList,
+      words: settings.words,
+      minLength: 1,
+      maxLength: 4,
+      avoidFirstLetters: this.getFirstLettersOnScreen()
+    }, this.rng);
+
+    const y = Math.max(60, Math.min(carrier.y, this.height * 0.6));
+    const pickup = new PowerUp(word, carrier.powerUp, carrier.x, y, this.rng);
+    this.enemies.push(pickup);
+
+    this.emit('powerUpDropped', { pickup });
+  }
+
+  /**
+   * Apply a collected power-up
+   * @param {Object} powerUp - Power-up (see powerUps.js)
+   */
+  activatePowerUp(powerUp) {
+    let destroyed = [];
+
+    switch (powerUp.id) {
+      case 'heal':
+        this.player.heal();
+        break;
+
+      case 'slow':
+        this.slowTimer = powerUp.duration;
+        break;
+
+      case 'bomb':
+        destroyed = this.smartBomb();
+        break;
+
+      case 'shield':
+        this.player.raiseShield();
+        break;
+    }
+
+    this.emit('powerUpActivated', { powerUp, destroyed });
+  }
+
+  /**
+   * Destroy every enemy on screen, scoring their words as if typed
+   * Bosses are too big to clear and pickups are left to be collected
+   * @returns {Enemy[]} Enemies destroyed
+   */
+  smartBomb() {
+    const destroyed = this.enemies.filter(enemy => !enemy.dying && enemy.type !== 'boss' && enemy.type !== 'pickup');
+    if (destroyed.some(enemy => enemy.targeted)) {
+      this.typing.clear();
+    }
+
+    let points = 0;
+    for (const enemy of destroyed) {
+      points += enemy.word.length * this.mode.scoring.perLetter;
+      enemy.destroy();
+    }
+
+    if (points > 0) {
+      this.addScore(points);
+    }
+    return destroyed;
+  }
+
+  /**
+   * Get the first letters of the words on screen
+   * @returns {Set<string>} First letters of enemies that aren't going down
+   */
+  getFirstLettersOnScreen() {
+    return new Set(
+      this.enemies.filter(enemy => !enemy.dying).map(enemy => getFirstLetter(enemy.word))
+    );
+  }
+
+  /**
+   * Pick an enemy type from weighted choices
+   * Only draws from the random generator when there is a real choice to make
+   * @param {Object<string, number>} weights - Weight per enemy type
+   * @returns {string} Enemy type
+   */
+  pickEnemyType(weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    if (entries.length === 1) {
+      return entries[0][0];
+    }
+
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = this.rng.next() * total;
+    for (const [type, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return type;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Finish the current wave and record its statistics
+   */
+  completeWave() {
+    this.totalStats.totalWavesCompleted++;
+    this.totalStats.totalScore = this.score;
+
+    this.waveStats = {
+      wave: this.wave,
+      score: this.score,
+      ...this.getTypingResult(this.keystrokes.getWaveStatistics()),
+      boss: this.boss ? { phrase: this.boss.phrase, defeated: this.boss.defeated, bonus: this.boss.scoreBonus } : null,
+      combo: this.combo.getWaveStats()
+    };
+
+    this.waveClear = true;
+    this.waveClearTimer = 0;
+    this.enemies = [];
+
+    this.emit('waveClear', { stats: this.waveStats });
+  }
+
+  /**
+   * Start the next wave once the wave clear pause is over
+   */
+  startNextWave() {
+    this.wave++;
+
+    this.waveSettings = this.getWaveSettings(this.wave);
+    this.enemiesSpawnedThisWave = 0;
+    this.totalEnemiesThisWave = this.waveSettings.count;
+    this.bossPending = this.waveSettings.boss !== null;
+    this.boss = null;
+    this.spawnTimer = this.spawnInterval;
+
+    this.keystrokes.startWave();
+
+    this.spawnInterval = this.waveSettings.spawnInterval;
+
+    this.waveClear = false;
+    this.waveStats = null;
+    this.waveClearTimer = 0;
+
+    this.emit('waveStart', { wave: this.wave });
+  }
+
+  /**
+   * Add score
+   * @param {number} points - Points to add
+   */
+  addScore(points) {
+    this.score += points;
+    this.emit('score', { score: this.score, points });
+  }
+
+  /**
+   * Take points off the score, never going below zero
+   * @param {number} points - Points to take off
+   */
+  addPenalty(points) {
+    const lost = Math.min(points, this.score);
+    if (lost <= 0) return;
+
+    this.score -= lost;
+    this.emit('score', { score: this.score, points: -lost });
+  }
+
+  /**
+   * Get the time left in a timed mode
+   * @returns {number|null} Seconds left, or null if the mode has no time limit
+   */
+  getTimeLeft() {
+    if (this.mode.duration === null) return null;
+
+    // Allow for rounding in the summed step lengths
+    const left = this.mode.duration - this.gameTime;
+    return left > 1e-6 ? left : 0;
+  }
+
+  /**
+   * Get the enemy currently locked on to
+   * @returns {Enemy|undefined} Targeted enemy
+   */
+  getTargetedEnemy() {
+    return this.enemies.find(e => e.targeted);
+  }
+
+  /**
+   * Clear all enemy targets
+   */
+  clearAllTargets() {
+    for (const enemy of this.enemies) {
+      enemy.setTargeted(false);
+    }
+  }
+
+  /**
+   * Get how far an enemy is from the player
+   * @param {Enemy} enemy - Enemy object
+   * @returns {number} Distance in pixels
+   */
+  getDistanceToPlayer(enemy) {
+    const dx = enemy.x - this.player.x;
+    const dy = enemy.y - this.player.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Check collision between enemy and player
+   * @param {Enemy} enemy - Enemy object
+   * @param {Player} player - Player object
+   * @returns {boolean} True if colliding
+   */
+  checkCollision(enemy, player) {
+    const dx = enemy.x - player.x;
+    const dy = enemy.y - player.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const minDistance = enemy.size + player.size;
+    return distance < minDistance;
+  }
+
+  /**
+   * Get the statistics shown while playing (current wave only for WPM and accuracy)
+   * @returns {Object} Score, wave, WPM, accuracy, lives and active power-ups
+   */
+  getLiveStats() {
+    const stats = this.keystrokes.getWaveStatistics();
+
+    return {
+      score: this.score,
+      wave: this.wave,
+      wpm: stats.grossWpm,
+      netWpm: stats.netWpm,
+      accuracy: stats.rawAccuracy,
+      lives: this.player.getLives(),
+      maxLives: this.player.maxLives,
+      showLives: this.mode.damage,
+      shielded: this.player.shielded,
+      slowTimeLeft: this.slowTimer,
+      streak: this.combo.streak,
+      multiplier: this.combo.multiplier,
+      difficultyLevel: this.difficulty.adaptive ? this.adaptiveDifficulty.level : null
+    };
+  }
+
+  /**
+   * Get the result of the run, with typing statistics over every keystroke of it
+   * Modes without waves add a session summary
+   * @returns {Object} Score data ({ score, wave, difficulty, mode, the typing figures (see
+   *   getTypingResult()), bestStreak, maxMultiplier, comboBonus }, plus difficultyLevel and
+   *   peakDifficultyLevel on the Adaptive preset and a session summary for modes without waves)
+   */
+  getResult() {
+    if (!this.mode.waves) {
+      return this.getSessionResult();
+    }
+
+    return {
+      score: this.score,
+      wave: this.totalStats.totalWavesCompleted,
+      ...this.getTypingResult(this.keystrokes.getStatistics()),
+      difficulty: this.difficulty.id,
+      mode: this.mode.id,
+      ...this.getComboResult(),
+      ...this.getDifficultyLevelResult()
+    };
+  }
+
+  /**
+   * Get the typing part of a result
+   * @param {Object} stats - Statistics from the keystroke ledger
+   * @returns {{wpm: number, netWpm: number, accuracy: number, correctedAccuracy: number,
+   *   correctInputs: number, incorrectInputs: number, corrections: number}} Gross and net
+   *   WPM, raw and corrected accuracy and the keystroke counts
+   */
+  getTypingResult(stats) {
+    return {
+      wpm: stats.grossWpm,
+      netWpm: stats.netWpm,
+      accuracy: stats.rawAccuracy,
+      correctedAccuracy: stats.correctedAccuracy,
+      correctInputs: stats.correct,
+      incorrectInputs: stats.wrong,
+      corrections: stats.corrections
+    };
+  }
+
+  /**
+   * Get the combo part of a result
+   * @returns {{bestStreak: number, maxMultiplier: number, comboBonus: number}} Longest kill
+   *   streak, highest multiplier and points earned by the multiplier
+   */
+  getComboResult() {
+    return {
+      bestStreak: this.combo.bestStreak,
+      maxMultiplier: this.combo.maxMultiplierReached,
+      comboBonus: this.combo.bonus
+    };
+  }
+
+  /**
+   * Get the Adaptive preset's part of a result
+   * @returns {Object} { difficultyLevel, peakDifficultyLevel } on the Adaptive preset,
+   *   otherwise nothing
+   */
+  getDifficultyLevelResult() {
+    if (!this.difficulty.adaptive) return {};
+
+    return {
+      difficultyLevel: this.adaptiveDifficulty.level,
+      peakDifficultyLevel: this.adaptiveDifficulty.peakLevel
+    };
+  }
+
+  /**
+   * Get the result of a session without waves
+   * @returns {Object} Score data with the session summary ({ ..., duration, wordsTyped,
+   *   wordsMissed, level, peakLevel, plus the typing and combo figures and, in Review mode,
+   *   the review words due and served })
+   */
+  getSessionResult() {
+    return {
+      score: this.score,
+      wave: 0,
+      ...this.getTypingResult(this.keystrokes.getStatistics()),
+      difficulty: this.difficulty.id,
+      mode: this.mode.id,
+      duration: this.gameTime,
+      wordsTyped: this.adaptiveLevel.wordsTyped,
+      wordsMissed: this.adaptiveLevel.wordsMissed,
+      level: this.wave,
+      peakLevel: this.mode.levelEvery ? this.wave : this.adaptiveLevel.peakLevel,
+      ...this.getComboResult(),
+      ...this.getDifficultyLevelResult(),
+      ...this.getReviewResult()
+    };
+  }
+
+  /**
+   * Get Review mode's part of a result
+   * @returns {Object} { reviewWordsDue, reviewWordsServed } in Review mode, otherwise nothing
+   */
+  getReviewResult() {
+    if (!this.mode.review) return {};
+
+    return {
+      reviewWordsDue: this.reviewWords.length,
+      reviewWordsServed: this.reviewWordsServed
+    };
+  }
+
+  /**
+   * End the run
+   */
+  endGame() {
+    if (this.gameOver) return;
+
+    this.gameOver = true;
+    this.emit('gameOver', { result: this.getResult() });
+  }
+}
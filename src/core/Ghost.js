@@ -0,0 +1,53 @@
+import { createReplayCore, applyReplayEvent } from './Replay.js';
+
+/**
+ * Ghost - a recorded run played back headlessly alongside a live one
+ * The ghost steps in lockstep with the live game, so at any moment its score is what
+ * the recorded run had scored at the same point in the run. Listen to ghost.core's
+ * events (e.g. 'shot') to draw it.
+ */
+export class Ghost {
+  /**
+   * @param {Object} replay - Replay of the run to race
+   * @param {Object} options - Extra GameCore options (see createReplayCore())
+   */
+  constructor(replay, options = {}) {
+    this.replay = replay;
+    this.core = createReplayCore(replay, options);
+    this.frame = 0;
+    this.eventIndex = 0;
+  }
+
+  /**
+   * Run one simulation step of the recorded run, applying the events that preceded it
+   * Does nothing once the recording is over
+   */
+  step() {
+    if (this.isFinished()) return;
+
+    const events = this.replay.events;
+    while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.frame) {
+      applyReplayEvent(this.core, events[this.eventIndex]);
+      this.eventIndex++;
+    }
+
+    this.core.step(this.replay.timestep);
+    this.frame++;
+  }
+
+  /**
+   * Check if the recorded run has ended
+   * @returns {boolean} True once every recorded step has been played
+   */
+  isFinished() {
+    return this.frame >= this.replay.ticks;
+  }
+
+  /**
+   * The recorded run's score at this point
+   * @returns {number} Score
+   */
+  get score() {
+    return this.core.score;
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Keystroke ledger - the one place typing statistics are counted
+ *
+ * Every key event that reaches the core is filed as one of:
+ *   correct    - a character that was accepted
+ *   wrong      - a character that was rejected (or matched no enemy)
+ *   correction - Backspace, or dropping the typed input with Enter/Escape
+ *   ignored    - a key event that typed nothing (Tab, or a change the game didn't act on)
+ *
+ * The clock only runs while enemies are in play, so the pause between waves doesn't
+ * drag WPM down. From the counts, with a word being 5 characters:
+ *   gross WPM          - every character typed (correct + wrong) per minute
+ *   net WPM            - gross WPM less one word per wrong character per minute
+ *   raw accuracy       - share of characters typed that were correct
+ *   corrected accuracy - share of all keystrokes, corrections included, that were
+ *                        correct characters (wasted keystrokes count against it)
+ */
+
+const RUN_START = { counts: { correct: 0, wrong: 0, correction: 0, ignored: 0 }, activeTime: 0 };
+
+export class KeystrokeLedger {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Start an empty ledger (a new run)
+   */
+  reset() {
+    this.counts = { ...RUN_START.counts };
+    this.activeTime = 0;
+    this.startWave();
+  }
+
+  /**
+   * Start counting a new wave (the run's totals carry on)
+   */
+  startWave() {
+    this.waveStart = { counts: { ...this.counts }, activeTime: this.activeTime };
+  }
+
+  /**
+   * File a key event
+   * @param {string} kind - 'correct', 'wrong', 'correction' or 'ignored'
+   */
+  record(kind) {
+    this.counts[kind]++;
+  }
+
+  /**
+   * Run the clock
+   * @param {number} dt - Seconds of play (not counting the pause between waves)
+   */
+  addTime(dt) {
+    this.activeTime += dt;
+  }
+
+  /**
+   * Get the statistics of the current wave
+   * @returns {Object} Statistics (see getStatistics())
+   */
+  getWaveStatistics() {
+    return this.getStatistics(this.waveStart);
+  }
+
+  /**
+   * Get the statistics since a starting point
+   * @param {Object} since - Counts and clock to count from (the start of the run if omitted)
+   * @returns {{correct: number, wrong: number, corrections: number, ignored: number,
+   *   activeTime: number, grossWpm: number, netWpm: number, rawAccuracy: number,
+   *   correctedAccuracy: number}} Counts, seconds of play, WPM and accuracy percentages
+   */
+  getStatistics(since = RUN_START) {
+    const correct = this.counts.correct - since.counts.correct;
+    const wrong = this.counts.wrong - since.counts.wrong;
+    const corrections = this.counts.correction - since.counts.correction;
+    const ignored = this.counts.ignored - since.counts.ignored;
+    const activeTime = this.activeTime - since.activeTime;
+
+    const minutes = activeTime / 60;
+    const typed = correct + wrong;
+    const grossWpm = minutes > 0 ? (typed / 5) / minutes : 0;
+    const netWpm = minutes > 0 ? Math.max(0, grossWpm - wrong / minutes) : 0;
+
+    return {
+      correct,
+      wrong,
+      corrections,
+      ignored,
+      activeTime,
+      grossWpm: Math.round(grossWpm),
+      netWpm: Math.round(netWpm),
+      rawAccuracy: typed > 0 ? Math.round((correct / typed) * 100) : 100,
+      correctedAccuracy: typed + corrections > 0 ? Math.round((correct / (typed + corrections)) * 100) : 100
+    };
+  }
+}
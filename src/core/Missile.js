@@ -0,0 +1,51 @@
+import { Enemy } from './Enemy.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * Missile speed as a multiple of the wave's enemy speed
+ */
+export const MISSILE_SPEED = 3;
+
+/**
+ * Missile - a small projectile launched by a larger enemy
+ * Labelled with a single letter or syllable and flies straight at the player. Typing the
+ * label shoots it down like any other enemy.
+ */
+export class Missile extends Enemy {
+  /**
+   * @param {string} label - Letter or syllable to type
+   * @param {Enemy} launcher - Enemy that launched it
+   * @param {number} speed - Flight speed
+   * @param {Player} player - Player it homes in on
+   * @param {Random} rng - Random generator (the game's seeded generator)
+   */
+  constructor(label, launcher, speed, player = null, rng = new Random()) {
+    super(label, launcher.x, launcher.y + launcher.size, speed, player, rng, 'missile');
+
+    this.launcher = launcher;
+    this.size = 8;
+    this.angle = Math.PI / 2; // Heading, for drawing
+  }
+
+  /**
+   * Fly straight at the player
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  move(deltaTime) {
+    if (!this.player) {
+      this.y += this.speed * deltaTime;
+      return;
+    }
+
+    const dx = this.player.x - this.x;
+    const dy = this.player.y - this.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance > 0) {
+      const step = Math.min(distance, this.speed * deltaTime);
+      this.x += (dx / distance) * step;
+      this.y += (dy / distance) * step;
+      this.angle = Math.atan2(dy, dx);
+    }
+  }
+}
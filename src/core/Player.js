@@ -0,0 +1,95 @@
+/**
+ * Player class - the player's ship (simulation state only, drawn by the Renderer)
+ */
+export class Player {
+  constructor(x, y, maxLives = 5) {
+    this.x = x;
+    this.y = y;
+    this.size = 40; 
+    this.lives = maxLives;
+    this.maxLives = maxLives;
+    this.targetEnemy = null;
+    this.shielded = false;
+  }
+
+  /**
+   * Restore full lives and move back to a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} maxLives - Lives to start with (keeps the current maximum if omitted)
+   */
+  reset(x, y, maxLives = this.maxLives) {
+    this.x = x;
+    this.y = y;
+    this.maxLives = maxLives;
+    this.lives = maxLives;
+    this.targetEnemy = null;
+    this.shielded = false;
+  }
+
+  /**
+   * Set the current target enemy
+   * @param {Enemy} enemy - Enemy to target
+   */
+  setTarget(enemy) {
+    this.targetEnemy = enemy;
+  }
+
+  /**
+   * Clear current target
+   */
+  clearTarget() {
+    this.targetEnemy = null;
+  }
+
+  /**
+   * Take damage (lose lives)
+   * @param {number} amount - Lives to lose
+   */
+  takeDamage(amount = 1) {
+    this.lives -= amount;
+    if (this.lives < 0) this.lives = 0;
+  }
+
+  /**
+   * Heal (gain a life)
+   */
+  heal() {
+    this.lives++;
+    if (this.lives > this.maxLives) this.lives = this.maxLives;
+  }
+
+  /**
+   * Raise a shield that blocks the next hit
+   */
+  raiseShield() {
+    this.shielded = true;
+  }
+
+  /**
+   * Let the shield take a hit, if it's up
+   * @returns {boolean} True if the shield blocked the hit (and is now gone)
+   */
+  absorbHit() {
+    if (!this.shielded) return false;
+
+    this.shielded = false;
+    return true;
+  }
+
+  /**
+   * Check if player is alive
+   * @returns {boolean} True if player has lives remaining
+   */
+  isAlive() {
+    return this.lives > 0;
+  }
+
+  /**
+   * Get current lives
+   * @returns {number} Number of lives remaining
+   */
+  getLives() {
+    return this.lives;
+  }
+}
@@ -0,0 +1,51 @@
+import { Enemy } from './Enemy.js';
+import { PICKUP_LIFETIME } from './powerUps.js';
+import { Random } from '../utils/Random.js';
+
+/**
+ * PowerUp - a pickup dropped by a carrier enemy
+ * Targeted and typed like an enemy, but it hovers in place instead of attacking and fades
+ * if its bonus word isn't typed in time. Typing the word activates the power-up.
+ */
+export class PowerUp extends Enemy {
+  /**
+   * @param {string} word - Bonus word that activates the power-up
+   * @param {Object} powerUp - Power-up it carries (see powerUps.js)
+   * @param {number} x - Drop X
+   * @param {number} y - Drop Y
+   * @param {Random} rng - Random generator (the game's seeded generator)
+   */
+  constructor(word, powerUp, x, y, rng = new Random()) {
+    super(word, x, y, 0, null, rng, 'pickup');
+
+    this.powerUp = powerUp;
+    this.damage = 0;
+    this.lifetime = PICKUP_LIFETIME;
+    this.timeLeft = PICKUP_LIFETIME;
+    this.expired = false;
+    this.collected = false;
+    this.size = 18;
+  }
+
+  /**
+   * Count down until the pickup fades
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  move(deltaTime) {
+    this.timeLeft -= deltaTime;
+    if (this.timeLeft <= 0) {
+      this.timeLeft = 0;
+      this.expired = true;
+      this.destroy();
+    }
+  }
+
+  /**
+   * Collect the pickup once its bonus word is typed
+   * @returns {boolean} Always true - pickups have a single word
+   */
+  completeWord() {
+    this.collected = true;
+    return super.completeWord();
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Replay recording and (de)serialization
+ * A replay is the seed, the game settings, the number of fixed simulation steps
+ * and every input event stamped with the step it happened before. Feeding the
+ * same events into a game started from the same seed reproduces the session exactly.
+ *
+ * Version history:
+ * 1 - variable frame times (one dt per rendered frame)
+ * 2 - fixed timestep, only the step count is stored
+ * 3 - spawned words avoid first letters already on screen, ties target the closest enemy
+ * 4 - boss waves with multi-word phrase enemies
+ * 5 - carrier enemies that drop power-ups
+ * 6 - scout, armoured, splitter and kamikaze enemy archetypes
+ * 7 - armoured ships and bosses launch missiles
+ * 8 - combo score multiplier
+ */
+
+import { GameCore } from './GameCore.js';
+import { getWaveConfigErrors } from './waves.js';
+import { isDifficulty } from './difficulty.js';
+import { isGameMode } from './modes.js';
+
+export const REPLAY_VERSION = 8;
+
+/**
+ * Update that made each older replay version impossible to reproduce
+ */
+const OUTDATED_VERSIONS = {
+  1: 'fixed-timestep',
+  2: 'unique first-letter spawning',
+  3: 'boss wave',
+  4: 'power-up',
+  5: 'enemy archetype',
+  6: 'missile',
+  7: 'combo scoring'
+};
+
+/**
+ * Records a single game session
+ */
+export class ReplayRecorder {
+  constructor() {
+    this.replay = null;
+    this.recording = false;
+  }
+
+  /**
+   * Start recording a new session (discards the previous one)
+   * @param {number} seed - Seed the run was started with
+   * @param {Object} settings - Game settings that affect the simulation
+   * @param {number} timestep - Simulation step length in seconds
+   */
+  start(seed, settings, timestep) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed,
+      settings: { ...settings },
+      timestep,
+      recordedAt: new Date().toISOString(),
+      ticks: 0,
+      events: [],
+      result: null
+    };
+    this.recording = true;
+  }
+
+  /**
+   * Count one simulation step
+   */
+  recordStep() {
+    if (!this.recording) return;
+    this.replay.ticks++;
+  }
+
+  /**
+   * Record an input event
+   * @param {number} tick - Number of simulation steps completed before the event
+   * @param {number} time - Simulation time in seconds
+   * @param {Object} event - Event data ({ type: 'input', value }, { type: 'clear' }, ...)
+   */
+  record(tick, time, event) {
+    if (!this.recording) return;
+    this.replay.events.push({ tick, time, ...event });
+  }
+
+  /**
+   * Stop recording and attach the final result
+   * @param {Object} result - Final score data
+   */
+  finish(result = null) {
+    if (!this.replay) return;
+    this.replay.result = result;
+    this.recording = false;
+  }
+
+  /**
+   * Stop recording without a result (e.g. when playback takes over)
+   */
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Get the recorded replay
+   * @returns {Object|null} Replay data
+   */
+  getReplay() {
+    return this.replay;
+  }
+}
+
+/**
+ * Get the total simulation duration of a replay
+ * @param {Object} replay - Replay data
+ * @returns {number} Duration in seconds
+ */
+export function getReplayDuration(replay) {
+  return replay.ticks * replay.timestep;
+}
+
+/**
+ * Apply a recorded event to a game core
+ * @param {GameCore} core - Core being replayed
+ * @param {Object} event - Recorded event
+ */
+export function applyReplayEvent(core, event) {
+  switch (event.type) {
+    case 'input':
+      core.typeInput(event.value);
+      break;
+
+    case 'clear':
+      core.clearInput();
+      break;
+
+    case 'cycleTarget':
+      core.cycleTarget();
+      break;
+
+    case 'autoRetarget':
+      core.setAutoRetarget(event.enabled);
+      break;
+
+    case 'resize':
+      core.resize(event.width, event.height);
+      break;
+  }
+}
+
+/**
+ * Create a game core set up like a replay's recorded run
+ * @param {Object} replay - Parsed replay data
+ * @param {Object} options - Extra GameCore options (e.g. wordSource, and waves for replays
+ *   stored without their wave definitions)
+ * @returns {GameCore} Core at the start of the run
+ */
+export function createReplayCore(replay, options = {}) {
+  return new GameCore({
+    ...options,
+    seed: replay.seed,
+    width: replay.settings.width,
+    height: replay.settings.height,
+    waves: replay.settings.waves ?? options.waves,
+    difficulty: replay.settings.difficulty,
+    mode: replay.settings.mode,
+    autoRetarget: replay.settings.autoRetarget,
+    reviewWords: replay.settings.reviewWords
+  });
+}
+
+/**
+ * Re-run a whole replay headlessly and return the result it produces
+ * Lets a score be verified (e.g. on a server) without trusting the recorded result
+ * @param {Object} replay - Parsed replay data
+ * @param {Object} options - Extra GameCore options (e.g. wordSource)
+ * @returns {Object} Score data from GameCore.getResult()
+ */
+export function simulateReplay(replay, options = {}) {
+  const core = createReplayCore(replay, options);
+
+  let eventIndex = 0;
+  for (let tick = 0; tick < replay.ticks; tick++) {
+    while (eventIndex < replay.events.length && replay.events[eventIndex].tick <= tick) {
+      applyReplayEvent(core, replay.events[eventIndex]);
+      eventIndex++;
+    }
+    core.step(replay.timestep);
+  }
+
+  return core.getResult();
+}
+
+/**
+ * Serialize a replay to a JSON string
+ * @param {Object} replay - Replay data
+ * @returns {string} JSON text
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a replay JSON string
+ * @param {string} text - JSON text
+ * @returns {Object} Replay data
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Replay file is empty');
+  }
+
+  return validateReplay(replay);
+}
+
+/**
+ * Check that replay data can be played back by this version of the game
+ * @param {Object} replay - Replay data
+ * @returns {Object} The same replay data
+ * @throws {Error} If the replay is outdated or malformed
+ */
+export function validateReplay(replay) {
+  if (Object.hasOwn(OUTDATED_VERSIONS, replay.version)) {
+    throw new Error(`This replay was recorded before the ${OUTDATED_VERSIONS[replay.version]} update and can no longer be reproduced`);
+  }
+
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version} (expected ${REPLAY_VERSION})`);
+  }
+
+  if (!Number.isInteger(replay.seed)) {
+    throw new Error('Replay is missing its seed');
+  }
+
+  if (!replay.settings || typeof replay.settings !== 'object') {
+    throw new Error('Replay is missing its settings');
+  }
+
+  if (replay.settings.waves !== undefined && getWaveConfigErrors(replay.settings.waves).length > 0) {
+    throw new Error('Replay wave definitions are invalid');
+  }
+
+  if (replay.settings.difficulty !== undefined && !isDifficulty(replay.settings.difficulty)) {
+    throw new Error(`Unknown replay difficulty: ${replay.settings.difficulty}`);
+  }
+
+  if (replay.settings.mode !== undefined && !isGameMode(replay.settings.mode)) {
+    throw new Error(`Unknown replay mode: ${replay.settings.mode}`);
+  }
+
+  if (replay.settings.reviewWords !== undefined &&
+      !(Array.isArray(replay.settings.reviewWords) && replay.settings.reviewWords.every(word => typeof word === 'string'))) {
+    throw new Error('Replay review words are invalid');
+  }
+
+  if (typeof replay.timestep !== 'number' || replay.timestep <= 0) {
+    throw new Error('Replay timestep is invalid');
+  }
+
+  if (!Number.isInteger(replay.ticks) || replay.ticks < 0) {
+    throw new Error('Replay step count is invalid');
+  }
+
+  if (!Array.isArray(replay.events) || !replay.events.every(e => e && Number.isInteger(e.tick) && typeof e.type === 'string')) {
+    throw new Error('Replay events are invalid');
+  }
+
+  return replay;
+}
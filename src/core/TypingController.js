@@ -0,0 +1,257 @@
+import { normalizeThaana } from '../utils/thaana.js';
+
+/**
+ * Typing rules for the game core - targeting and damage per keystroke
+ * Works on the full value of the text field, as produced by JTK phonetic input. Every
+ * key event is filed in the core's keystroke ledger, which keeps the typing statistics.
+ */
+export class TypingController {
+  /**
+   * @param {GameCore} core - Game core to act on
+   */
+  constructor(core) {
+    this.core = core;
+    this.currentInput = '';
+    this.lastInputLength = 0;
+  }
+
+  /**
+   * Validate and update input - only accept characters that match targeted enemy
+   * @param {string} newValue - New input value from text field
+   */
+  validateAndUpdateInput(newValue) {
+    // Deleting characters is always allowed
+    if (newValue.length <= this.currentInput.length) {
+      // The text field reports each value twice (input and keyup); only changes are key events
+      if (newValue.length < this.currentInput.length) {
+        this.record('correction');
+      } else if (newValue !== this.currentInput) {
+        this.record('ignored');
+      }
+
+      this.currentInput = newValue;
+      this.checkMatches();
+      return;
+    }
+
+    const targetedEnemy = this.core.getTargetedEnemy();
+
+    if (targetedEnemy) {
+      const normalizedNewValue = normalizeThaana(newValue);
+      const normalizedTargetWord = normalizeThaana(targetedEnemy.word);
+      const expected = normalizedTargetWord.charAt(normalizeThaana(this.currentInput).length);
+      const typed = normalizedNewValue.charAt(normalizedNewValue.length - 1);
+
+      if (normalizedTargetWord.startsWith(normalizedNewValue)) {
+        this.currentInput = newValue;
+
+        this.record('correct');
+        this.core.emit('keystroke', { correct: true, expected, typed });
+
+        this.core.emit('shot', { enemy: targetedEnemy });
+        targetedEnemy.hit(1);
+        targetedEnemy.setTypedChars(normalizedNewValue.length);
+
+        if (normalizedNewValue === normalizedTargetWord) {
+          this.handleCompleteMatch(targetedEnemy);
+        }
+      } else {
+        // Wrong key: reject it and put the text field back to what was accepted
+        this.record('wrong');
+        this.core.emit('keystroke', { correct: false, expected, typed });
+        this.core.addPenalty(this.core.mode.scoring.wrongKey);
+        this.core.emit('inputChanged', { value: this.currentInput });
+      }
+    } else {
+      this.currentInput = newValue;
+      this.checkMatches();
+    }
+  }
+
+  /**
+   * Check if current input matches any enemy words
+   * When several enemies match, a completed word wins, then the current target, then
+   * the enemy closest to the player (the earliest spawned on an exact tie)
+   * @returns {boolean} True if some enemy matches the input
+   */
+  checkMatches() {
+    const enemies = this.core.enemies;
+
+    if (!this.currentInput || this.currentInput.length === 0) {
+      this.core.clearAllTargets();
+      this.lastInputLength = 0;
+      return false;
+    }
+
+    const normalizedInput = normalizeThaana(this.currentInput);
+
+    let matchedEnemy = null;
+
+    const isNewCharacter = this.currentInput.length > this.lastInputLength;
+    const hadTarget = enemies.some(e => e.targeted);
+
+    for (const enemy of enemies) {
+      if (enemy.dying) continue;
+
+      const normalizedWord = normalizeThaana(enemy.word);
+      if (!normalizedWord.startsWith(normalizedInput)) continue;
+
+      if (normalizedInput === normalizedWord) {
+        matchedEnemy = enemy;
+        break;
+      }
+
+      if (!matchedEnemy || this.isBetterMatch(enemy, matchedEnemy)) {
+        matchedEnemy = enemy;
+      }
+    }
+
+    const foundMatch = matchedEnemy !== null;
+
+    if (isNewCharacter && !hadTarget) {
+      // Without a target there's no telling which letter a wrong first key was meant to be
+      const typed = normalizedInput.charAt(normalizedInput.length - 1);
+      this.record(foundMatch ? 'correct' : 'wrong');
+      this.core.emit('keystroke', { correct: foundMatch, expected: foundMatch ? typed : null, typed });
+      if (!foundMatch) {
+        this.core.addPenalty(this.core.mode.scoring.wrongKey);
+      }
+    }
+
+    for (const enemy of enemies) {
+      if (enemy === matchedEnemy) {
+        const wasAlreadyTargeted = enemy.targeted;
+        enemy.setTargeted(true);
+        enemy.setTypedChars(normalizedInput.length);
+
+        // Locking on to a new target fires the first shot
+        if (!wasAlreadyTargeted && isNewCharacter) {
+          this.core.emit('shot', { enemy });
+          enemy.hit(1);
+        }
+
+        const normalizedWord = normalizeThaana(enemy.word);
+        if (normalizedInput === normalizedWord) {
+          this.handleCompleteMatch(enemy);
+        }
+      } else {
+        enemy.setTargeted(false);
+      }
+    }
+
+    this.lastInputLength = this.currentInput.length;
+
+    return foundMatch;
+  }
+
+  /**
+   * Decide whether an enemy is a better target than the best match so far
+   * @param {Enemy} enemy - Candidate enemy
+   * @param {Enemy} best - Best match so far
+   * @returns {boolean} True if the candidate should be targeted instead
+   */
+  isBetterMatch(enemy, best) {
+    if (enemy.targeted !== best.targeted) {
+      return enemy.targeted;
+    }
+    return this.core.getDistanceToPlayer(enemy) < this.core.getDistanceToPlayer(best);
+  }
+
+  /**
+   * Handle when a word is completely typed
+   * The word score is multiplied by the current combo; the enemy's bonus isn't
+   * An enemy with more words to go (a boss) stays targeted for its next word
+   * @param {Enemy} enemy - Enemy whose word was completed
+   */
+  handleCompleteMatch(enemy) {
+    const word = enemy.word; // completeWord() moves a boss on to its next word
+    const wordPoints = this.core.combo.apply(word.length * this.core.mode.scoring.perLetter);
+
+    if (!enemy.completeWord()) {
+      this.core.addScore(wordPoints);
+
+      this.currentInput = '';
+      this.lastInputLength = 0;
+      this.core.emit('inputChanged', { value: '' });
+
+      this.core.emit('wordCompleted', { enemy, word, points: wordPoints, wordsLeft: enemy.getWordsLeft() });
+      return;
+    }
+
+    const points = wordPoints + enemy.scoreBonus;
+    this.core.addScore(points);
+
+    this.clear();
+
+    this.core.emit('enemyDestroyed', { enemy, points });
+    this.core.handleEnemyDestroyed(enemy);
+  }
+
+  /**
+   * Move the lock to the next enemy whose word also starts with the typed input, in
+   * order of distance to the player
+   * @returns {boolean} True if the lock moved
+   */
+  cycleTarget() {
+    const current = this.core.getTargetedEnemy();
+    if (!current || !this.currentInput) return false;
+
+    const normalizedInput = normalizeThaana(this.currentInput);
+    const matches = this.core.enemies
+      .filter(enemy => !enemy.dying && normalizeThaana(enemy.word).startsWith(normalizedInput))
+      .sort((a, b) => this.core.getDistanceToPlayer(a) - this.core.getDistanceToPlayer(b));
+    if (matches.length < 2) return false;
+
+    const next = matches[(matches.indexOf(current) + 1) % matches.length];
+    current.setTargeted(false);
+    next.setTargeted(true);
+    next.setTypedChars(normalizedInput.length);
+
+    this.core.emit('targetChanged', { enemy: next });
+    return true;
+  }
+
+  /**
+   * The locked enemy went down before its word was finished (auto-retarget)
+   * The typed input moves to another enemy it matches, or is cleared if none does
+   */
+  handleTargetLost() {
+    if (this.currentInput) {
+      this.core.clearAllTargets();
+      this.lastInputLength = this.currentInput.length;
+
+      if (this.checkMatches()) {
+        this.core.emit('targetChanged', { enemy: this.core.getTargetedEnemy() || null });
+        return;
+      }
+    }
+
+    this.clear();
+  }
+
+  /**
+   * Clear current input
+   */
+  clear() {
+    this.currentInput = '';
+    this.lastInputLength = 0;
+    this.core.clearAllTargets();
+    this.core.emit('inputChanged', { value: '' });
+  }
+
+  /**
+   * Get current input text
+   * @returns {string} Accepted input
+   */
+  getCurrentInput() {
+    return this.currentInput;
+  }
+
+  /**
+   * File a key event in the core's keystroke ledger
+   * @param {string} kind - 'correct', 'wrong', 'correction' or 'ignored'
+   */
+  record(kind) {
+    this.core.keystrokes.record(kind);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Achievements
+ * Each badge unlocks once one of the player's lifetime records reaches its goal.
+ * The records are kept by AchievementService from game events:
+ *
+ *   shipsDestroyed - ships destroyed, by typing or by smart bomb
+ *   perfectWaves   - waves finished without a wrong key
+ *   bestWave       - highest wave reached
+ *   longestWord    - letters in the longest word typed
+ *   bestMultiplier - highest combo multiplier reached
+ *   dayStreak      - days in a row with a finished game (best run of days)
+ *   dailyChallenges - daily challenges finished
+ */
+export const ACHIEVEMENTS = [
+  { id: 'first_ship', icon: '🚀', title: 'First Contact', description: 'Destroy your first ship', record: 'shipsDestroyed', goal: 1 },
+  { id: 'ships_100', icon: '🎯', title: 'Sharpshooter', description: 'Destroy 100 ships', record: 'shipsDestroyed', goal: 100 },
+  { id: 'ships_1000', icon: '💥', title: 'Fleet Breaker', description: 'Destroy 1000 ships', record: 'shipsDestroyed', goal: 1000 },
+  { id: 'perfect_wave', icon: '✨', title: 'Flawless', description: 'Finish a wave at 100% accuracy', record: 'perfectWaves', goal: 1 },
+  { id: 'perfect_10', icon: '💎', title: 'Perfectionist', description: 'Finish 10 waves at 100% accuracy', record: 'perfectWaves', goal: 10 },
+  { id: 'wave_10', icon: '🌊', title: 'Deep Space', description: 'Reach wave 10', record: 'bestWave', goal: 10 },
+  { id: 'wave_20', icon: '🌌', title: 'Into the Void', description: 'Reach wave 20', record: 'bestWave', goal: 20 },
+  { id: 'long_word', icon: '📜', title: 'Wordsmith', description: 'Type a 30-letter word', record: 'longestWord', goal: 30 },
+  { id: 'max_combo', icon: '🔥', title: 'On Fire', description: 'Reach the ×4 combo multiplier', record: 'bestMultiplier', goal: 4 },
+  { id: 'streak_3', icon: '📅', title: 'Regular', description: 'Play 3 days in a row', record: 'dayStreak', goal: 3 },
+  { id: 'streak_7', icon: '🗓️', title: 'Dedicated', description: 'Play 7 days in a row', record: 'dayStreak', goal: 7 },
+  { id: 'daily_challenge', icon: '☀️', title: 'Daily Challenger', description: 'Finish a daily challenge', record: 'dailyChallenges', goal: 1 }
+];
+
+/**
+ * Create empty records for a new player
+ * @returns {Object} Records ({ shipsDestroyed, ..., plus lastPlayedDay and currentStreak
+ *   for working out dayStreak })
+ */
+export function createAchievementRecords() {
+  return {
+    shipsDestroyed: 0,
+    perfectWaves: 0,
+    bestWave: 0,
+    longestWord: 0,
+    bestMultiplier: 1,
+    dayStreak: 0,
+    dailyChallenges: 0,
+    lastPlayedDay: null,
+    currentStreak: 0
+  };
+}
+
+/**
+ * Get the badges whose goals have been reached but that aren't unlocked yet
+ * @param {Object} records - Records from createAchievementRecords()
+ * @param {Object<string, number>} unlocked - Unlock times of the badges already earned, by id
+ * @returns {Object[]} Newly earned badges
+ */
+export function getNewAchievements(records, unlocked) {
+  return ACHIEVEMENTS.filter(achievement =>
+    !unlocked[achievement.id] && (records[achievement.record] || 0) >= achievement.goal
+  );
+}
+
+/**
+ * Merge two copies of a player's achievements (e.g. this device's and the account's)
+ * Each record keeps the higher value, the run of days follows the copy played most
+ * recently, and a badge unlocked in either copy stays unlocked from its earliest time
+ * @param {{records: Object, unlocked: Object<string, number>}} saved - Records and badges
+ * @param {{records: Object, unlocked: Object<string, number>}} other - Records and badges
+ * @returns {{records: Object, unlocked: Object<string, number>}} Merged records and badges
+ */
+export function mergeAchievements(saved, other) {
+  const a = { ...createAchievementRecords(), ...saved.records };
+  const b = { ...createAchievementRecords(), ...other.records };
+
+  const records = {};
+  for (const key of Object.keys(a)) {
+    records[key] = typeof a[key] === 'number' ? Math.max(a[key], b[key] || 0) : a[key];
+  }
+
+  // The current run of days belongs to whichever copy saw the latest day
+  const latest = (b.lastPlayedDay || '') > (a.lastPlayedDay || '') ? b : a;
+  records.lastPlayedDay = latest.lastPlayedDay;
+  records.currentStreak = a.lastPlayedDay === b.lastPlayedDay
+    ? Math.max(a.currentStreak, b.currentStreak)
+    : latest.currentStreak;
+
+  const unlocked = { ...saved.unlocked };
+  for (const [id, time] of Object.entries(other.unlocked || {})) {
+    unlocked[id] = unlocked[id] ? Math.min(unlocked[id], time) : time;
+  }
+
+  return { records, unlocked };
+}
@@ -0,0 +1,29 @@
+/**
+ * Daily challenge
+ * Everyone who plays on the same calendar day gets the same seed, and with it the same
+ * words and spawns. Days are counted in UTC so players in different time zones still
+ * share one board.
+ */
+
+/**
+ * Get the calendar day a daily challenge belongs to
+ * @param {Date} date - Moment to look up (now if omitted)
+ * @returns {string} Day as YYYY-MM-DD
+ */
+export function getDailyDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Derive the seed of a day's challenge (FNV-1a hash of the day)
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {number} 32-bit unsigned seed
+ */
+export function getDailySeed(day) {
+  const key = `daily:${day}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
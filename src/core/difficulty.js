@@ -0,0 +1,120 @@
+/**
+ * Difficulty presets
+ * Each preset scales the wave definitions rather than replacing them, so balance
+ * changes in waves.json carry over to every difficulty.
+ *
+ *   speed          - enemy speed multiplier
+ *   spawnInterval  - time between spawns multiplier (lower = enemies arrive faster)
+ *   count          - enemies per wave multiplier
+ *   wordLength     - added to each wave's maximum word length (null = no length limit)
+ *   maxWordLength  - hard cap on word length, even in waves with no limit (null = none)
+ *   lives          - lives at the start of a run
+ *   adaptive       - speed, spawn rate and word length keep following the player's recent
+ *                    typing on top of the preset (see AdaptiveDifficulty.js)
+ *
+ * Bosses move at the preset's speed too.
+ */
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    id: 'easy',
+    label: 'Easy',
+    speed: 0.7,
+    spawnInterval: 1.4,
+    count: 0.75,
+    wordLength: -1,
+    maxWordLength: 8,
+    lives: 8,
+    adaptive: false
+  },
+  normal: {
+    id: 'normal',
+    label: 'Normal',
+    speed: 1,
+    spawnInterval: 1,
+    count: 1,
+    wordLength: 0,
+    maxWordLength: null,
+    lives: 5,
+    adaptive: false
+  },
+  hard: {
+    id: 'hard',
+    label: 'Hard',
+    speed: 1.3,
+    spawnInterval: 0.8,
+    count: 1.25,
+    wordLength: 3,
+    maxWordLength: null,
+    lives: 3,
+    adaptive: false
+  },
+  insane: {
+    id: 'insane',
+    label: 'Insane',
+    speed: 1.7,
+    spawnInterval: 0.6,
+    count: 1.5,
+    wordLength: null,
+    maxWordLength: null,
+    lives: 2,
+    adaptive: false
+  },
+  adaptive: {
+    id: 'adaptive',
+    label: 'Adaptive',
+    speed: 1,
+    spawnInterval: 1,
+    count: 1,
+    wordLength: 0,
+    maxWordLength: null,
+    lives: 5,
+    adaptive: true
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Look up a preset by id
+ * @param {string} id - Preset id ('easy', 'normal', 'hard', 'insane', 'adaptive')
+ * @returns {Object} Preset (Normal for unknown ids)
+ */
+export function getDifficulty(id) {
+  return DIFFICULTY_PRESETS[id] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * Check whether an id names a preset
+ * @param {string} id - Preset id
+ * @returns {boolean} True if the preset exists
+ */
+export function isDifficulty(id) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, id);
+}
+
+/**
+ * Scale resolved wave settings by a difficulty preset
+ * @param {Object} wave - Settings from WavePlan.getWave()
+ * @param {Object} preset - Difficulty preset
+ * @returns {Object} Adjusted copy of the settings
+ */
+export function applyDifficulty(wave, preset) {
+  let maxLength = wave.maxLength;
+  if (preset.wordLength === null) {
+    maxLength = null;
+  } else if (maxLength !== null) {
+    maxLength = Math.max(wave.minLength, maxLength + preset.wordLength);
+  }
+  if (preset.maxWordLength !== null) {
+    maxLength = maxLength === null ? preset.maxWordLength : Math.min(maxLength, preset.maxWordLength);
+  }
+
+  return {
+    ...wave,
+    count: Math.max(1, Math.round(wave.count * preset.count)),
+    spawnInterval: wave.spawnInterval * preset.spawnInterval,
+    speed: wave.speed * preset.speed,
+    maxLength,
+    boss: wave.boss && { ...wave.boss, speed: wave.boss.speed * preset.speed }
+  };
+}
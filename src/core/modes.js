@@ -0,0 +1,185 @@
+/**
+ * Game modes
+ *
+ *   damage      - enemies that reach the player cost lives (false = they fly back to the top)
+ *   waves       - play in waves with a pause between them (false = one continuous stream)
+ *   ranked      - results are saved to the leaderboards
+ *   duration    - seconds until the run ends on its own (null = runs until it's lost or ended)
+ *   difficulty  - difficulty preset the mode always uses (null = the player's choice)
+ *   levelEvery  - seconds per level in a stream (null = the level adapts to the player,
+ *                 see AdaptiveLevel)
+ *   scoring     - points per letter of a completed word, and points lost per wrong key and
+ *                 per enemy that gets past
+ *   daily       - every run on a calendar day uses that day's seed, and only the first
+ *                 run of the day is ranked (see daily.js)
+ *   review      - words due in the player's review deck are mixed in with fresh ones
+ *                 (see review.js)
+ *   ghost       - the run replays the seed of the player's best Classic run on the
+ *                 difficulty and races it as a ghost (see Ghost.js and GhostService)
+ */
+const STANDARD_SCORING = { perLetter: 2, wrongKey: 0, miss: 0 };
+const TIMED_SCORING = { perLetter: 10, wrongKey: 5, miss: 25 };
+
+export const GAME_MODES = {
+  classic: {
+    id: 'classic',
+    label: 'Classic',
+    damage: true,
+    waves: true,
+    ranked: true,
+    duration: null,
+    difficulty: null,
+    levelEvery: null,
+    scoring: STANDARD_SCORING,
+    daily: false,
+    review: false,
+    ghost: false
+  },
+  zen: {
+    id: 'zen',
+    label: 'Zen',
+    damage: false,
+    waves: false,
+    ranked: false,
+    duration: null,
+    difficulty: null,
+    levelEvery: null,
+    scoring: STANDARD_SCORING,
+    daily: false,
+    review: false,
+    ghost: false
+  },
+  review: {
+    id: 'review',
+    label: 'Review',
+    damage: false,
+    waves: false,
+    ranked: false,
+    duration: null,
+    difficulty: null,
+    levelEvery: null,
+    scoring: STANDARD_SCORING,
+    daily: false,
+    review: true,
+    ghost: false
+  },
+  timed60: {
+    id: 'timed60',
+    label: '60 Seconds',
+    damage: false,
+    waves: false,
+    ranked: true,
+    duration: 60,
+    difficulty: 'normal',
+    levelEvery: 20,
+    scoring: TIMED_SCORING,
+    daily: false,
+    review: false,
+    ghost: false
+  },
+  timed120: {
+    id: 'timed120',
+    label: '2 Minutes',
+    damage: false,
+    waves: false,
+    ranked: true,
+    duration: 120,
+    difficulty: 'normal',
+    levelEvery: 20,
+    scoring: TIMED_SCORING,
+    daily: false,
+    review: false,
+    ghost: false
+  },
+  timed300: {
+    id: 'timed300',
+    label: '5 Minutes',
+    damage: false,
+    waves: false,
+    ranked: true,
+    duration: 300,
+    difficulty: 'normal',
+    levelEvery: 20,
+    scoring: TIMED_SCORING,
+    daily: false,
+    review: false,
+    ghost: false
+  },
+  daily: {
+    id: 'daily',
+    label: 'Daily',
+    damage: true,
+    waves: true,
+    ranked: true,
+    duration: null,
+    difficulty: 'normal',
+    levelEvery: null,
+    scoring: STANDARD_SCORING,
+    daily: true,
+    review: false,
+    ghost: false
+  },
+  ghost: {
+    id: 'ghost',
+    label: 'Ghost Race',
+    damage: true,
+    waves: true,
+    ranked: false,
+    duration: null,
+    difficulty: null,
+    levelEvery: null,
+    scoring: STANDARD_SCORING,
+    daily: false,
+    review: false,
+    ghost: true
+  }
+};
+
+export const DEFAULT_MODE = 'classic';
+
+/**
+ * Look up a mode by id
+ * @param {string} id - Mode id ('classic', 'zen', 'review', 'timed60', 'timed120', 'timed300',
+ *   'daily', 'ghost')
+ * @returns {Object} Mode (Classic for unknown ids)
+ */
+export function getGameMode(id) {
+  return GAME_MODES[id] || GAME_MODES[DEFAULT_MODE];
+}
+
+/**
+ * Check whether an id names a mode
+ * @param {string} id - Mode id
+ * @returns {boolean} True if the mode exists
+ */
+export function isGameMode(id) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, id);
+}
+
+/**
+ * Check whether a mode is a timed challenge (each duration has its own leaderboard)
+ * @param {string} id - Mode id
+ * @returns {boolean} True for timed modes
+ */
+export function isTimedMode(id) {
+  return getGameMode(id).duration !== null;
+}
+
+/**
+ * Check whether a mode is the daily challenge
+ * @param {string} id - Mode id
+ * @returns {boolean} True for the daily challenge
+ */
+export function isDailyMode(id) {
+  return getGameMode(id).daily;
+}
+
+/**
+ * Check whether a mode keeps its own leaderboard instead of sharing Classic's
+ * (timed challenges per duration, the daily challenge per day)
+ * @param {string} id - Mode id
+ * @returns {boolean} True if the mode has its own leaderboard
+ */
+export function hasOwnLeaderboard(id) {
+  return isTimedMode(id) || isDailyMode(id);
+}
@@ -0,0 +1,62 @@
+/**
+ * Power-ups
+ * Carrier enemies hold one; destroying a carrier drops it as a pickup with a short bonus
+ * word, and typing the bonus word before the pickup fades activates it.
+ *
+ *   label      - name shown on the pickup and in the HUD
+ *   color      - colour of the carrier's glow, the pickup and the HUD indicator
+ *   needsLives - only dropped in modes where enemies cost lives
+ *   duration   - seconds the effect lasts (slow time only)
+ *   factor     - enemy speed multiplier while the effect lasts (slow time only)
+ */
+export const POWER_UPS = {
+  heal: {
+    id: 'heal',
+    label: '+1 Life',
+    color: '#00ff88',
+    needsLives: true
+  },
+  slow: {
+    id: 'slow',
+    label: 'Slow Time',
+    color: '#66ccff',
+    needsLives: false,
+    duration: 5,
+    factor: 0.4
+  },
+  bomb: {
+    id: 'bomb',
+    label: 'Smart Bomb',
+    color: '#ffaa00',
+    needsLives: false
+  },
+  shield: {
+    id: 'shield',
+    label: 'Shield',
+    color: '#cc88ff',
+    needsLives: true
+  }
+};
+
+/**
+ * Seconds a dropped pickup waits to be typed before it fades
+ */
+export const PICKUP_LIFETIME = 6;
+
+/**
+ * Look up a power-up by id
+ * @param {string} id - Power-up id ('heal', 'slow', 'bomb', 'shield')
+ * @returns {Object|undefined} Power-up
+ */
+export function getPowerUp(id) {
+  return POWER_UPS[id];
+}
+
+/**
+ * Get the power-ups a mode can drop
+ * @param {Object} mode - Game mode (see modes.js)
+ * @returns {Object[]} Power-ups
+ */
+export function getAvailablePowerUps(mode) {
+  return Object.values(POWER_UPS).filter(powerUp => mode.damage || !powerUp.needsLives);
+}
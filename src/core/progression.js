@@ -0,0 +1,107 @@
+/**
+ * Player XP and levels
+ * Every finished run earns XP for the words typed, a bonus for typing them accurately
+ * and a flat amount per wave cleared. XP adds up across runs into the player's level,
+ * and levels unlock ship skins and the harder difficulty presets.
+ */
+
+export const XP_RULES = {
+  perWord: 10, // XP per word typed (5 correct letters, as for WPM)
+  lettersPerWord: 5,
+  accuracyFloor: 80, // Accuracy (%) at which the accuracy bonus starts
+  accuracyBonus: 0.5, // Share of the word XP added at 100% accuracy
+  perWave: 25, // XP per wave cleared
+  levelStep: 250 // XP needed for level 2; each level after needs this much more than the last
+};
+
+/**
+ * Ship skins - a canvas filter over the player's ship sprite and the colour of its glow
+ *
+ *   level  - player level that unlocks the skin
+ *   filter - canvas filter applied to the sprite ('none' to draw it as it is)
+ *   glow   - colour of the glow around the ship
+ */
+export const SHIP_SKINS = {
+  classic: { id: 'classic', label: 'Classic', level: 1, filter: 'none', glow: '#00bbff' },
+  emerald: { id: 'emerald', label: 'Emerald', level: 3, filter: 'hue-rotate(-70deg)', glow: '#00ff88' },
+  crimson: { id: 'crimson', label: 'Crimson', level: 5, filter: 'hue-rotate(160deg) saturate(1.4)', glow: '#ff4466' },
+  gold: { id: 'gold', label: 'Gold', level: 8, filter: 'hue-rotate(-150deg) saturate(1.6)', glow: '#ffdd55' },
+  phantom: { id: 'phantom', label: 'Phantom', level: 12, filter: 'grayscale(1) brightness(1.6)', glow: '#ffffff' }
+};
+
+export const DEFAULT_SKIN = 'classic';
+
+/**
+ * Player level needed for the harder difficulty presets (the others are always open)
+ */
+export const DIFFICULTY_UNLOCKS = {
+  hard: 3,
+  insane: 6
+};
+
+/**
+ * Work out the XP a finished run earns
+ * @param {Object} result - Result from GameCore.getResult()
+ * @returns {{words: number, accuracy: number, waves: number, total: number}} XP for the
+ *   words typed, the accuracy bonus, the waves cleared and in all
+ */
+export function getRunXp(result) {
+  const words = Math.floor(result.correctInputs / XP_RULES.lettersPerWord) * XP_RULES.perWord;
+  const accuracyShare = Math.max(0, (result.accuracy - XP_RULES.accuracyFloor) / (100 - XP_RULES.accuracyFloor));
+  const accuracy = Math.round(words * XP_RULES.accuracyBonus * accuracyShare);
+  const waves = (result.wave || 0) * XP_RULES.perWave;
+
+  return { words, accuracy, waves, total: words + accuracy + waves };
+}
+
+/**
+ * Total XP needed to reach a level
+ * @param {number} level - Level (1 and up)
+ * @returns {number} XP
+ */
+export function getXpForLevel(level) {
+  return (XP_RULES.levelStep * (level - 1) * level) / 2;
+}
+
+/**
+ * Work out the level for an amount of XP
+ * @param {number} xp - Total XP
+ * @returns {{level: number, xp: number, levelXp: number, nextLevelXp: number}} Level, the
+ *   XP it started at and the XP the next level starts at
+ */
+export function getLevelInfo(xp) {
+  let level = 1;
+  while (xp >= getXpForLevel(level + 1)) {
+    level++;
+  }
+  return { level, xp, levelXp: getXpForLevel(level), nextLevelXp: getXpForLevel(level + 1) };
+}
+
+/**
+ * Look up a ship skin by id
+ * @param {string} id - Skin id
+ * @returns {Object} Skin (Classic for unknown ids)
+ */
+export function getShipSkin(id) {
+  return SHIP_SKINS[id] || SHIP_SKINS[DEFAULT_SKIN];
+}
+
+/**
+ * Check whether a ship skin is open at a level
+ * @param {string} id - Skin id
+ * @param {number} level - Player level
+ * @returns {boolean} True if the skin can be used
+ */
+export function isSkinUnlocked(id, level) {
+  return id in SHIP_SKINS && level >= SHIP_SKINS[id].level;
+}
+
+/**
+ * Check whether a difficulty preset is open at a level
+ * @param {string} id - Difficulty preset id
+ * @param {number} level - Player level
+ * @returns {boolean} True if the preset can be picked
+ */
+export function isDifficultyUnlocked(id, level) {
+  return level >= (DIFFICULTY_UNLOCKS[id] || 1);
+}
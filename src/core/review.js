@@ -0,0 +1,124 @@
+/**
+ * Spaced-repetition review of missed words (SM-2)
+ *
+ * Words the player mistyped or let through go into a review deck. Each time a word
+ * comes up again it is graded from 0 (got through) to 5 (typed cleanly and quickly),
+ * and the grade sets when it is next due: a good grade pushes it further out each
+ * time, a bad one brings it back tomorrow. Review mode mixes the due words in with
+ * fresh ones.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REVIEW_SETTINGS = {
+  initialEase: 2.5,
+  minEase: 1.3,
+  fastSecondsPerLetter: 0.4, // Typing a word at this pace or faster earns a 5 (30 WPM)
+  maxDueWords: 20, // Due words queued for one Review run
+  share: 0.5 // Share of Review mode spawns that use a due word while any are left
+};
+
+/**
+ * Create a card for a word that isn't in the deck yet
+ * @param {string} word - Word to review
+ * @param {number} now - Current time in ms
+ * @returns {Object} Card ({ word, repetitions, interval, ease, due, lapses, lastSeen })
+ */
+export function createReviewCard(word, now) {
+  return {
+    word,
+    repetitions: 0,
+    interval: 0, // Days
+    ease: REVIEW_SETTINGS.initialEase,
+    due: now,
+    lapses: 0,
+    lastSeen: now
+  };
+}
+
+/**
+ * Grade one encounter with a word
+ * @param {Object} encounter - How it went
+ * @param {string} encounter.word - Word
+ * @param {number} encounter.mistakes - Wrong keys while it was targeted
+ * @param {boolean} encounter.reached - It got through to the player
+ * @param {number|null} encounter.killTime - Seconds from its first letter to destroying it
+ *   (null if it wasn't destroyed)
+ * @returns {number} Grade from 0 to 5 (3 and up count as remembered)
+ */
+export function gradeEncounter({ word, mistakes, reached, killTime }) {
+  if (reached) return 0;
+  if (mistakes >= 3) return 1;
+  if (mistakes === 2) return 2;
+  if (mistakes === 1) return 3;
+
+  const fast = killTime !== null && killTime <= word.length * REVIEW_SETTINGS.fastSecondsPerLetter;
+  return fast ? 5 : 4;
+}
+
+/**
+ * Schedule a card's next review from a grade (SM-2)
+ * @param {Object} card - Card from createReviewCard()
+ * @param {number} grade - Grade from gradeEncounter()
+ * @param {number} now - Current time in ms
+ * @returns {Object} Updated copy of the card
+ */
+export function scheduleReview(card, grade, now) {
+  let { repetitions, interval, lapses } = card;
+
+  if (grade >= 3) {
+    interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * card.ease);
+    repetitions++;
+  } else {
+    repetitions = 0;
+    interval = 1;
+    lapses++;
+  }
+
+  const ease = Math.max(
+    REVIEW_SETTINGS.minEase,
+    card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)
+  );
+
+  return {
+    ...card,
+    repetitions,
+    interval,
+    ease: Math.round(ease * 100) / 100,
+    due: now + interval * DAY_MS,
+    lapses,
+    lastSeen: now
+  };
+}
+
+/**
+ * Get the words due for review, most overdue first
+ * @param {Object<string, Object>} deck - Cards keyed by word
+ * @param {number} now - Current time in ms
+ * @param {number} limitCount - Most words to return
+ * @returns {string[]} Due words
+ */
+export function getDueWords(deck, now, limitCount = REVIEW_SETTINGS.maxDueWords) {
+  return Object.values(deck)
+    .filter(card => card.due <= now)
+    .sort((a, b) => a.due - b.due)
+    .slice(0, limitCount)
+    .map(card => card.word);
+}
+
+/**
+ * Merge two copies of a deck (e.g. this device's and the account's)
+ * Each word keeps the card that was reviewed most recently
+ * @param {Object<string, Object>} deck - Cards keyed by word
+ * @param {Object<string, Object>} other - Cards keyed by word
+ * @returns {Object<string, Object>} Merged deck
+ */
+export function mergeReviewDecks(deck, other) {
+  const merged = { ...deck };
+  for (const [word, card] of Object.entries(other)) {
+    if (!merged[word] || card.lastSeen > merged[word].lastSeen) {
+      merged[word] = card;
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,343 @@
+import { ENEMY_TYPES } from './Enemy.js';
+
+/**
+ * Declarative wave definitions
+ *
+ * A wave config is plain JSON (see src/data/waves.json):
+ *
+ *   {
+ *     "defaults": { ...wave fields },
+ *     "waves": [
+ *       { "from": 1, "to": 3, ...wave fields },
+ *       { "from": 4, ...wave fields }            // no "to" = every wave after
+ *     ],
+ *     "boss": { ...boss fields }                   // optional
+ *   }
+ *
+ * Wave fields (all optional, missing ones fall back to "defaults", then to DEFAULT_WAVE):
+ *   count          - enemies in the wave
+ *   spawnInterval  - seconds between spawns
+ *   speed          - enemy speed
+ *   wordLength     - { "min": n, "max": n } word length range ("max": null = no limit)
+ *   wordList       - number of the bundled word list to draw from (src/data/words/<n>.txt)
+ *   words          - inline word list, used instead of wordList
+ *   enemyTypes     - { "<type>": weight } mix of enemy types
+ *   perWave        - { "<numeric field>": step } growth per wave for count, spawnInterval,
+ *                    speed or wordList, counted from the first wave of the range that sets
+ *                    the value (or from wave 1 for values from "defaults")
+ *
+ * Boss fields (missing ones fall back to DEFAULT_BOSS). Without a "boss" entry there are
+ * no boss waves:
+ *   every          - every Nth wave ends with a boss
+ *   speed          - boss descent speed
+ *   bonus          - points for destroying the boss, on top of its words
+ *   damage         - lives lost if the boss reaches the player
+ *   phrases        - inline phrase list, used instead of the bundled phrases
+ */
+
+/**
+ * Values used for anything a config leaves out
+ */
+export const DEFAULT_WAVE = {
+  count: 10,
+  spawnInterval: 3.0,
+  speed: 30,
+  wordLength: { min: 1, max: null },
+  wordList: 5,
+  words: null,
+  enemyTypes: { basic: 1 },
+  perWave: {}
+};
+
+/**
+ * Values used for anything a boss entry leaves out
+ */
+export const DEFAULT_BOSS = {
+  every: 5,
+  speed: 12,
+  bonus: 100,
+  damage: 2,
+  phrases: null
+};
+
+const WAVE_FIELDS = ['count', 'spawnInterval', 'speed', 'wordLength', 'wordList', 'words', 'enemyTypes', 'perWave'];
+const GROWING_FIELDS = ['count', 'spawnInterval', 'speed', 'wordList'];
+const BOSS_FIELDS = Object.keys(DEFAULT_BOSS);
+
+/**
+ * Check a wave config and describe every problem found
+ * @param {Object} config - Wave config
+ * @returns {string[]} Problems (empty when valid)
+ */
+export function getWaveConfigErrors(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['wave config must be an object'];
+  }
+
+  for (const key of Object.keys(config)) {
+    if (key !== 'defaults' && key !== 'waves' && key !== 'boss') {
+      errors.push(`unknown key "${key}"`);
+    }
+  }
+
+  if (config.defaults !== undefined) {
+    checkWaveFields(config.defaults, 'defaults', errors);
+  }
+
+  if (config.boss !== undefined) {
+    checkBossFields(config.boss, errors);
+  }
+
+  if (config.waves !== undefined && !Array.isArray(config.waves)) {
+    errors.push('waves must be an array');
+    return errors;
+  }
+
+  const ranges = config.waves || [];
+  ranges.forEach((range, index) => {
+    const path = `waves[${index}]`;
+    if (!range || typeof range !== 'object' || Array.isArray(range)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (!Number.isInteger(range.from) || range.from < 1) {
+      errors.push(`${path}.from must be a whole number of at least 1`);
+    }
+    if (range.to !== undefined && (!Number.isInteger(range.to) || range.to < range.from)) {
+      errors.push(`${path}.to must be a whole number no smaller than from`);
+    }
+
+    const { from, to, ...fields } = range;
+    checkWaveFields(fields, path, errors);
+
+    const previous = ranges[index - 1];
+    if (previous && Number.isInteger(previous.from) && Number.isInteger(range.from)) {
+      const previousEnd = previous.to ?? Infinity;
+      if (range.from <= previousEnd) {
+        errors.push(`${path} overlaps the range before it (ranges must be in order and not overlap)`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check the wave fields of a range or of the defaults
+ * @param {Object} fields - Wave fields
+ * @param {string} path - Where the fields are, for error messages
+ * @param {string[]} errors - Problems found so far
+ */
+function checkWaveFields(fields, path, errors) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const key of Object.keys(fields)) {
+    if (!WAVE_FIELDS.includes(key)) {
+      errors.push(`${path}: unknown field "${key}"`);
+    }
+  }
+
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  if (fields.count !== undefined && !(Number.isInteger(fields.count) && fields.count > 0)) {
+    errors.push(`${path}.count must be a whole number above 0`);
+  }
+  if (fields.spawnInterval !== undefined && !isPositive(fields.spawnInterval)) {
+    errors.push(`${path}.spawnInterval must be a number above 0`);
+  }
+  if (fields.speed !== undefined && !isPositive(fields.speed)) {
+    errors.push(`${path}.speed must be a number above 0`);
+  }
+  if (fields.wordList !== undefined && !(Number.isInteger(fields.wordList) && fields.wordList >= 0)) {
+    errors.push(`${path}.wordList must be a whole number`);
+  }
+
+  if (fields.wordLength !== undefined) {
+    const { min, max, ...rest } = fields.wordLength || {};
+    if (!fields.wordLength || typeof fields.wordLength !== 'object' || Object.keys(rest).length > 0) {
+      errors.push(`${path}.wordLength must be { "min": n, "max": n }`);
+    } else {
+      if (min !== undefined && !(Number.isInteger(min) && min >= 1)) {
+        errors.push(`${path}.wordLength.min must be a whole number of at least 1`);
+      }
+      if (max !== undefined && max !== null && !(Number.isInteger(max) && max >= (min ?? 1))) {
+        errors.push(`${path}.wordLength.max must be null or a whole number no smaller than min`);
+      }
+    }
+  }
+
+  if (fields.words !== undefined && fields.words !== null) {
+    if (!Array.isArray(fields.words) || fields.words.length === 0 || !fields.words.every(w => typeof w === 'string' && w.length > 0)) {
+      errors.push(`${path}.words must be a non-empty list of words`);
+    }
+  }
+
+  if (fields.enemyTypes !== undefined) {
+    const types = fields.enemyTypes;
+    if (!types || typeof types !== 'object' || Array.isArray(types)) {
+      errors.push(`${path}.enemyTypes must be an object of type weights`);
+    } else {
+      for (const [type, weight] of Object.entries(types)) {
+        if (!ENEMY_TYPES.includes(type)) {
+          errors.push(`${path}.enemyTypes: unknown enemy type "${type}" (known: ${ENEMY_TYPES.join(', ')})`);
+        }
+        if (typeof weight !== 'number' || !(weight >= 0)) {
+          errors.push(`${path}.enemyTypes.${type} must be a weight of 0 or more`);
+        }
+      }
+      if (!Object.values(types).some(weight => weight > 0)) {
+        errors.push(`${path}.enemyTypes needs at least one type with a weight above 0`);
+      }
+    }
+  }
+
+  if (fields.perWave !== undefined) {
+    const perWave = fields.perWave;
+    if (!perWave || typeof perWave !== 'object' || Array.isArray(perWave)) {
+      errors.push(`${path}.perWave must be an object`);
+    } else {
+      for (const [key, step] of Object.entries(perWave)) {
+        if (!GROWING_FIELDS.includes(key)) {
+          errors.push(`${path}.perWave: "${key}" can't grow per wave (only ${GROWING_FIELDS.join(', ')})`);
+        }
+        if (typeof step !== 'number' || !Number.isFinite(step)) {
+          errors.push(`${path}.perWave.${key} must be a number`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Check the boss entry
+ * @param {Object} fields - Boss fields
+ * @param {string[]} errors - Problems found so far
+ */
+function checkBossFields(fields, errors) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push('boss must be an object');
+    return;
+  }
+
+  for (const key of Object.keys(fields)) {
+    if (!BOSS_FIELDS.includes(key)) {
+      errors.push(`boss: unknown field "${key}"`);
+    }
+  }
+
+  if (fields.every !== undefined && !(Number.isInteger(fields.every) && fields.every > 0)) {
+    errors.push('boss.every must be a whole number above 0');
+  }
+  if (fields.speed !== undefined && !(typeof fields.speed === 'number' && Number.isFinite(fields.speed) && fields.speed > 0)) {
+    errors.push('boss.speed must be a number above 0');
+  }
+  if (fields.bonus !== undefined && !(Number.isInteger(fields.bonus) && fields.bonus >= 0)) {
+    errors.push('boss.bonus must be a whole number of 0 or more');
+  }
+  if (fields.damage !== undefined && !(Number.isInteger(fields.damage) && fields.damage > 0)) {
+    errors.push('boss.damage must be a whole number above 0');
+  }
+
+  if (fields.phrases !== undefined && fields.phrases !== null) {
+    if (!Array.isArray(fields.phrases) || fields.phrases.length === 0 || !fields.phrases.every(p => typeof p === 'string' && p.trim().length > 0)) {
+      errors.push('boss.phrases must be a non-empty list of phrases');
+    }
+  }
+}
+
+/**
+ * Validate a wave config, throwing if it has problems
+ * @param {Object} config - Wave config
+ * @returns {Object} The same config
+ */
+export function validateWaveConfig(config) {
+  const errors = getWaveConfigErrors(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid wave config:\n- ${errors.join('\n- ')}`);
+  }
+  return config;
+}
+
+/**
+ * Resolves wave numbers to concrete wave settings from a validated config
+ */
+export class WavePlan {
+  /**
+   * @param {Object} config - Wave config (validated here)
+   */
+  constructor(config = {}) {
+    this.config = validateWaveConfig(config);
+    this.defaults = { ...DEFAULT_WAVE, ...(config.defaults || {}) };
+    this.ranges = config.waves || [];
+    this.boss = config.boss ? { ...DEFAULT_BOSS, ...config.boss } : null;
+  }
+
+  /**
+   * Find the range a wave falls in
+   * @param {number} wave - Wave number
+   * @returns {Object|null} Range, or null if only the defaults apply
+   */
+  getRange(wave) {
+    return this.ranges.find(range => wave >= range.from && wave <= (range.to ?? Infinity)) || null;
+  }
+
+  /**
+   * Get the settings for a wave
+   * @param {number} wave - Wave number
+   * @returns {Object} Resolved settings ({ wave, count, spawnInterval, speed, minLength,
+   *   maxLength, wordList, words, enemyTypes, boss }); boss is null unless the wave ends
+   *   with a boss
+   */
+  getWave(wave) {
+    const range = this.getRange(wave) || { from: 1 };
+
+    const resolve = (field) => {
+      const fromRange = range[field] !== undefined;
+      const base = fromRange ? range[field] : this.defaults[field];
+      const step = range.perWave?.[field] ?? this.defaults.perWave?.[field] ?? 0;
+      const origin = fromRange ? range.from : 1;
+      return base + step * (wave - origin);
+    };
+
+    const wordLength = { ...DEFAULT_WAVE.wordLength, ...this.defaults.wordLength, ...range.wordLength };
+    // A range that picks its own word source overrides the default one, whichever kind it is
+    const rangeHasWords = range.words !== undefined || range.wordList !== undefined;
+
+    return {
+      wave,
+      count: Math.max(1, Math.round(resolve('count'))),
+      spawnInterval: Math.max(0.1, resolve('spawnInterval')),
+      speed: Math.max(0, resolve('speed')),
+      minLength: wordLength.min,
+      maxLength: wordLength.max,
+      wordList: Math.max(0, Math.round(resolve('wordList'))),
+      words: rangeHasWords ? (range.words ?? null) : this.defaults.words,
+      enemyTypes: range.enemyTypes ?? this.defaults.enemyTypes,
+      boss: this.isBossWave(wave) ? this.getBoss() : null
+    };
+  }
+
+  /**
+   * Check whether a wave ends with a boss
+   * @param {number} wave - Wave number
+   * @returns {boolean} True for boss waves
+   */
+  isBossWave(wave) {
+    return this.boss !== null && wave % this.boss.every === 0;
+  }
+
+  /**
+   * Get the boss settings
+   * @returns {Object} Boss settings ({ speed, bonus, damage, phrases })
+   */
+  getBoss() {
+    const { speed, bonus, damage, phrases } = this.boss;
+    return { speed, bonus, damage, phrases };
+  }
+}
@@ -0,0 +1,124 @@
+import { Random } from '../utils/Random.js';
+import { getFirstLetter } from '../utils/thaana.js';
+
+/**
+ * Word sources for the game core
+ * The core never loads files itself: the browser build passes in the lists bundled by
+ * Vite (see src/data/words.js), and headless users can pass in any lists they like.
+ */
+
+// Fallback word list in case no files are loaded
+export const fallbackWords = [
+  'ދިވެހި', 'ރާއްޖެ', 'ބަހުރުވަ', 'ކުޑަ', 'ބޮޑު',
+  'ރަނގަޅު', 'ފަހުން', 'މިހާރު', 'ކުރިން', 'މާލެ'
+];
+
+// Fallback boss phrases in case no phrase file is loaded
+export const fallbackPhrases = [
+  'ދިވެހި ބަހަކީ އަހަރެމެންގެ ބަހެވެ',
+  'މާލެއަކީ ދިވެހިރާއްޖޭގެ ވެރިރަށެވެ',
+  'ރަށުގެ މީހުން ވަރަށް ހެޔޮ'
+];
+
+/**
+ * Parse the contents of a word file into a word list
+ * One word per line; trailing punctuation and blank lines are removed
+ * @param {string} content - File contents
+ * @returns {string[]} Words
+ */
+export function parseWordList(content) {
+  return content
+    .split('\n')
+    .map(word => word.trim().replace(/[،.؟!;:،]+$/, '').trim())
+    .filter(word => word.length > 0);
+}
+
+/**
+ * Create a word source from word lists keyed by file number
+ * Which list each wave uses is set by the wave definitions (see waves.js)
+ * @param {Object<number, string[]>} wordsByFileNumber - Word lists keyed by file number
+ * @param {string[]} phrases - Phrases for boss enemies (words separated by spaces)
+ * @returns {{getWordList: Function, pickWord: Function, pickPhrase: Function}} Word source
+ */
+export function createWordSource(wordsByFileNumber = {}, phrases = []) {
+  /**
+   * Get a word list by number
+   * @param {number} list - List (file) number
+   * @returns {string[]} Array of words
+   */
+  function getWordList(list) {
+    const words = wordsByFileNumber[list];
+
+    if (words && words.length > 0) {
+      return words;
+    }
+
+    // If the list doesn't exist, use the last available one (or the first one when
+    // asking for a list shorter than any we have)
+    const availableFiles = Object.keys(wordsByFileNumber).map(Number).sort((a, b) => b - a);
+    if (availableFiles.length > 0) {
+      const firstFile = availableFiles[availableFiles.length - 1];
+      const lastFile = availableFiles[0];
+      return wordsByFileNumber[list < firstFile ? firstFile : lastFile] || fallbackWords;
+    }
+
+    return fallbackWords;
+  }
+
+  /**
+   * Pick a random word
+   * @param {Object} options - Where to pick from
+   * @param {number} options.list - List number to pick from
+   * @param {string[]|null} options.words - Inline word list, used instead of list
+   * @param {number} options.minLength - Minimum word length
+   * @param {number|null} options.maxLength - Maximum word length (null = no limit)
+   * @param {Set<string>|null} options.avoidFirstLetters - First letters to avoid if any other word fits
+   * @param {Random} rng - Random generator to pick with (the game's seeded generator)
+   * @returns {string} Random Dhivehi word
+   */
+  function pickWord({ list = 5, words = null, minLength = 1, maxLength = null, avoidFirstLetters = null } = {}, rng = new Random()) {
+    let wordList = words && words.length > 0 ? words : getWordList(list);
+
+    // Filter by length; if nothing fits, use the full list rather than fail
+    const filtered = wordList.filter(word =>
+      word.length >= minLength && (maxLength === null || word.length <= maxLength)
+    );
+    if (filtered.length > 0) {
+      wordList = filtered;
+    }
+
+    if (avoidFirstLetters && avoidFirstLetters.size > 0) {
+      const distinct = wordList.filter(word => !avoidFirstLetters.has(getFirstLetter(word)));
+      if (distinct.length > 0) {
+        wordList = distinct;
+      }
+    }
+
+    return rng.pick(wordList);
+  }
+
+  /**
+   * Pick a random phrase for a boss
+   * @param {Object} options - Where to pick from
+   * @param {string[]|null} options.phrases - Inline phrase list, used instead of the source's phrases
+   * @param {Set<string>|null} options.avoidFirstLetters - First letters to avoid if any other phrase fits
+   * @param {Random} rng - Random generator to pick with (the game's seeded generator)
+   * @returns {string} Random Dhivehi phrase
+   */
+  function pickPhrase({ phrases: inlinePhrases = null, avoidFirstLetters = null } = {}, rng = new Random()) {
+    let phraseList = inlinePhrases && inlinePhrases.length > 0
+      ? inlinePhrases
+      : phrases.length > 0 ? phrases : fallbackPhrases;
+
+    if (avoidFirstLetters && avoidFirstLetters.size > 0) {
+      const distinct = phraseList.filter(phrase => !avoidFirstLetters.has(getFirstLetter(phrase)));
+      if (distinct.length > 0) {
+        phraseList = distinct;
+      }
+    }
+
+    return rng.pick(phraseList);
+  }
+
+  return { getWordList, pickWord, pickPhrase };
+}
@@ -4,7 +4,14 @@ import bulletImageUrl from '../images/bullet.png';
  * Bullet class - represents a bullet/projectile fired at enemies
  */
 export class Bullet {
-  constructor(x, y, targetX, targetY) {
+  /**
+   * @param {number} x - Start X
+   * @param {number} y - Start Y
+   * @param {number} targetX - Target X
+   * @param {number} targetY - Target Y
+   * @param {number} opacity - Opacity to draw with (below 1 for a ghost's bullets)
+   */
+  constructor(x, y, targetX, targetY, opacity = 1) {
     this.x = x;
     this.y = y;
     this.startX = x;
@@ -15,6 +22,7 @@ export class Bullet {
     this.alive = true;
     this.width = 8;
     this.height = 24; 
+    this.opacity = opacity;
 
     
     this.image = new Image();
@@ -69,7 +77,7 @@ export class Bullet {
       
       ctx.shadowBlur = 40;
       ctx.shadowColor = '#ffff00';
-      ctx.globalAlpha = 1.0;
+      ctx.globalAlpha = 1.0 * this.opacity;
 
       ctx.drawImage(
         this.image,
@@ -80,7 +88,7 @@ export class Bullet {
       );
 
       
-      ctx.globalAlpha = 0.6;
+      ctx.globalAlpha = 0.6 * this.opacity;
       ctx.shadowBlur = 50;
       ctx.drawImage(
         this.image,
@@ -91,7 +99,7 @@ export class Bullet {
       );
 
       
-      ctx.globalAlpha = 0.4;
+      ctx.globalAlpha = 0.4 * this.opacity;
       ctx.shadowBlur = 60;
       ctx.drawImage(
         this.image,
@@ -103,6 +111,7 @@ export class Bullet {
     } else {
       
       ctx.fillStyle = '#ffff00';
+      ctx.globalAlpha = this.opacity;
       ctx.shadowBlur = 40;
       ctx.shadowColor = '#ffff00';
 
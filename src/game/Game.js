@@ -1,110 +1,193 @@
-import { Player } from './Player.js';
-import { Enemy } from './Enemy.js';
+import { GameCore } from '../core/GameCore.js';
+import { ReplayRecorder } from '../core/Replay.js';
+import { Ghost } from '../core/Ghost.js';
 import { InputHandler } from './InputHandler.js';
-import { ParticleSystem } from './ParticleSystem.js';
-import { Bullet } from './Bullet.js';
-import { getRandomWord } from '../data/words.js';
-import backgroundImageUrl from '../images/bg_space_seamless.png';
+import { Renderer } from './Renderer.js';
+import { GameAudio } from './GameAudio.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { HUD } from '../ui/HUD.js';
+import { wordSource } from '../data/words.js';
+import waveConfig from '../data/waves.json';
+import { Random } from '../utils/Random.js';
+import { getGameMode } from '../core/modes.js';
+import { getDailyDate, getDailySeed } from '../core/daily.js';
+import { getRunXp, getShipSkin } from '../core/progression.js';
+import { getDifficulty } from '../core/difficulty.js';
 
 /**
- * Main Game class
+ * Length of one simulation step in seconds
+ * The simulation always advances in steps of this size, whatever the display refresh rate
+ */
+export const FIXED_TIMESTEP = 1 / 60;
+
+/**
+ * Most simulation steps to run for a single rendered frame
+ * After a long stall the game slows down instead of fast-forwarding enemies into the player
+ */
+const MAX_STEPS_PER_FRAME = 5;
+
+/**
+ * Main Game class - runs a GameCore in the browser
+ * Owns the frame loop, canvas, HUD, sound, pausing, replays and score saving
  */
 export class Game {
-  constructor(canvas, firebaseService = null) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to render to
+   * @param {FirebaseService} firebaseService - Optional service for saving scores
+   * @param {Object} options - Optional settings
+   * @param {number} options.seed - Fixed seed for every run (random per run if omitted,
+   *   ignored by the daily challenge)
+   * @param {string} options.difficulty - Difficulty preset id (Normal if omitted)
+   * @param {string} options.mode - Game mode id (Classic if omitted)
+   * @param {LetterStatsService} options.letterStats - Optional per-letter stats to record
+   *   keystrokes into
+   * @param {ReviewService} options.review - Optional review deck to record missed words
+   *   into and to draw Review mode's words from
+   * @param {HistoryService} options.history - Optional session history to store every
+   *   finished run in
+   * @param {AchievementService} options.achievements - Optional achievement engine to
+   *   unlock badges from the game's events
+   * @param {GhostService} options.ghosts - Optional personal bests to keep and to race
+   *   in Ghost Race
+   */
+  constructor(canvas, firebaseService = null, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.firebaseService = firebaseService;
+    this.options = options;
+    this.letterStats = options.letterStats || null;
+    this.review = options.review || null;
+    this.history = options.history || null;
+    this.achievements = options.achievements || null;
+    this.ghosts = options.ghosts || null;
+    this.ghost = null;
+    this.waveConfig = waveConfig;
+    this.difficulty = options.difficulty;
+    this.mode = options.mode;
+    this.autoRetarget = false;
+    this.dailyDate = null;
+    this.dailyRanked = false;
+    this.dailyAttemptStarted = false;
+    this.dailyAttemptCheck = null;
+
+    this.core = new GameCore({
+      seed: this.getRunSeed(),
+      wordSource,
+      waves: this.waveConfig,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      reviewWords: this.review ? this.review.getDueWords() : []
+    });
 
-    
-    this.width = 1200;
-    this.height = 700;
-    this.setupCanvas();
-
-    
-    this.score = 0;
-    this.wave = 1;
-    this.gameOver = false;
     this.paused = false;
-    this.waveClear = false; 
-    this.waveStats = null; 
-
-    
-    this.lastTime = 0;
-    this.spawnInterval = this.getSpawnIntervalForWave(this.wave); 
-    this.spawnTimer = this.spawnInterval; 
-    this.waveStartTime = Date.now(); 
-    this.uiUpdateTimer = 0; 
-
-    
-    this.enemiesSpawnedThisWave = 0;
-    this.totalEnemiesThisWave = this.getEnemyCountForWave(this.wave);
-
-    
-    this.waveClearAlpha = 0; 
-    this.waveClearTimer = 0; 
-    this.waveClearDuration = 4.0; 
-
-    
-    this.totalStats = {
-      totalWavesCompleted: 0,
-      totalScore: 0,
-      totalCorrectInputs: 0,
-      totalIncorrectInputs: 0,
-      totalPlayTime: 0
-    };
-
-    
-    this.player = new Player(this.width / 2, this.height - 80);
-    this.enemies = [];
-    this.bullets = [];
-    this.particles = new ParticleSystem(this.width, this.height);
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.hudUpdateTime = 0;
+    this.muted = false;
+
+    this.renderer = new Renderer(this.ctx, this.core);
+    this.hud = new HUD();
+    this.audio = new GameAudio();
     this.input = new InputHandler(this);
 
-    
-    this.scoreElement = document.getElementById('score-value');
-    this.levelElement = document.getElementById('level-value');
-    this.wpmElement = document.getElementById('wpm-value');
-    this.accuracyElement = document.getElementById('accuracy-value');
-    this.healthSegments = document.querySelectorAll('.health-segment');
-
-    
-    this.audioContext = null;
-    this.initAudio();
-
-    
-    this.backgroundImage = new Image();
-    this.backgroundImage.src = backgroundImageUrl;
-    this.backgroundImageLoaded = false;
-    this.backgroundScrollY = 0; 
-    this.backgroundScrollSpeed = 20; 
-    this.backgroundImage.onload = () => {
-      this.backgroundImageLoaded = true;
-    };
+    this.recorder = new ReplayRecorder();
+    this.replayPlayer = null;
+
+    this.setupCanvas();
+    this.bindCoreEvents();
 
-    
     this.fontLoaded = false;
     this.loadFont();
 
-    
     this.init();
   }
 
+  /**
+   * Seed of the current run
+   * @returns {number} 32-bit seed
+   */
+  get seed() {
+    return this.core.seed;
+  }
+
+  /**
+   * Whether the current run has ended
+   * @returns {boolean} True after game over
+   */
+  get gameOver() {
+    return this.core.gameOver;
+  }
+
+  /**
+   * Subscribe the browser side (HUD, sound, effects, text field, saving) to the core
+   */
+  bindCoreEvents() {
+    const core = this.core;
+
+    this.audio.attach(core);
+    if (this.review) {
+      this.review.attach(core, () => !this.isReplaying());
+    }
+    if (this.history) {
+      this.history.attach(core, () => !this.isReplaying());
+    }
+    if (this.achievements) {
+      this.achievements.attach(core, () => !this.isReplaying());
+    }
+
+    core.on('shot', ({ enemy }) => {
+      if (!this.muted) {
+        this.renderer.addBullet(enemy);
+      }
+    });
+    core.on('inputChanged', ({ value }) => this.input.setValue(value));
+    core.on('wordCompleted', ({ enemy }) => this.renderer.addExplosion(enemy.x, enemy.y));
+    core.on('bossSpawn', () => this.renderer.showBossWarning());
+    core.on('powerUpActivated', ({ powerUp }) => {
+      this.renderer.showPowerUp(powerUp);
+      this.updateUI();
+    });
+    core.on('shieldHit', () => this.updateUI());
+    core.on('score', () => this.updateUI());
+    core.on('combo', ({ raised, broken }) => {
+      this.hud.animateCombo(raised, broken);
+      this.updateUI();
+    });
+    core.on('damage', () => this.updateUI());
+    core.on('waveStart', () => this.updateUI());
+    core.on('levelChange', () => this.updateUI());
+    core.on('difficultyChange', () => this.updateUI());
+    core.on('keystroke', (keystroke) => {
+      this.startDailyAttempt();
+      if (this.letterStats && !this.isReplaying()) {
+        this.letterStats.record(keystroke, core.gameTime);
+      }
+    });
+    core.on('reset', ({ seed }) => {
+      if (this.letterStats) {
+        this.letterStats.save();
+        this.letterStats.resetTiming();
+      }
+      this.renderer.reset(seed);
+      this.hudUpdateTime = 0;
+      this.updateUI();
+    });
+    core.on('gameOver', ({ result }) => this.onGameOver(result));
+  }
+
   /**
    * Load and ensure Waheed font is ready
    */
   async loadFont() {
     try {
-      
       if ('fonts' in document) {
-        
         await document.fonts.load('20px "MV Waheed"');
         this.fontLoaded = true;
       } else {
-        
         this.fontLoaded = true;
       }
     } catch (error) {
-      this.fontLoaded = true; 
+      this.fontLoaded = true;
     }
   }
 
@@ -112,10 +195,6 @@ export class Game {
    * Setup canvas size and resolution
    */
   setupCanvas() {
-    this.canvas.width = this.width;
-    this.canvas.height = this.height;
-
-    
     const dpr = window.devicePixelRatio || 1;
     const rect = this.canvas.getBoundingClientRect();
 
@@ -126,736 +205,506 @@ export class Game {
     this.canvas.style.width = rect.width + 'px';
     this.canvas.style.height = rect.height + 'px';
 
-    
-    this.width = rect.width;
-    this.height = rect.height;
+    this.viewWidth = rect.width;
+    this.viewHeight = rect.height;
 
-    
-    if (this.player) {
-      this.player.y = this.height - 80;
-      this.player.x = this.width / 2;
+    if (!this.replayPlayer) {
+      this.resize(rect.width, rect.height);
     }
   }
 
   /**
-   * Initialize game
+   * Resize the play field
+   * The play field is part of the simulation (spawn positions, off-screen checks),
+   * so size changes are recorded in the replay
+   * @param {number} width - Play field width
+   * @param {number} height - Play field height
    */
-  init() {
-    
-    this.particles.createStarfield(150);
-
-    
-    this.updateUI();
-
-    
-    this.gameLoop(0);
+  resize(width, height) {
+    this.core.resize(width, height);
+    this.renderer.resize(width, height);
+    this.recordInput({ type: 'resize', width, height });
   }
 
   /**
-   * Initialize audio context
+   * Get the settings that affect the simulation (stored with replays)
+   * @returns {Object} Settings
    */
-  initAudio() {
-    try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    } catch (e) {
-      
-    }
+  getSettings() {
+    return {
+      width: this.core.width,
+      height: this.core.height,
+      waves: this.core.wavePlan.config,
+      difficulty: this.core.difficulty.id,
+      mode: this.core.mode.id,
+      autoRetarget: this.core.autoRetarget,
+      reviewWords: this.core.reviewWords
+    };
   }
 
   /**
-   * Main game loop
-   * @param {number} timestamp - Current timestamp
+   * Apply settings from getSettings() (e.g. when playing back a replay)
+   * Takes effect from the next restart
+   * @param {Object} settings - Settings
    */
-  gameLoop(timestamp) {
-    
-    const deltaTime = timestamp - this.lastTime;
-    this.lastTime = timestamp;
-    const dt = deltaTime / 1000; 
+  applySettings(settings) {
+    this.resize(settings.width, settings.height);
+    this.core.setWaveConfig(settings.waves || this.waveConfig);
+    this.core.setDifficulty(settings.difficulty);
+    this.core.setMode(settings.mode);
+    this.core.setAutoRetarget(settings.autoRetarget);
+    this.core.setReviewWords(settings.reviewWords);
+  }
 
-    
-    if (!this.gameOver && !this.paused) {
-      this.update(dt);
-    }
-    this.render();
+  /**
+   * Switch difficulty and start a new run with it
+   * @param {string} id - Difficulty preset id
+   */
+  setDifficulty(id) {
+    this.difficulty = id;
+    if (this.isReplaying()) return;
 
-    
-    requestAnimationFrame((t) => this.gameLoop(t));
+    this.core.setDifficulty(id);
+    this.restart();
   }
 
   /**
-   * Update game state
-   * @param {number} dt - Delta time in seconds
+   * Turn auto-retarget on or off, straight away (recorded so replays follow it)
+   * @param {boolean} enabled - Whether a lost target hands the input to another match
    */
-  update(dt) {
-    
-    if (this.backgroundImageLoaded) {
-      this.backgroundScrollY += this.backgroundScrollSpeed * dt;
-      
-      if (this.backgroundScrollY >= this.backgroundImage.height) {
-        this.backgroundScrollY = 0;
-      }
-    }
-
-    
-    this.uiUpdateTimer += dt;
-    if (this.uiUpdateTimer >= 1.0) {
-      this.updateUI();
-      this.uiUpdateTimer = 0;
-    }
+  setAutoRetarget(enabled) {
+    this.autoRetarget = enabled;
+    if (this.isReplaying() || this.core.autoRetarget === enabled) return;
 
-    
-    this.player.update(dt);
+    this.recordInput({ type: 'autoRetarget', enabled });
+    this.core.setAutoRetarget(enabled);
+  }
 
-    
-    this.particles.update(dt);
+  /**
+   * Switch game mode and start a new run in it
+   * @param {string} id - Game mode id
+   */
+  setMode(id) {
+    this.mode = id;
+    if (this.isReplaying()) return;
 
-    
-    for (let i = this.bullets.length - 1; i >= 0; i--) {
-      const bullet = this.bullets[i];
-      bullet.update(dt);
+    this.core.setMode(id);
+    this.restart();
+  }
 
-      
-      if (!bullet.isAlive()) {
-        this.bullets.splice(i, 1);
-      }
-    }
+  /**
+   * Initialize game
+   */
+  init() {
+    this.renderer.reset(this.seed);
+    this.setupDailyRun();
+    this.setupGhost();
 
-    
-    for (let i = this.enemies.length - 1; i >= 0; i--) {
-      const enemy = this.enemies[i];
-      enemy.update(dt);
+    this.updateUI();
 
-      
-      if (!enemy.isAlive()) {
-        
-        if (enemy.targeted) {
-          this.input.clear();
-        }
-        this.enemies.splice(i, 1);
-        continue;
-      }
+    this.recorder.start(this.seed, this.getSettings(), FIXED_TIMESTEP);
 
-      
-      if ((enemy.isOffScreen(this.height + 50) || this.checkCollision(enemy, this.player)) && !enemy.dying) {
-        this.player.takeDamage();
-        this.updateUI();
-        this.playSound('damage');
-        enemy.destroy(); 
+    this.gameLoop(0);
+  }
 
-        
-        if (!this.player.isAlive()) {
-          this.endGame();
-        }
-      }
-    }
+  /**
+   * Choose the player's ship skin (purely cosmetic, so it isn't part of replays)
+   * @param {string} id - Skin id (see SHIP_SKINS in core/progression.js)
+   */
+  setSkin(id) {
+    this.renderer.setSkin(getShipSkin(id));
+  }
 
-    
-    const targetedEnemy = this.enemies.find(e => e.targeted);
-    this.player.setTarget(targetedEnemy || null);
+  /**
+   * Mute or unmute all sound effects and skip one-off effects (used while fast-forwarding replays)
+   * @param {boolean} muted - Whether sound is muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.audio.setMuted(muted);
+  }
 
-    
-    if (this.waveClear) {
-      this.waveClearTimer += dt;
+  /**
+   * Main game loop
+   * @param {number} timestamp - Current timestamp
+   */
+  gameLoop(timestamp) {
+    if (this.lastTime === null) {
+      this.lastTime = timestamp;
+    }
+    const frameTime = Math.min((timestamp - this.lastTime) / 1000, MAX_STEPS_PER_FRAME * FIXED_TIMESTEP);
+    this.lastTime = timestamp;
 
-      
-      if (this.waveClearTimer < 0.5) {
-        this.waveClearAlpha = this.waveClearTimer / 0.5;
-      }
-      
-      else if (this.waveClearTimer < this.waveClearDuration - 0.5) {
-        this.waveClearAlpha = 1.0;
-      }
-      
-      else if (this.waveClearTimer < this.waveClearDuration) {
-        this.waveClearAlpha = (this.waveClearDuration - this.waveClearTimer) / 0.5;
+    let alpha = 0;
+    if (this.replayPlayer) {
+      this.replayPlayer.advance(frameTime);
+      alpha = this.replayPlayer.getInterpolationAlpha();
+      if (this.replayPlayer.playing) {
+        this.renderer.update(frameTime * this.replayPlayer.speed);
       }
-      
-      else {
-        this.continueToNextWave();
-      }
-    } else {
-      
-      this.spawnTimer += dt;
-      if (this.spawnTimer >= this.spawnInterval) {
-        if (this.enemiesSpawnedThisWave < this.totalEnemiesThisWave) {
-          this.spawnEnemy();
-          this.spawnTimer = 0;
+    } else if (!this.gameOver && !this.paused) {
+      this.accumulator += frameTime;
+
+      let steps = 0;
+      while (this.accumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME && !this.gameOver) {
+        this.recorder.recordStep();
+        this.core.step(FIXED_TIMESTEP);
+        if (this.ghost) {
+          this.ghost.step();
         }
+        this.accumulator -= FIXED_TIMESTEP;
+        steps++;
       }
 
-      
-      if (this.enemiesSpawnedThisWave >= this.totalEnemiesThisWave && this.enemies.length === 0) {
-        this.showWaveClear();
+      if (steps === MAX_STEPS_PER_FRAME) {
+        this.accumulator = 0;
       }
+      alpha = this.accumulator / FIXED_TIMESTEP;
+      this.renderer.update(frameTime);
+    }
+
+    if (this.core.gameTime - this.hudUpdateTime >= 1.0) {
+      this.updateUI();
     }
+
+    this.renderer.render(this.viewWidth, this.viewHeight, alpha);
+
+    requestAnimationFrame((t) => this.gameLoop(t));
   }
 
   /**
-   * Render game
+   * Pause the game
    */
-  render() {
-    
-    this.ctx.fillStyle = '#000814';
-    this.ctx.fillRect(0, 0, this.width, this.height);
+  pause() {
+    if (this.paused || this.gameOver || this.isReplaying()) return;
 
-    
-    if (this.backgroundImageLoaded) {
-      const bgWidth = this.backgroundImage.width;
-      const bgHeight = this.backgroundImage.height;
+    this.paused = true;
+    this.audio.pauseMusic();
 
-      
-      const tilesX = Math.ceil(this.width / bgWidth) + 1;
-      const tilesY = 2; 
-
-      
-      for (let x = 0; x < tilesX; x++) {
-        for (let y = 0; y < tilesY; y++) {
-          const drawY = y * bgHeight - this.backgroundScrollY;
-          this.ctx.drawImage(
-            this.backgroundImage,
-            x * bgWidth,
-            drawY,
-            bgWidth,
-            bgHeight
-          );
-        }
-      }
+    if (window.showPauseMenu) {
+      window.showPauseMenu();
     }
+  }
 
-    
-    this.particles.draw(this.ctx);
+  /**
+   * Resume a paused game
+   */
+  resume() {
+    if (!this.paused) return;
 
-    
-    for (const bullet of this.bullets) {
-      bullet.draw(this.ctx);
-    }
+    this.paused = false;
+    this.audio.resumeMusic();
 
-    
-    for (const enemy of this.enemies) {
-      enemy.draw(this.ctx);
+    if (window.hidePauseMenu) {
+      window.hidePauseMenu();
     }
+    this.input.focus();
+  }
 
-    
-    this.player.draw(this.ctx);
-
-    
-    if (this.waveClear && this.waveStats) {
-      this.drawWaveClear();
+  /**
+   * Toggle between paused and running
+   */
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
     }
+  }
 
-    
-    if (this.gameOver) {
-      this.drawGameOver();
+  /**
+   * Quit the current run and show the results
+   */
+  quit() {
+    if (this.gameOver || this.isReplaying()) return;
+
+    this.paused = false;
+    if (window.hidePauseMenu) {
+      window.hidePauseMenu();
     }
+    this.core.endGame();
   }
 
   /**
-   * Get number of enemies for a specific wave
-   * @param {number} wave - Wave number
-   * @returns {number} Number of enemies to spawn
+   * Pass the text field value to the core
+   * @param {string} value - Full input value
    */
-  getEnemyCountForWave(wave) {
-    if (wave === 1) return 4;  
-    if (wave === 2) return 6;  
-    if (wave === 3) return 8;  
-    if (wave <= 5) return 10; 
-    if (wave <= 8) return 12; 
-    return 15; 
+  handleInput(value) {
+    this.recordInput({ type: 'input', value });
+    this.core.typeInput(value);
   }
 
   /**
-   * Get spawn interval for a specific wave
-   * @param {number} wave - Wave number
-   * @returns {number} Seconds between spawns
+   * Drop the current target and typed input
    */
-  getSpawnIntervalForWave(wave) {
-    if (wave === 1) return 6.0;  
-    if (wave === 2) return 4.5;  
-    if (wave === 3) return 3.5;  
-    if (wave <= 5) return 3.0;   
-    if (wave <= 8) return 2.5;   
-    return 2.0; 
+  clearInput() {
+    this.recordInput({ type: 'clear' });
+    this.core.clearInput();
   }
 
   /**
-   * Spawn a new enemy
+   * Move the lock to the next enemy matching the typed input
    */
-  spawnEnemy() {
-    
-    let maxLength = null;
-
-    
-    if (this.wave <= 3) {
-      maxLength = 5; 
-    } else if (this.wave <= 6) {
-      maxLength = 8; 
-    } else if (this.wave <= 10) {
-      maxLength = 12; 
-    }
-    
-
-    const word = getRandomWord(this.wave, maxLength);
-
-    
-    const margin = this.width * 0.1;
-    const spawnWidth = this.width - (margin * 2);
-    const x = Math.random() * spawnWidth + margin;
-
-    
-    let speed;
-    if (this.wave === 1) {
-      speed = 20; 
-    } else if (this.wave === 2) {
-      speed = 25; 
-    } else {
-      speed = 30 + (this.wave - 2) * 5; 
-    }
-
-    const enemy = new Enemy(word, x, -50, speed, this.player);
-    this.enemies.push(enemy);
-
-    
-    this.enemiesSpawnedThisWave++;
+  cycleTarget() {
+    this.recordInput({ type: 'cycleTarget' });
+    this.core.cycleTarget();
   }
 
-
   /**
-   * Show wave clear screen with statistics
+   * Update UI elements
    */
-  showWaveClear() {
-    
-    const waveEndTime = Date.now();
-    const waveDurationMs = waveEndTime - this.waveStartTime;
-    const waveDurationMinutes = waveDurationMs / 60000;
-
-    
-    const stats = this.input.getStatistics();
-
-    
-    const words = stats.correctInputs / 5;
-    const wpm = waveDurationMinutes > 0 ? Math.round(words / waveDurationMinutes) : 0;
-
-    
-    this.totalStats.totalWavesCompleted++;
-    this.totalStats.totalScore = this.score;
-    this.totalStats.totalCorrectInputs += stats.correctInputs;
-    this.totalStats.totalIncorrectInputs += stats.incorrectInputs;
-    this.totalStats.totalPlayTime += waveDurationMs;
-
-    
-    this.waveStats = {
-      wave: this.wave,
-      score: this.score,
-      wpm: wpm,
-      accuracy: stats.accuracy,
-      correctInputs: stats.correctInputs,
-      incorrectInputs: stats.incorrectInputs
-    };
-
-    
-    this.waveClear = true;
-    this.waveClearTimer = 0;
-    this.waveClearAlpha = 0;
-
-    
-    this.enemies = [];
+  updateUI() {
+    this.hudUpdateTime = this.core.gameTime;
+    this.hud.update(this.core.getLiveStats());
   }
 
   /**
-   * Continue to next wave after wave clear screen
+   * Record an input event for the replay at the current simulation step
+   * @param {Object} event - Event data
    */
-  continueToNextWave() {
-    this.wave++;
-    this.waveStartTime = Date.now();
-
-    
-    this.enemiesSpawnedThisWave = 0;
-    this.totalEnemiesThisWave = this.getEnemyCountForWave(this.wave);
-    this.spawnTimer = this.spawnInterval; 
-
-    
-    this.input.resetStatistics();
-
-    
-    this.spawnInterval = this.getSpawnIntervalForWave(this.wave);
+  recordInput(event) {
+    if (!this.recorder) return;
+    this.recorder.record(this.core.tick, this.core.gameTime, event);
+  }
 
-    
-    this.waveClear = false;
-    this.waveStats = null;
-    this.waveClearTimer = 0;
-    this.waveClearAlpha = 0;
+  /**
+   * Check if a replay is being played back
+   * @returns {boolean} True during playback
+   */
+  isReplaying() {
+    return this.replayPlayer !== null;
+  }
 
-    this.updateUI();
-    this.playSound('wave');
+  /**
+   * Start playing back a replay in place of the current game
+   * @param {Object} replay - Parsed replay data
+   * @returns {ReplayPlayer} Player controlling the playback
+   */
+  startReplay(replay) {
+    this.recorder.stop();
+    this.replayPlayer = new ReplayPlayer(this, replay);
+    this.replayPlayer.reset();
+    this.replayPlayer.play();
+    return this.replayPlayer;
   }
 
   /**
-   * Add score
-   * @param {number} points - Points to add
+   * Leave replay playback and start a fresh game
    */
-  addScore(points) {
-    this.score += points;
-    this.updateUI();
+  stopReplay() {
+    if (!this.replayPlayer) return;
+
+    this.replayPlayer = null;
+    this.setMuted(false);
+    this.core.setWaveConfig(this.waveConfig);
+    this.core.setDifficulty(this.difficulty);
+    this.core.setMode(this.mode);
+    this.core.setAutoRetarget(this.autoRetarget);
+    this.setupCanvas();
+    this.restart();
   }
 
   /**
-   * Update UI elements
+   * Seed for a new run
+   * @returns {number} Today's seed in the daily challenge, the personal best's seed in
+   *   Ghost Race, otherwise the fixed seed option or a fresh one
    */
-  updateUI() {
-    
-    if (this.scoreElement) {
-      this.scoreElement.textContent = String(this.score).padStart(7, '0');
+  getRunSeed() {
+    const mode = getGameMode(this.mode);
+    if (mode.daily) {
+      return getDailySeed(getDailyDate());
     }
-
-    
-    if (this.levelElement) {
-      this.levelElement.textContent = String(this.wave).padStart(3, '0');
+    if (mode.ghost) {
+      const best = this.getBestGhost();
+      if (best) return best.seed;
     }
+    return this.options.seed ?? Random.createSeed();
+  }
 
-    
-    if (this.wpmElement) {
-      const currentTime = Date.now();
-      const elapsedMinutes = (currentTime - this.waveStartTime) / 60000;
-      const stats = this.input.getStatistics();
-      const words = stats.correctInputs / 5;
-      const wpm = elapsedMinutes > 0 ? Math.round(words / elapsedMinutes) : 0;
-      this.wpmElement.textContent = String(wpm);
-    }
+  /**
+   * Work out whether a new daily challenge run is the day's ranked attempt
+   * Only the first run of the day is ranked; later runs are practice on the same content.
+   * The run counts as ranked until the player's records say otherwise
+   */
+  setupDailyRun() {
+    const daily = this.core.mode.daily && !this.replayPlayer;
+
+    this.dailyDate = daily ? getDailyDate() : null;
+    this.dailyRanked = daily && this.firebaseService !== null;
+    this.dailyAttemptStarted = false;
+    this.dailyAttemptCheck = this.dailyRanked ? this.checkDailyAttempt() : null;
+    this.renderer.setDailyInfo(daily ? { date: this.dailyDate, ranked: this.dailyRanked } : null);
+  }
 
-    
-    if (this.accuracyElement) {
-      const stats = this.input.getStatistics();
-      this.accuracyElement.textContent = `${stats.accuracy}%`;
-    }
+  /**
+   * Turn the daily run into practice if the player has already started the day's ranked
+   * attempt (in this browser or, with an account, anywhere)
+   */
+  async checkDailyAttempt() {
+    const dailyDate = this.dailyDate;
+    if (!(await this.firebaseService.hasUsedDailyAttempt(dailyDate))) return;
+    if (this.dailyDate !== dailyDate) return;
 
-    
-    const currentLives = this.player.getLives();
-    this.healthSegments.forEach((segment, index) => {
-      if (index < currentLives) {
-        segment.classList.remove('lost');
-      } else {
-        segment.classList.add('lost');
-      }
-    });
+    this.dailyRanked = false;
+    this.renderer.setDailyInfo({ date: dailyDate, ranked: false });
   }
 
   /**
-   * Clear all enemy targets
+   * Get the personal best to race on the current difficulty
+   * @returns {Object|null} Best run from GhostService, or null if there isn't one
    */
-  clearAllTargets() {
-    for (const enemy of this.enemies) {
-      enemy.setTargeted(false);
-    }
+  getBestGhost() {
+    return this.ghosts ? this.ghosts.getBest(getDifficulty(this.difficulty).id) : null;
   }
 
   /**
-   * Fire a bullet at an enemy
-   * @param {Enemy} enemy - Target enemy
+   * Start the ghost of the personal best alongside a new Ghost Race run
+   * The ghost replays its recorded keystrokes on its own core (with the wave plan it was
+   * recorded on), in step with the live one
    */
-  fireBullet(enemy) {
-    if (enemy) {
-      const bullet = new Bullet(
-        this.player.x,
-        this.player.y,
-        enemy.x,
-        enemy.y
-      );
-      this.bullets.push(bullet);
+  setupGhost() {
+    const best = this.core.mode.ghost && !this.replayPlayer ? this.getBestGhost() : null;
+
+    this.ghost = best && best.seed === this.seed
+      ? new Ghost(best.replay, { wordSource })
+      : null;
+    if (this.ghost) {
+      this.ghost.core.on('shot', ({ enemy }) => this.renderer.addGhostBullet(enemy));
     }
+    this.renderer.setGhost(this.ghost);
   }
 
   /**
-   * Check collision between enemy and player
-   * @param {Enemy} enemy - Enemy object
-   * @param {Player} player - Player object
-   * @returns {boolean} True if colliding
+   * Use up the day's ranked attempt once the player starts typing, so restarting a
+   * bad run doesn't give another ranked try
    */
-  checkCollision(enemy, player) {
-    const dx = enemy.x - player.x;
-    const dy = enemy.y - player.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    const minDistance = enemy.size + player.size;
-    return distance < minDistance;
+  async startDailyAttempt() {
+    if (!this.dailyRanked || this.dailyAttemptStarted || this.replayPlayer) return;
+
+    this.dailyAttemptStarted = true;
+    await this.dailyAttemptCheck;
+    if (this.dailyRanked) {
+      await this.firebaseService.markDailyAttempt(this.dailyDate);
+    }
   }
 
   /**
-   * End game
+   * Save the result of a finished run
+   * @param {Object} result - Result from GameCore.getResult()
    */
-  async endGame() {
-    this.gameOver = true;
-    this.playSound('gameover');
+  async onGameOver(result) {
+    this.updateUI();
 
-    
-    const overallAccuracy = this.totalStats.totalCorrectInputs + this.totalStats.totalIncorrectInputs > 0
-      ? Math.round((this.totalStats.totalCorrectInputs / (this.totalStats.totalCorrectInputs + this.totalStats.totalIncorrectInputs)) * 100)
-      : 100;
+    if (this.replayPlayer) return;
 
-    const totalMinutes = this.totalStats.totalPlayTime / 60000;
-    const totalWords = this.totalStats.totalCorrectInputs / 5;
-    const overallWPM = totalMinutes > 0 ? Math.round(totalWords / totalMinutes) : 0;
+    this.recorder.finish(result);
+    if (this.ghosts) {
+      this.ghosts.recordRun(this.recorder.getReplay(), result);
+    }
+    if (this.letterStats) {
+      this.letterStats.save();
+    }
+    if (this.review) {
+      this.review.save();
+    }
+    if (this.history) {
+      this.history.saveSession(result, {
+        seed: this.seed,
+        settings: this.getSettings(),
+        duration: this.core.gameTime,
+        dailyDate: this.dailyDate
+      });
+    }
+    if (this.achievements) {
+      this.achievements.save();
+    }
 
-    const scoreData = {
-      score: this.score,
-      wave: this.totalStats.totalWavesCompleted,
-      wpm: overallWPM,
-      accuracy: overallAccuracy
-    };
+    // XP is added once the result is saved, as a first saved game creates the users doc
+    // (starting from the account's local XP) that the XP then goes into
+    await this.saveRankedResult(result);
+    this.awardXp(result);
+  }
+
+  /**
+   * Save a ranked run to the leaderboards, offering to register first if not logged in
+   * @param {Object} result - Result from GameCore.getResult()
+   */
+  async saveRankedResult(result) {
+    // Practice modes show their summary on the canvas but stay off the leaderboards
+    if (!this.core.mode.ranked) return;
+    if (this.core.mode.daily && !this.dailyRanked) return;
+
+    const scoreData = this.dailyDate ? { ...result, dailyDate: this.dailyDate } : result;
+    this.startDailyAttempt();
 
-    
     if (this.firebaseService && this.firebaseService.isLoggedIn()) {
-      try {
-        await this.firebaseService.saveScore(scoreData);
-        await this.firebaseService.updateUserStats(scoreData);
-        console.log('💾 Score and stats saved!');
-      } catch (error) {
-        console.error('Failed to save score:', error);
-      }
+      await this.saveResult(scoreData);
     } else {
-      
       if (this.firebaseService && window.showAuthUI) {
         setTimeout(() => {
           window.showAuthUI(async (username) => {
             if (username) {
-              
-              try {
-                await this.firebaseService.saveScore(scoreData);
-                await this.firebaseService.updateUserStats(scoreData);
-                console.log('💾 Score and stats saved!');
-              } catch (error) {
-                console.error('Failed to save score:', error);
-              }
+              await this.saveResult(scoreData);
             }
           });
-        }, 1500); 
+        }, 1500);
       }
     }
   }
 
   /**
-   * Draw wave clear screen with statistics (subtle overlay with fade)
+   * Add the XP a finished run earned to the player's total, in every mode
+   * @param {Object} result - Result from GameCore.getResult()
    */
-  drawWaveClear() {
-    this.ctx.save();
-
-    
-    this.ctx.globalAlpha = this.waveClearAlpha;
-
-    
-    this.ctx.fillStyle = 'rgba(0, 15, 30, 0.6)'; 
-    this.ctx.fillRect(0, 0, this.width, this.height);
-
-    const centerX = this.width / 2;
-    const centerY = this.height / 2;
-
-    
-    this.ctx.fillStyle = '#5b9bd5';
-    this.ctx.font = 'bold 40px Orbitron, Arial, sans-serif';
-    this.ctx.textAlign = 'center';
-    this.ctx.textBaseline = 'middle';
-    this.ctx.shadowBlur = 15;
-    this.ctx.shadowColor = 'rgba(91, 155, 213, 0.6)';
-
-    const waveText = `WAVE ${String(this.waveStats.wave).padStart(3, '0')} CLEAR`;
-    this.ctx.fillText(waveText, centerX, centerY - 120);
-
-    this.ctx.fillStyle = '#ffffff';
-    this.ctx.font = '26px Orbitron, Arial, sans-serif';
-    this.ctx.shadowBlur = 8;
-    this.ctx.shadowColor = '#ffffff44';
-    this.ctx.fillText(`SCORE: ${String(this.waveStats.score).padStart(6, '0')}`, centerX, centerY - 70);
+  async awardXp(result) {
+    if (!this.firebaseService) return;
 
-    const boxY = centerY - 20;
-    const lineHeight = 38;
-
-    this.ctx.fillStyle = '#7ba8d1';
-    this.ctx.font = '24px Orbitron, Arial, sans-serif';
-    this.ctx.shadowBlur = 8;
-    this.ctx.shadowColor = 'rgba(123, 168, 209, 0.4)';
-    this.ctx.fillText(`WPM: ${this.waveStats.wpm}`, centerX, boxY);
-
-    
-    this.ctx.fillStyle = this.waveStats.accuracy >= 90 ? '#5b9bd5' :
-                         this.waveStats.accuracy >= 70 ? '#ffaa00' : '#ff4466';
-    this.ctx.fillText(`ACCURACY: ${this.waveStats.accuracy}%`, centerX, boxY + lineHeight);
-
-    this.ctx.fillStyle = '#aaaaaa';
-    this.ctx.font = '20px Orbitron, Arial, sans-serif';
-    this.ctx.shadowBlur = 5;
-    this.ctx.fillText(
-      `Correct: ${this.waveStats.correctInputs} | Errors: ${this.waveStats.incorrectInputs}`,
-      centerX,
-      boxY + lineHeight * 2
-    );
-
-    this.ctx.restore();
+    const { total } = getRunXp(result);
+    const xp = await this.firebaseService.addXp(total);
+    if (window.updatePlayerLevel) {
+      window.updatePlayerLevel(xp, total);
+    }
   }
 
   /**
-   * Draw game over screen
-   */
-  drawGameOver() {
-    this.ctx.save();
-
-    
-    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-    this.ctx.fillRect(0, 0, this.width, this.height);
-
-    const centerX = this.width / 2;
-    const centerY = this.height / 2;
-
-    
-    this.ctx.fillStyle = '#ff4466';
-    this.ctx.font = 'bold 64px Orbitron, Arial, sans-serif';
-    this.ctx.textAlign = 'center';
-    this.ctx.textBaseline = 'middle';
-    this.ctx.shadowBlur = 20;
-    this.ctx.shadowColor = '#ff4466';
-    this.ctx.fillText('GAME OVER', centerX, centerY - 160);
-
-    
-    this.ctx.fillStyle = '#ffffff';
-    this.ctx.font = '32px Orbitron, Arial, sans-serif';
-    this.ctx.shadowBlur = 10;
-    this.ctx.shadowColor = '#ffffff';
-    this.ctx.fillText(`FINAL SCORE: ${String(this.score).padStart(6, '0')}`, centerX, centerY - 90);
-
-    
-    this.ctx.font = '28px Orbitron, Arial, sans-serif';
-    this.ctx.fillText(`Waves Completed: ${this.totalStats.totalWavesCompleted}`, centerX, centerY - 40);
-
-    
-    const totalInputs = this.totalStats.totalCorrectInputs + this.totalStats.totalIncorrectInputs;
-    const overallAccuracy = totalInputs > 0
-      ? Math.round((this.totalStats.totalCorrectInputs / totalInputs) * 100)
-      : 100;
-
-    
-    const totalMinutes = this.totalStats.totalPlayTime / 60000;
-    const totalWords = this.totalStats.totalCorrectInputs / 5;
-    const overallWPM = totalMinutes > 0 ? Math.round(totalWords / totalMinutes) : 0;
-
-    
-    this.ctx.fillStyle = '#7ba8d1';
-    this.ctx.font = '26px Orbitron, Arial, sans-serif';
-    this.ctx.fillText(`Overall WPM: ${overallWPM}`, centerX, centerY + 10);
-
-    
-    this.ctx.fillStyle = overallAccuracy >= 90 ? '#5b9bd5' :
-                         overallAccuracy >= 70 ? '#ffaa00' : '#ff4466';
-    this.ctx.fillText(`Overall Accuracy: ${overallAccuracy}%`, centerX, centerY + 50);
-
-    
-    this.ctx.fillStyle = '#cccccc';
-    this.ctx.font = '22px Orbitron, Arial, sans-serif';
-    this.ctx.fillText(
-      `Total Correct: ${this.totalStats.totalCorrectInputs} | Errors: ${this.totalStats.totalIncorrectInputs}`,
-      centerX,
-      centerY + 90
-    );
-
-    
-    this.ctx.fillStyle = '#7ba8d1';
-    this.ctx.font = 'bold 26px Orbitron, Arial, sans-serif';
-    this.ctx.shadowBlur = 15;
-    this.ctx.shadowColor = 'rgba(123, 168, 209, 0.5)';
-    this.ctx.fillText('Press R to Restart', centerX, centerY + 150);
-
-    this.ctx.restore();
-  }
-
-  /**
-   * Play sound effect
-   * @param {string} type - Sound type ('hit', 'damage', 'wave', 'gameover')
-   */
-  playSound(type) {
-    if (!this.audioContext) return;
-
-    const oscillator = this.audioContext.createOscillator();
-    const gainNode = this.audioContext.createGain();
-
-    oscillator.connect(gainNode);
-    gainNode.connect(this.audioContext.destination);
-
-    const now = this.audioContext.currentTime;
-
-    switch (type) {
-      case 'hit':
-        oscillator.frequency.setValueAtTime(800, now);
-        oscillator.frequency.exponentialRampToValueAtTime(400, now + 0.1);
-        gainNode.gain.setValueAtTime(0.3, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
-        oscillator.start(now);
-        oscillator.stop(now + 0.1);
-        break;
-
-      case 'damage':
-        oscillator.frequency.setValueAtTime(200, now);
-        oscillator.frequency.exponentialRampToValueAtTime(50, now + 0.3);
-        gainNode.gain.setValueAtTime(0.4, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
-        oscillator.start(now);
-        oscillator.stop(now + 0.3);
-        break;
-
-      case 'wave':
-        oscillator.frequency.setValueAtTime(400, now);
-        oscillator.frequency.exponentialRampToValueAtTime(800, now + 0.2);
-        gainNode.gain.setValueAtTime(0.3, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
-        oscillator.start(now);
-        oscillator.stop(now + 0.2);
-        break;
-
-      case 'gameover':
-        oscillator.frequency.setValueAtTime(400, now);
-        oscillator.frequency.exponentialRampToValueAtTime(100, now + 0.5);
-        gainNode.gain.setValueAtTime(0.4, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.5);
-        oscillator.start(now);
-        oscillator.stop(now + 0.5);
-        break;
+   * Save a result to the leaderboards and the player's stats
+   * @param {Object} scoreData - Result to save
+   */
+  async saveResult(scoreData) {
+    try {
+      if (await this.firebaseService.saveScore(scoreData)) {
+        await this.firebaseService.updateUserStats(scoreData);
+        console.log('💾 Score and stats saved!');
+      }
+    } catch (error) {
+      console.error('Failed to save score:', error);
     }
   }
 
   /**
    * Restart game
+   * @param {number} seed - Seed for the new run (see getRunSeed)
    */
-  restart() {
-    this.score = 0;
-    this.wave = 1;
-    this.gameOver = false;
-    this.waveClear = false;
-    this.waveStats = null;
-    this.waveStartTime = Date.now();
-    this.spawnInterval = this.getSpawnIntervalForWave(this.wave);
-    this.spawnTimer = this.spawnInterval; 
-    this.uiUpdateTimer = 0; 
-
-    
-    this.enemiesSpawnedThisWave = 0;
-    this.totalEnemiesThisWave = this.getEnemyCountForWave(this.wave);
-
-    
-    this.waveClearAlpha = 0;
-    this.waveClearTimer = 0;
-
-    
-    this.totalStats = {
-      totalWavesCompleted: 0,
-      totalScore: 0,
-      totalCorrectInputs: 0,
-      totalIncorrectInputs: 0,
-      totalPlayTime: 0
-    };
+  restart(seed = this.getRunSeed()) {
+    this.paused = false;
+    this.accumulator = 0;
+    if (this.review && !this.replayPlayer) {
+      this.review.save();
+      this.core.setReviewWords(this.review.getDueWords());
+    }
+    if (this.achievements && !this.replayPlayer) {
+      this.achievements.save();
+    }
+    this.core.reset(seed);
+    this.setupDailyRun();
+    this.setupGhost();
 
-    this.enemies = [];
-    this.bullets = [];
-    this.player.lives = this.player.maxLives;
-    this.player.x = this.width / 2;
-    this.player.y = this.height - 80;
-    this.particles.createStarfield(150);
-    this.updateUI();
-    this.input.clear();
-    this.input.resetStatistics();
+    if (window.hidePauseMenu) {
+      window.hidePauseMenu();
+    }
+
+    if (!this.replayPlayer) {
+      this.recorder.start(this.seed, this.getSettings(), FIXED_TIMESTEP);
+    }
   }
 }
@@ -0,0 +1,141 @@
+import { SoundManager } from '../utils/SoundManager.js';
+
+/**
+ * Game sound - plays effects in response to GameCore events and owns the background music
+ */
+export class GameAudio {
+  constructor() {
+    this.soundManager = new SoundManager();
+    this.soundManager.loadSounds();
+    this.musicStarted = false;
+    this.muted = false;
+
+    this.audioContext = null;
+    try {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    } catch (e) {
+      // Web Audio not available - synthesized effects stay silent
+    }
+  }
+
+  /**
+   * Subscribe to a game core's events
+   * @param {GameCore} core - Game core
+   */
+  attach(core) {
+    core.on('keystroke', ({ correct }) => {
+      if (correct) {
+        this.soundManager.playShotgun();
+      } else {
+        this.soundManager.playEmpty();
+      }
+    });
+    core.on('enemyDestroyed', () => this.playSound('hit'));
+    core.on('wordCompleted', () => this.playSound('hit'));
+    core.on('bossSpawn', () => this.playSound('wave'));
+    core.on('powerUpActivated', () => this.playSound('powerup'));
+    core.on('shieldHit', () => this.playSound('hit'));
+    core.on('damage', () => this.playSound('damage'));
+    core.on('waveStart', () => this.playSound('wave'));
+    core.on('gameOver', () => this.playSound('gameover'));
+  }
+
+  /**
+   * Mute or unmute all sound effects (used while fast-forwarding replays)
+   * @param {boolean} muted - Whether sound is muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.soundManager.muted = muted;
+  }
+
+  /**
+   * Start background music on first user interaction
+   */
+  startMusic() {
+    if (!this.musicStarted && this.soundManager.loaded) {
+      this.soundManager.playBackground();
+      this.musicStarted = true;
+    }
+  }
+
+  /**
+   * Pause background music
+   */
+  pauseMusic() {
+    this.soundManager.pauseBackground();
+  }
+
+  /**
+   * Resume background music if it was started
+   */
+  resumeMusic() {
+    if (this.musicStarted) {
+      this.soundManager.playBackground();
+    }
+  }
+
+  /**
+   * Play sound effect
+   * @param {string} type - Sound type ('hit', 'damage', 'wave', 'powerup', 'gameover')
+   */
+  playSound(type) {
+    if (!this.audioContext || this.muted) return;
+
+    const oscillator = this.audioContext.createOscillator();
+    const gainNode = this.audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.audioContext.destination);
+
+    const now = this.audioContext.currentTime;
+
+    switch (type) {
+      case 'hit':
+        oscillator.frequency.setValueAtTime(800, now);
+        oscillator.frequency.exponentialRampToValueAtTime(400, now + 0.1);
+        gainNode.gain.setValueAtTime(0.3, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.1);
+        oscillator.start(now);
+        oscillator.stop(now + 0.1);
+        break;
+
+      case 'damage':
+        oscillator.frequency.setValueAtTime(200, now);
+        oscillator.frequency.exponentialRampToValueAtTime(50, now + 0.3);
+        gainNode.gain.setValueAtTime(0.4, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
+        oscillator.start(now);
+        oscillator.stop(now + 0.3);
+        break;
+
+      case 'wave':
+        oscillator.frequency.setValueAtTime(400, now);
+        oscillator.frequency.exponentialRampToValueAtTime(800, now + 0.2);
+        gainNode.gain.setValueAtTime(0.3, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
+        oscillator.start(now);
+        oscillator.stop(now + 0.2);
+        break;
+
+      case 'powerup':
+        oscillator.frequency.setValueAtTime(600, now);
+        oscillator.frequency.exponentialRampToValueAtTime(1200, now + 0.15);
+        oscillator.frequency.exponentialRampToValueAtTime(1600, now + 0.3);
+        gainNode.gain.setValueAtTime(0.3, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.3);
+        oscillator.start(now);
+        oscillator.stop(now + 0.3);
+        break;
+
+      case 'gameover':
+        oscillator.frequency.setValueAtTime(400, now);
+        oscillator.frequency.exponentialRampToValueAtTime(100, now + 0.5);
+        gainNode.gain.setValueAtTime(0.4, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.5);
+        oscillator.start(now);
+        oscillator.stop(now + 0.5);
+        break;
+    }
+  }
+}
@@ -1,10 +1,13 @@
+import { Random } from '../utils/Random.js';
+
 /**
  * Particle System for background effects (stars, explosions, etc.)
  */
 export class ParticleSystem {
-  constructor(width, height) {
+  constructor(width, height, rng = new Random()) {
     this.width = width;
     this.height = height;
+    this.rng = rng;
     this.particles = [];
   }
 
@@ -17,13 +20,13 @@ export class ParticleSystem {
     for (let i = 0; i < count; i++) {
       this.particles.push({
         type: 'star',
-        x: Math.random() * this.width,
-        y: Math.random() * this.height,
-        size: Math.random() * 2 + 0.5,
-        speed: Math.random() * 30 + 10,
-        brightness: Math.random() * 0.5 + 0.5,
-        twinklePhase: Math.random() * Math.PI * 2,
-        twinkleSpeed: Math.random() * 2 + 1,
+        x: this.rng.next() * this.width,
+        y: this.rng.next() * this.height,
+        size: this.rng.next() * 2 + 0.5,
+        speed: this.rng.next() * 30 + 10,
+        brightness: this.rng.next() * 0.5 + 0.5,
+        twinklePhase: this.rng.next() * Math.PI * 2,
+        twinkleSpeed: this.rng.next() * 2 + 1,
       });
     }
   }
@@ -41,7 +44,7 @@ export class ParticleSystem {
         
         if (particle.y > this.height + 10) {
           particle.y = -10;
-          particle.x = Math.random() * this.width;
+          particle.x = this.rng.next() * this.width;
         }
 
         particle.twinklePhase += particle.twinkleSpeed * deltaTime;
@@ -88,8 +91,8 @@ export class ParticleSystem {
    */
   addExplosion(x, y, count = 20) {
     for (let i = 0; i < count; i++) {
-      const angle = (Math.PI * 2 * i) / count + Math.random() * 0.5;
-      const speed = Math.random() * 100 + 50;
+      const angle = (Math.PI * 2 * i) / count + this.rng.next() * 0.5;
+      const speed = this.rng.next() * 100 + 50;
 
       this.particles.push({
         type: 'explosion',
@@ -97,9 +100,9 @@ export class ParticleSystem {
         y,
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed,
-        size: Math.random() * 3 + 2,
+        size: this.rng.next() * 3 + 2,
         life: 1.0,
-        decay: Math.random() * 2 + 1,
+        decay: this.rng.next() * 2 + 1,
         color: this.getExplosionColor(i / count),
       });
     }
@@ -0,0 +1,1344 @@
+import { ParticleSystem } from './ParticleSystem.js';
+import { Bullet } from './Bullet.js';
+import { Random } from '../utils/Random.js';
+import { POWER_UPS } from '../core/powerUps.js';
+import { getShipSkin, DEFAULT_SKIN } from '../core/progression.js';
+import backgroundImageUrl from '../images/bg_space_seamless.png';
+
+/**
+ * Draws a GameCore to a canvas
+ * Owns everything that is purely visual (background, starfield, bullets, sprites), so
+ * none of it can affect the simulation
+ */
+export class Renderer {
+  /**
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {GameCore} core - Game core to draw
+   */
+  constructor(ctx, core) {
+    this.ctx = ctx;
+    this.core = core;
+
+    this.fxRng = new Random(core.seed).fork('fx');
+    this.particles = new ParticleSystem(core.width, core.height, this.fxRng);
+    this.bullets = [];
+    this.ghost = null;
+    this.ghostBullets = [];
+    this.ghostOpacity = 0.35;
+    this.playerPulsePhase = 0;
+    this.bossWarningTimer = 0;
+    this.bossWarningDuration = 2.5;
+    this.dailyInfo = null;
+    this.powerUpBanner = null;
+    this.powerUpBannerTimer = 0;
+    this.powerUpBannerDuration = 1.5;
+
+    this.enemyColor = '#00ff88';
+    this.archetypeColors = {
+      scout: '#ffe066',
+      armoured: '#9fb3c8',
+      splitter: '#ff66cc',
+      kamikaze: '#ff5522',
+      fragment: '#ff99dd'
+    };
+    this.missileColor = '#ff8844';
+    this.reviewColor = '#b388ff';
+    this.targetColor = '#ff4466';
+    this.playerSkin = getShipSkin(DEFAULT_SKIN);
+    this.wordOffset = 45;
+
+    this.backgroundImage = this.loadImage(backgroundImageUrl);
+    this.backgroundScrollY = 0;
+    this.backgroundScrollSpeed = 20;
+
+    this.enemyImage = this.loadImage('/images/badship.png');
+    this.playerImage = this.loadImage('/images/goodship.png');
+    this.playerImage.onload = () => {
+      this.playerImage.loaded = true;
+      console.log('✅ Player ship image loaded');
+    };
+    this.playerImage.onerror = () => {
+      console.error('❌ Failed to load player ship image');
+    };
+  }
+
+  /**
+   * Load an image, flagging it as loaded once ready
+   * @param {string} src - Image URL
+   * @returns {HTMLImageElement} Image (check image.loaded before drawing)
+   */
+  loadImage(src) {
+    const image = new Image();
+    image.loaded = false;
+    image.onload = () => {
+      image.loaded = true;
+    };
+    image.src = src;
+    return image;
+  }
+
+  /**
+   * Reset visual effects for a new run
+   * Cosmetic randomness comes from a stream forked off the run's seed, so it can
+   * never shift the gameplay sequence
+   * @param {number} seed - Seed of the run
+   */
+  reset(seed) {
+    this.fxRng = new Random(seed).fork('fx');
+    this.particles.rng = this.fxRng;
+    this.particles.createStarfield(150);
+    this.bullets = [];
+    this.ghostBullets = [];
+    this.bossWarningTimer = 0;
+    this.powerUpBannerTimer = 0;
+  }
+
+  /**
+   * Set what to show about the daily challenge run being played
+   * @param {Object|null} info - { date, ranked }, or null outside the daily challenge
+   */
+  setDailyInfo(info) {
+    this.dailyInfo = info;
+  }
+
+  /**
+   * Set the ghost the player is racing in Ghost Race
+   * @param {Ghost|null} ghost - Ghost run, or null if there's none
+   */
+  setGhost(ghost) {
+    this.ghost = ghost;
+    this.ghostBullets = [];
+  }
+
+  /**
+   * Choose the player's ship skin
+   * @param {Object} skin - Skin (see SHIP_SKINS in core/progression.js)
+   */
+  setSkin(skin) {
+    this.playerSkin = skin;
+  }
+
+  /**
+   * Resize the starfield to the play field
+   * @param {number} width - Play field width
+   * @param {number} height - Play field height
+   */
+  resize(width, height) {
+    this.particles.resize(width, height);
+  }
+
+  /**
+   * Fire a bullet from the player at an enemy
+   * @param {Enemy} enemy - Target enemy
+   */
+  addBullet(enemy) {
+    const player = this.core.player;
+    this.bullets.push(new Bullet(player.x, player.y, enemy.x, enemy.y));
+  }
+
+  /**
+   * Fire a translucent bullet for a shot of the ghost run
+   * The ghost's play field may be recorded at another size, so its positions are scaled
+   * to the live one
+   * @param {Enemy} enemy - Target enemy in the ghost's core
+   */
+  addGhostBullet(enemy) {
+    const ghostCore = this.ghost.core;
+    const scaleX = this.core.width / ghostCore.width;
+    const scaleY = this.core.height / ghostCore.height;
+    const player = ghostCore.player;
+
+    this.ghostBullets.push(new Bullet(
+      player.x * scaleX,
+      player.y * scaleY,
+      enemy.x * scaleX,
+      enemy.y * scaleY,
+      this.ghostOpacity
+    ));
+  }
+
+  /**
+   * Burst of particles, e.g. when a boss loses a word
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  addExplosion(x, y) {
+    this.particles.addExplosion(x, y, 12);
+  }
+
+  /**
+   * Flash a warning that a boss is coming
+   */
+  showBossWarning() {
+    this.bossWarningTimer = this.bossWarningDuration;
+  }
+
+  /**
+   * Flash the name of a power-up that was just activated
+   * @param {Object} powerUp - Power-up (see powerUps.js)
+   */
+  showPowerUp(powerUp) {
+    this.powerUpBanner = powerUp;
+    this.powerUpBannerTimer = this.powerUpBannerDuration;
+  }
+
+  /**
+   * Animate visual effects
+   * @param {number} dt - Time since last frame in seconds
+   */
+  update(dt) {
+    if (this.backgroundImage.loaded) {
+      this.backgroundScrollY += this.backgroundScrollSpeed * dt;
+      if (this.backgroundScrollY >= this.backgroundImage.height) {
+        this.backgroundScrollY = 0;
+      }
+    }
+
+    this.playerPulsePhase += dt * 2;
+    this.particles.update(dt);
+    this.bossWarningTimer = Math.max(0, this.bossWarningTimer - dt);
+    this.powerUpBannerTimer = Math.max(0, this.powerUpBannerTimer - dt);
+
+    for (const bullets of [this.bullets, this.ghostBullets]) {
+      for (let i = bullets.length - 1; i >= 0; i--) {
+        const bullet = bullets[i];
+        bullet.update(dt);
+        if (!bullet.isAlive()) {
+          bullets.splice(i, 1);
+        }
+      }
+    }
+  }
+
+  /**
+   * Render the game
+   * @param {number} viewWidth - Canvas width in CSS pixels
+   * @param {number} viewHeight - Canvas height in CSS pixels
+   * @param {number} alpha - Fraction of a simulation step since the last update, used to
+   *   interpolate moving objects between their previous and current positions
+   */
+  render(viewWidth, viewHeight, alpha = 0) {
+    const ctx = this.ctx;
+    const { width, height } = this.core;
+
+    ctx.save();
+
+    // The play field may be recorded at a different size than the canvas (replays)
+    if (viewWidth !== width || viewHeight !== height) {
+      ctx.scale(viewWidth / width, viewHeight / height);
+    }
+
+    this.drawBackground();
+    this.particles.draw(ctx);
+
+    if (this.core.slowTimer > 0) {
+      this.drawSlowTime();
+    }
+
+    for (const bullet of this.ghostBullets) {
+      bullet.draw(ctx);
+    }
+
+    for (const bullet of this.bullets) {
+      bullet.draw(ctx);
+    }
+
+    for (const enemy of this.core.enemies) {
+      this.drawEnemy(enemy, alpha);
+    }
+
+    this.drawPlayer();
+
+    if (this.bossWarningTimer > 0) {
+      this.drawBossWarning();
+    }
+
+    if (this.powerUpBannerTimer > 0) {
+      this.drawPowerUpBanner();
+    }
+
+    if (this.core.mode.duration !== null && !this.core.gameOver) {
+      this.drawTimer();
+    }
+
+    if (this.dailyInfo && !this.core.gameOver) {
+      this.drawDailyBanner();
+    }
+
+    if (this.core.mode.ghost && !this.core.gameOver) {
+      this.drawGhostTicker();
+    }
+
+    if (this.core.waveClear && this.core.waveStats) {
+      this.drawWaveClear();
+    }
+
+    if (this.core.gameOver) {
+      this.drawGameOver();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the scrolling space background
+   */
+  drawBackground() {
+    const ctx = this.ctx;
+    const { width, height } = this.core;
+
+    ctx.fillStyle = '#000814';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!this.backgroundImage.loaded) return;
+
+    const bgWidth = this.backgroundImage.width;
+    const bgHeight = this.backgroundImage.height;
+    const tilesX = Math.ceil(width / bgWidth) + 1;
+    const tilesY = 2;
+
+    for (let x = 0; x < tilesX; x++) {
+      for (let y = 0; y < tilesY; y++) {
+        const drawY = y * bgHeight - this.backgroundScrollY;
+        ctx.drawImage(this.backgroundImage, x * bgWidth, drawY, bgWidth, bgHeight);
+      }
+    }
+  }
+
+  /**
+   * Draw an enemy ship with its word and health bar
+   * @param {Enemy} enemy - Enemy to draw
+   * @param {number} alpha - Interpolation factor between simulation steps
+   */
+  drawEnemy(enemy, alpha) {
+    const ctx = this.ctx;
+    const { x, y } = enemy.getRenderPosition(alpha);
+
+    if (enemy.dying) {
+      // Pickups that weren't typed in time just disappear
+      if (!enemy.expired) {
+        this.drawExplosion(enemy, x, y);
+      }
+      return;
+    }
+
+    if (enemy.type === 'boss') {
+      this.drawBoss(enemy, x, y);
+      return;
+    }
+
+    if (enemy.type === 'pickup') {
+      this.drawPickup(enemy, x, y);
+      return;
+    }
+
+    if (enemy.type === 'missile') {
+      this.drawMissile(enemy, x, y);
+      return;
+    }
+
+    ctx.save();
+
+    const pulse = enemy.targeted ? Math.sin(enemy.pulsePhase) * 0.15 + 1 : 1;
+    const currentSize = enemy.size * pulse;
+
+    // Shake while recovering from a hit
+    const drawX = enemy.isHit ? x + (this.fxRng.next() - 0.5) * 8 : x;
+    const drawY = enemy.isHit ? y + (this.fxRng.next() - 0.5) * 8 : y;
+
+    if (enemy.powerUp) {
+      this.drawCarrierGlow(enemy, drawX, drawY, currentSize);
+    }
+
+    if (enemy.review) {
+      this.drawReviewMarker(drawX, drawY, currentSize);
+    }
+
+    if (this.archetypeColors[enemy.type]) {
+      this.drawArchetypeSprite(enemy, drawX, drawY, currentSize);
+    } else if (this.enemyImage.loaded) {
+      if (enemy.targeted) {
+        ctx.shadowBlur = 20;
+        ctx.shadowColor = this.targetColor;
+      }
+
+      if (enemy.isHit) {
+        ctx.globalAlpha = 0.5 + Math.sin(enemy.hitTimer * 30) * 0.5;
+      }
+
+      ctx.drawImage(
+        this.enemyImage,
+        drawX - currentSize,
+        drawY - currentSize,
+        currentSize * 2,
+        currentSize * 2
+      );
+
+      ctx.globalAlpha = 1.0;
+    } else {
+      ctx.fillStyle = enemy.targeted ? this.targetColor : this.enemyColor;
+      ctx.beginPath();
+
+      ctx.moveTo(drawX, drawY + currentSize);
+      ctx.lineTo(drawX - currentSize, drawY - currentSize);
+      ctx.lineTo(drawX + currentSize, drawY - currentSize);
+      ctx.closePath();
+      ctx.fill();
+
+      if (enemy.targeted) {
+        ctx.shadowBlur = 20;
+        ctx.shadowColor = this.targetColor;
+        ctx.fill();
+      }
+    }
+
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px "MV Waheed", Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+
+    ctx.fillText(enemy.word, x, y + this.wordOffset);
+
+    this.drawHealthBar(enemy, x, y);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the ship of an enemy archetype that has its own sprite
+   *   scout    - slim dart
+   *   armoured - hexagon, with a plate ring until its armour is broken
+   *   splitter - diamond split down the middle
+   *   kamikaze - spiked star that burns hotter once targeted
+   *   fragment - small diamond
+   * @param {Enemy} enemy - Enemy to draw
+   * @param {number} x - Ship X to draw at
+   * @param {number} y - Ship Y to draw at
+   * @param {number} size - Current ship size
+   */
+  drawArchetypeSprite(enemy, x, y, size) {
+    const ctx = this.ctx;
+    const color = this.archetypeColors[enemy.type];
+
+    ctx.save();
+
+    ctx.fillStyle = color;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.shadowBlur = enemy.targeted ? 20 : 10;
+    ctx.shadowColor = enemy.targeted ? this.targetColor : color;
+    if (enemy.isHit) {
+      ctx.globalAlpha = 0.5 + Math.sin(enemy.hitTimer * 30) * 0.5;
+    }
+
+    ctx.beginPath();
+    switch (enemy.type) {
+      case 'scout':
+        ctx.moveTo(x, y + size * 1.4);
+        ctx.lineTo(x - size * 0.9, y - size);
+        ctx.lineTo(x, y - size * 0.4);
+        ctx.lineTo(x + size * 0.9, y - size);
+        break;
+
+      case 'armoured':
+        for (let i = 0; i < 6; i++) {
+          const angle = Math.PI / 6 + (Math.PI * 2 * i) / 6;
+          ctx.lineTo(x + Math.cos(angle) * size, y + Math.sin(angle) * size);
+        }
+        break;
+
+      case 'splitter':
+        ctx.moveTo(x - 2, y - size);
+        ctx.lineTo(x - size, y);
+        ctx.lineTo(x - 2, y + size);
+        ctx.closePath();
+        ctx.moveTo(x + 2, y - size);
+        ctx.lineTo(x + size, y);
+        ctx.lineTo(x + 2, y + size);
+        break;
+
+      case 'kamikaze': {
+        const spikes = 8;
+        const flicker = enemy.targeted ? 1.2 + Math.sin(enemy.pulsePhase * 4) * 0.15 : 1;
+        for (let i = 0; i < spikes * 2; i++) {
+          const angle = (Math.PI * i) / spikes + enemy.pulsePhase * 0.5;
+          const radius = i % 2 === 0 ? size * flicker : size * 0.5;
+          ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+        }
+        break;
+      }
+
+      default:
+        ctx.moveTo(x, y - size);
+        ctx.lineTo(x + size, y);
+        ctx.lineTo(x, y + size);
+        ctx.lineTo(x - size, y);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    if (enemy.type === 'armoured' && enemy.passesLeft > 1) {
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, y, size + 5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the rotating ring that marks a carrier, in the colour of its power-up
+   * @param {Enemy} enemy - Carrier
+   * @param {number} x - Ship X to draw at
+   * @param {number} y - Ship Y to draw at
+   * @param {number} size - Current ship size
+   */
+  drawCarrierGlow(enemy, x, y, size) {
+    const ctx = this.ctx;
+
+    ctx.save();
+
+    ctx.strokeStyle = enemy.powerUp.color;
+    ctx.lineWidth = 2;
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = enemy.powerUp.color;
+    ctx.setLineDash([6, 4]);
+    ctx.lineDashOffset = -enemy.pulsePhase * 6;
+    ctx.beginPath();
+    ctx.arc(x, y, size + 8, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the double ring that marks a word from the review deck
+   * @param {number} x - Ship X to draw at
+   * @param {number} y - Ship Y to draw at
+   * @param {number} size - Current ship size
+   */
+  drawReviewMarker(x, y, size) {
+    const ctx = this.ctx;
+
+    ctx.save();
+
+    ctx.strokeStyle = this.reviewColor;
+    ctx.lineWidth = 2;
+    ctx.shadowBlur = 10;
+    ctx.shadowColor = this.reviewColor;
+    for (const radius of [size + 6, size + 11]) {
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw a dropped power-up: a glowing orb with its name, bonus word and a ring that
+   * runs down until it fades
+   * @param {PowerUp} pickup - Pickup to draw
+   * @param {number} x - X to draw at
+   * @param {number} y - Y to draw at
+   */
+  drawPickup(pickup, x, y) {
+    const ctx = this.ctx;
+    const { color, label } = pickup.powerUp;
+    const remaining = pickup.timeLeft / pickup.lifetime;
+    const bob = Math.sin(pickup.pulsePhase) * 4;
+
+    ctx.save();
+
+    // Blink during the last second and a half
+    if (pickup.timeLeft < 1.5) {
+      ctx.globalAlpha = 0.5 + Math.sin(pickup.timeLeft * 20) * 0.3;
+    }
+
+    const gradient = ctx.createRadialGradient(x, y + bob, 2, x, y + bob, pickup.size);
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(1, color);
+    ctx.fillStyle = gradient;
+    ctx.shadowBlur = pickup.targeted ? 30 : 20;
+    ctx.shadowColor = pickup.targeted ? this.targetColor : color;
+    ctx.beginPath();
+    ctx.arc(x, y + bob, pickup.size, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.shadowBlur = 0;
+    ctx.beginPath();
+    ctx.arc(x, y + bob, pickup.size + 6, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * remaining);
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.font = 'bold 12px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label.toUpperCase(), x, y + bob - pickup.size - 16);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px "MV Waheed", Arial, sans-serif';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+    ctx.fillText(pickup.word, x, y + this.wordOffset);
+
+    ctx.restore();
+
+    this.drawHealthBar(pickup, x, y);
+  }
+
+  /**
+   * Draw an enemy missile: a small rocket pointing at the player, with a flickering
+   * exhaust and its label just above
+   * @param {Missile} missile - Missile to draw
+   * @param {number} x - X to draw at
+   * @param {number} y - Y to draw at
+   */
+  drawMissile(missile, x, y) {
+    const ctx = this.ctx;
+    const color = missile.targeted ? this.targetColor : this.missileColor;
+    const size = missile.size;
+
+    ctx.save();
+
+    ctx.translate(x, y);
+    ctx.rotate(missile.angle);
+
+    const flame = size * (1.2 + this.fxRng.next() * 0.8);
+    ctx.fillStyle = '#ffdd55';
+    ctx.beginPath();
+    ctx.moveTo(-size, -size * 0.4);
+    ctx.lineTo(-size - flame, 0);
+    ctx.lineTo(-size, size * 0.4);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = color;
+    ctx.shadowBlur = missile.targeted ? 20 : 10;
+    ctx.shadowColor = color;
+    ctx.beginPath();
+    ctx.moveTo(size * 1.5, 0);
+    ctx.lineTo(-size, -size * 0.6);
+    ctx.lineTo(-size, size * 0.6);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+
+    ctx.save();
+    ctx.fillStyle = missile.typedChars > 0 ? this.targetColor : '#ffffff';
+    ctx.font = 'bold 22px "MV Waheed", Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+    ctx.fillText(missile.word, x, y - size - 18);
+    ctx.restore();
+  }
+
+  /**
+   * Tint the play field while slow time is active
+   */
+  drawSlowTime() {
+    const ctx = this.ctx;
+    const fade = Math.min(1, this.core.slowTimer);
+
+    ctx.save();
+    ctx.fillStyle = `rgba(102, 204, 255, ${0.08 * fade})`;
+    ctx.fillRect(0, 0, this.core.width, this.core.height);
+    ctx.restore();
+  }
+
+  /**
+   * Draw the name of the power-up just activated, floating up and fading out
+   */
+  drawPowerUpBanner() {
+    const ctx = this.ctx;
+    const progress = 1 - this.powerUpBannerTimer / this.powerUpBannerDuration;
+
+    ctx.save();
+
+    ctx.globalAlpha = 1 - progress;
+    ctx.fillStyle = this.powerUpBanner.color;
+    ctx.font = 'bold 40px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = this.powerUpBanner.color;
+    ctx.fillText(
+      `${this.powerUpBanner.label.toUpperCase()}!`,
+      this.core.width / 2,
+      this.core.height * 0.4 - progress * 40
+    );
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw a boss ship with its phrase - typed words dimmed, the current word highlighted
+   * @param {Boss} boss - Boss to draw
+   * @param {number} x - Ship X to draw at
+   * @param {number} y - Ship Y to draw at
+   */
+  drawBoss(boss, x, y) {
+    const ctx = this.ctx;
+
+    ctx.save();
+
+    const pulse = Math.sin(boss.pulsePhase) * 0.05 + 1;
+    const currentSize = boss.size * pulse;
+    const drawX = boss.isHit ? x + (this.fxRng.next() - 0.5) * 6 : x;
+    const drawY = boss.isHit ? y + (this.fxRng.next() - 0.5) * 6 : y;
+
+    ctx.shadowBlur = boss.targeted ? 35 : 20;
+    ctx.shadowColor = this.targetColor;
+
+    if (this.enemyImage.loaded) {
+      ctx.drawImage(
+        this.enemyImage,
+        drawX - currentSize,
+        drawY - currentSize,
+        currentSize * 2,
+        currentSize * 2
+      );
+    } else {
+      ctx.fillStyle = this.targetColor;
+      ctx.beginPath();
+      ctx.moveTo(drawX, drawY + currentSize);
+      ctx.lineTo(drawX - currentSize, drawY - currentSize);
+      ctx.lineTo(drawX + currentSize, drawY - currentSize);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Lay the phrase out right to left, one word at a time, so each can have its own colour
+    ctx.font = '22px "MV Waheed", Arial, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 4;
+    ctx.shadowOffsetX = 2;
+    ctx.shadowOffsetY = 2;
+
+    const spaceWidth = ctx.measureText(' ').width;
+    const widths = boss.words.map(word => ctx.measureText(word).width);
+    const totalWidth = widths.reduce((sum, width) => sum + width, 0) + spaceWidth * (boss.words.length - 1);
+    const textY = y + boss.size + 25;
+    let cursorX = x + totalWidth / 2;
+
+    boss.words.forEach((word, index) => {
+      if (index < boss.wordIndex) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+      } else if (index === boss.wordIndex) {
+        ctx.fillStyle = boss.targeted ? '#ffdd55' : '#ffffff';
+      } else {
+        ctx.fillStyle = '#ffffff';
+      }
+      ctx.fillText(word, cursorX, textY);
+      cursorX -= widths[index] + spaceWidth;
+    });
+
+    // Health bar above the ship
+    const barWidth = 120;
+    const barHeight = 6;
+    const barY = y - boss.size - 16;
+    const healthPercent = boss.health / boss.maxHealth;
+
+    ctx.shadowBlur = 0;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x - barWidth / 2, barY, barWidth, barHeight);
+    ctx.fillStyle = healthPercent > 0.5 ? '#ff4466' : healthPercent > 0.25 ? '#ffaa00' : '#ffff00';
+    ctx.fillRect(x - barWidth / 2, barY, barWidth * healthPercent, barHeight);
+    ctx.strokeStyle = 'rgba(255, 68, 102, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x - barWidth / 2, barY, barWidth, barHeight);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the flashing boss warning
+   */
+  drawBossWarning() {
+    const ctx = this.ctx;
+    const { width, height } = this.core;
+    const elapsed = this.bossWarningDuration - this.bossWarningTimer;
+
+    ctx.save();
+
+    ctx.globalAlpha = Math.min(1, this.bossWarningTimer / 0.5) * (0.6 + Math.sin(elapsed * 12) * 0.4);
+    ctx.fillStyle = '#ff4466';
+    ctx.font = 'bold 44px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = '#ff4466';
+    ctx.fillText('⚠ BOSS INCOMING ⚠', width / 2, height / 3);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the countdown of a timed mode at the top of the play field
+   */
+  drawTimer() {
+    const ctx = this.ctx;
+    const timeLeft = this.core.getTimeLeft();
+    const seconds = Math.ceil(timeLeft);
+    const warning = timeLeft <= 10;
+
+    ctx.save();
+
+    ctx.fillStyle = warning ? '#ff4466' : '#ffffff';
+    ctx.font = 'bold 36px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.shadowBlur = warning ? 20 : 10;
+    ctx.shadowColor = warning ? '#ff4466' : 'rgba(91, 155, 213, 0.6)';
+    if (warning) {
+      ctx.globalAlpha = 0.7 + Math.sin(timeLeft * Math.PI * 2) * 0.3;
+    }
+    ctx.fillText(this.formatTime(seconds), this.core.width / 2, 20);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the day and attempt type of a daily challenge run at the top of the play field
+   */
+  drawDailyBanner() {
+    const ctx = this.ctx;
+
+    ctx.save();
+
+    ctx.fillStyle = this.dailyInfo.ranked ? '#ffd700' : '#7ba8d1';
+    ctx.font = 'bold 16px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.shadowBlur = 10;
+    ctx.shadowColor = 'rgba(91, 155, 213, 0.6)';
+    ctx.fillText(this.getDailyLabel(), this.core.width / 2, 20);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the ghost's score and how far the player is ahead of or behind it at the top of
+   * the play field
+   */
+  drawGhostTicker() {
+    const ctx = this.ctx;
+    const centerX = this.core.width / 2;
+
+    ctx.save();
+
+    ctx.font = 'bold 16px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.shadowBlur = 10;
+    ctx.shadowColor = 'rgba(91, 155, 213, 0.6)';
+
+    if (!this.ghost) {
+      ctx.fillStyle = '#7ba8d1';
+      ctx.fillText('👻 NO GHOST YET · FINISH A RUN TO RACE IT', centerX, 20);
+      ctx.restore();
+      return;
+    }
+
+    const ghostScore = this.ghost.score;
+    const finished = this.ghost.isFinished() ? ' (FINAL)' : '';
+    ctx.fillStyle = 'rgba(200, 220, 255, 0.75)';
+    ctx.fillText(`👻 GHOST ${String(ghostScore).padStart(6, '0')}${finished}`, centerX, 20);
+
+    const lead = this.core.score - ghostScore;
+    ctx.font = 'bold 20px Orbitron, Arial, sans-serif';
+    if (lead > 0) {
+      ctx.fillStyle = '#00ff88';
+      ctx.shadowColor = '#00ff88';
+      ctx.fillText(`▲ ${lead} AHEAD`, centerX, 44);
+    } else if (lead < 0) {
+      ctx.fillStyle = '#ff4466';
+      ctx.shadowColor = '#ff4466';
+      ctx.fillText(`▼ ${-lead} BEHIND`, centerX, 44);
+    } else {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText('LEVEL', centerX, 44);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Compare a finished Ghost Race run with the personal best it raced
+   * @param {Object} result - Result from GameCore.getResult()
+   * @returns {string} Ghost's final score and whether the player beat it
+   */
+  getGhostResultLabel(result) {
+    const best = this.ghost.replay.result ? this.ghost.replay.result.score : this.ghost.score;
+    if (result.score > best) return `GHOST ${best} · NEW BEST BY ${result.score - best}`;
+    if (result.score === best) return `GHOST ${best} · TIED`;
+    return `GHOST ${best} · SHORT BY ${best - result.score}`;
+  }
+
+  /**
+   * Describe the daily challenge run being played
+   * @returns {string} Day and whether the run is ranked
+   */
+  getDailyLabel() {
+    const { date, ranked } = this.dailyInfo;
+    return `DAILY ${date} · ${ranked ? 'RANKED ATTEMPT' : 'PRACTICE'}`;
+  }
+
+  /**
+   * Get the difficulty line of the results, with the final and peak level on the
+   * Adaptive preset
+   * @param {Object} result - Result from GameCore.getResult()
+   * @returns {string} Difficulty label
+   */
+  getDifficultyLabel(result) {
+    const label = this.core.difficulty.label.toUpperCase();
+    if (result.difficultyLevel === undefined) return label;
+
+    return `${label} ×${result.difficultyLevel.toFixed(2)} (PEAK ×${result.peakDifficultyLevel.toFixed(2)})`;
+  }
+
+  /**
+   * Format seconds as m:ss
+   * @param {number} totalSeconds - Whole seconds
+   * @returns {string} Formatted time
+   */
+  formatTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Draw health bar below an enemy ship
+   * @param {Enemy} enemy - Enemy
+   * @param {number} x - Ship X to draw at
+   * @param {number} y - Ship Y to draw at
+   */
+  drawHealthBar(enemy, x, y) {
+    const ctx = this.ctx;
+    const barWidth = 30;
+    const barHeight = 3;
+    const barY = y + enemy.size + 8;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(x - barWidth / 2, barY, barWidth, barHeight);
+
+    const healthPercent = enemy.health / enemy.maxHealth;
+    ctx.fillStyle = healthPercent > 0.5 ? '#00ff88' : healthPercent > 0.25 ? '#ffaa00' : '#ff4466';
+    ctx.fillRect(x - barWidth / 2, barY, barWidth * healthPercent, barHeight);
+  }
+
+  /**
+   * Draw explosion animation for a dying enemy
+   * @param {Enemy} enemy - Dying enemy
+   * @param {number} x - Explosion center X
+   * @param {number} y - Explosion center Y
+   */
+  drawExplosion(enemy, x, y) {
+    const ctx = this.ctx;
+    ctx.save();
+
+    const progress = enemy.deathTimer / enemy.deathDuration;
+    const explosionSize = enemy.size * (1 + progress * 3);
+    const alpha = 1 - progress;
+
+    for (let i = 0; i < 3; i++) {
+      const offset = i * 0.3;
+      const size = explosionSize * (1 - offset);
+
+      ctx.globalAlpha = alpha * (1 - offset);
+      ctx.fillStyle = i === 0 ? '#ff4466' : i === 1 ? '#ffaa00' : '#ffff00';
+
+      ctx.beginPath();
+      ctx.arc(x, y, size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    const particleCount = 8;
+    for (let i = 0; i < particleCount; i++) {
+      const angle = (Math.PI * 2 * i) / particleCount;
+      const distance = progress * explosionSize * 2;
+      const px = x + Math.cos(angle) * distance;
+      const py = y + Math.sin(angle) * distance;
+
+      ctx.globalAlpha = alpha;
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.arc(px, py, 3 * (1 - progress), 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the player ship, turned towards its target
+   */
+  drawPlayer() {
+    const ctx = this.ctx;
+    const player = this.core.player;
+
+    ctx.save();
+
+    const pulse = Math.sin(this.playerPulsePhase) * 0.1 + 1;
+    const currentSize = player.size * pulse;
+
+    let rotationAngle = 0;
+    if (player.targetEnemy) {
+      const dx = player.targetEnemy.x - player.x;
+      const dy = player.targetEnemy.y - player.y;
+      rotationAngle = Math.atan2(dy, dx) + Math.PI / 2;
+    }
+
+    if (player.shielded) {
+      this.drawShield(player, currentSize);
+    }
+
+    ctx.translate(player.x, player.y);
+    ctx.rotate(rotationAngle);
+    ctx.translate(-player.x, -player.y);
+
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = this.playerSkin.glow;
+
+    if (this.playerImage.loaded) {
+      ctx.filter = this.playerSkin.filter;
+      ctx.drawImage(
+        this.playerImage,
+        player.x - currentSize,
+        player.y - currentSize,
+        currentSize * 2,
+        currentSize * 2
+      );
+    } else {
+      ctx.fillStyle = this.playerSkin.glow;
+      ctx.beginPath();
+      ctx.moveTo(player.x, player.y - currentSize);
+      ctx.lineTo(player.x - currentSize, player.y + currentSize);
+      ctx.lineTo(player.x + currentSize, player.y + currentSize);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the bubble of a raised shield around the player
+   * @param {Player} player - Player
+   * @param {number} size - Current ship size
+   */
+  drawShield(player, size) {
+    const ctx = this.ctx;
+
+    const { color } = POWER_UPS.shield;
+
+    ctx.save();
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 3;
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = color;
+    ctx.beginPath();
+    ctx.arc(player.x, player.y, size + 12, 0, Math.PI * 2);
+    ctx.globalAlpha = 0.12;
+    ctx.fill();
+    ctx.globalAlpha = 0.8;
+    ctx.stroke();
+
+    ctx.restore();
+  }
+
+  /**
+   * Get the wave clear overlay opacity (fades in and out over the wave clear pause)
+   * @returns {number} Opacity (0-1)
+   */
+  getWaveClearAlpha() {
+    const timer = this.core.waveClearTimer;
+    const duration = this.core.waveClearDuration;
+
+    if (timer < 0.5) return timer / 0.5;
+    if (timer < duration - 0.5) return 1.0;
+    return Math.max(0, (duration - timer) / 0.5);
+  }
+
+  /**
+   * Draw wave clear screen with statistics (subtle overlay with fade)
+   */
+  drawWaveClear() {
+    const ctx = this.ctx;
+    const { width, height, waveStats } = this.core;
+
+    ctx.save();
+
+    ctx.globalAlpha = this.getWaveClearAlpha();
+
+    ctx.fillStyle = 'rgba(0, 15, 30, 0.6)';
+    ctx.fillRect(0, 0, width, height);
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    ctx.fillStyle = '#5b9bd5';
+    ctx.font = 'bold 40px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = 'rgba(91, 155, 213, 0.6)';
+
+    const waveText = `WAVE ${String(waveStats.wave).padStart(3, '0')} CLEAR`;
+    ctx.fillText(waveText, centerX, centerY - 120);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '26px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 8;
+    ctx.shadowColor = '#ffffff44';
+    ctx.fillText(`SCORE: ${String(waveStats.score).padStart(6, '0')}`, centerX, centerY - 70);
+
+    const boxY = centerY - 20;
+    const lineHeight = 38;
+
+    ctx.fillStyle = '#7ba8d1';
+    ctx.font = '24px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 8;
+    ctx.shadowColor = 'rgba(123, 168, 209, 0.4)';
+    ctx.fillText(`WPM: ${waveStats.netWpm} (gross ${waveStats.wpm})`, centerX, boxY);
+
+    ctx.fillStyle = waveStats.accuracy >= 90 ? '#5b9bd5' :
+                    waveStats.accuracy >= 70 ? '#ffaa00' : '#ff4466';
+    ctx.fillText(`ACCURACY: ${waveStats.accuracy}%`, centerX, boxY + lineHeight);
+
+    ctx.fillStyle = '#aaaaaa';
+    ctx.font = '20px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 5;
+    ctx.fillText(
+      `Correct: ${waveStats.correctInputs} | Errors: ${waveStats.incorrectInputs} | Corrections: ${waveStats.corrections}`,
+      centerX,
+      boxY + lineHeight * 2
+    );
+
+    ctx.fillStyle = '#ffdd55';
+    ctx.fillText(
+      `Best Streak: ${waveStats.combo.bestStreak} | Combo Bonus: +${waveStats.combo.bonus}`,
+      centerX,
+      boxY + lineHeight * 3
+    );
+
+    if (waveStats.boss) {
+      ctx.fillStyle = waveStats.boss.defeated ? '#ffdd55' : '#ff4466';
+      ctx.font = 'bold 22px Orbitron, Arial, sans-serif';
+      ctx.fillText(
+        waveStats.boss.defeated ? `BOSS DEFEATED +${waveStats.boss.bonus}` : 'BOSS BROKE THROUGH',
+        centerX,
+        boxY + lineHeight * 4
+      );
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw game over screen
+   */
+  drawGameOver() {
+    const ctx = this.ctx;
+    const { width, height, totalStats } = this.core;
+    const result = this.core.getResult();
+
+    if (!this.core.mode.waves) {
+      this.drawSessionSummary(result);
+      return;
+    }
+
+    ctx.save();
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+    ctx.fillRect(0, 0, width, height);
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    ctx.fillStyle = '#ff4466';
+    ctx.font = 'bold 64px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = '#ff4466';
+    ctx.fillText('GAME OVER', centerX, centerY - 160);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '32px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 10;
+    ctx.shadowColor = '#ffffff';
+    ctx.fillText(`FINAL SCORE: ${String(result.score).padStart(6, '0')}`, centerX, centerY - 90);
+
+    ctx.font = '28px Orbitron, Arial, sans-serif';
+    ctx.fillText(`Waves Completed: ${totalStats.totalWavesCompleted}`, centerX, centerY - 40);
+
+    ctx.fillStyle = '#7ba8d1';
+    ctx.font = '26px Orbitron, Arial, sans-serif';
+    ctx.fillText(`Overall WPM: ${result.netWpm} (gross ${result.wpm})`, centerX, centerY + 10);
+
+    ctx.fillStyle = result.accuracy >= 90 ? '#5b9bd5' :
+                    result.accuracy >= 70 ? '#ffaa00' : '#ff4466';
+    ctx.fillText(`Overall Accuracy: ${result.accuracy}% (corrected ${result.correctedAccuracy}%)`, centerX, centerY + 50);
+
+    ctx.fillStyle = '#cccccc';
+    ctx.font = '22px Orbitron, Arial, sans-serif';
+    ctx.fillText(
+      `Total Correct: ${result.correctInputs} | Errors: ${result.incorrectInputs} | Corrections: ${result.corrections}`,
+      centerX,
+      centerY + 90
+    );
+
+    this.drawComboSummary(result, centerX, centerY + 120);
+
+    ctx.fillStyle = '#7ba8d1';
+    ctx.font = 'bold 26px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = 'rgba(123, 168, 209, 0.5)';
+    ctx.fillText('Press R to Restart', centerX, centerY + 150);
+
+    ctx.fillStyle = '#667788';
+    ctx.font = '14px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 0;
+    ctx.fillText(
+      this.dailyInfo
+        ? this.getDailyLabel()
+        : this.ghost
+          ? `${this.getDifficultyLabel(result)} · ${this.getGhostResultLabel(result)}`
+          : `${this.getDifficultyLabel(result)} · SEED: ${this.core.seed}`,
+      centerX,
+      centerY + 195
+    );
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the statistics summary at the end of a session without waves
+   * Timed modes lead with the score and net WPM; Zen with the session length
+   * @param {Object} result - Result from GameCore.getResult()
+   */
+  drawSessionSummary(result) {
+    const timed = this.core.mode.duration !== null;
+
+    const ctx = this.ctx;
+    const { width, height } = this.core;
+
+    ctx.save();
+
+    ctx.fillStyle = 'rgba(0, 10, 20, 0.85)';
+    ctx.fillRect(0, 0, width, height);
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+
+    ctx.fillStyle = '#5b9bd5';
+    ctx.font = 'bold 52px Orbitron, Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowBlur = 20;
+    ctx.shadowColor = 'rgba(91, 155, 213, 0.6)';
+    ctx.fillText(timed ? "TIME'S UP" : 'SESSION COMPLETE', centerX, centerY - 180);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '28px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 10;
+    ctx.shadowColor = '#ffffff44';
+    ctx.fillText(
+      timed
+        ? `SCORE: ${String(result.score).padStart(6, '0')}`
+        : `Time: ${this.formatTime(Math.floor(result.duration))}`,
+      centerX,
+      centerY - 115
+    );
+
+    ctx.fillStyle = '#7ba8d1';
+    ctx.font = '26px Orbitron, Arial, sans-serif';
+    ctx.fillText(`Net WPM: ${result.netWpm} (gross ${result.wpm})`, centerX, centerY - 65);
+
+    ctx.fillStyle = result.accuracy >= 90 ? '#5b9bd5' :
+                    result.accuracy >= 70 ? '#ffaa00' : '#ff4466';
+    ctx.fillText(`Accuracy: ${result.accuracy}% (corrected ${result.correctedAccuracy}%)`, centerX, centerY - 25);
+
+    ctx.fillStyle = '#cccccc';
+    ctx.font = '22px Orbitron, Arial, sans-serif';
+    ctx.fillText(
+      `${timed ? 'Words Destroyed' : 'Words Typed'}: ${result.wordsTyped} | Words Missed: ${result.wordsMissed}`,
+      centerX,
+      centerY + 20
+    );
+    ctx.fillText(
+      `Correct: ${result.correctInputs} | Errors: ${result.incorrectInputs} | Corrections: ${result.corrections}`,
+      centerX,
+      centerY + 55
+    );
+    let levelLine = `Level Reached: ${result.peakLevel} | Score: ${result.score}`;
+    if (timed) {
+      levelLine = `Level Reached: ${result.peakLevel}`;
+    } else if (result.reviewWordsDue !== undefined) {
+      levelLine = `Review Words: ${result.reviewWordsServed}/${result.reviewWordsDue} | Level Reached: ${result.peakLevel}`;
+    }
+    ctx.fillText(levelLine, centerX, centerY + 90);
+
+    this.drawComboSummary(result, centerX, centerY + 120);
+
+    ctx.fillStyle = '#7ba8d1';
+    ctx.font = 'bold 26px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = 'rgba(123, 168, 209, 0.5)';
+    ctx.fillText(timed ? 'Press R to Restart' : 'Press R to start a new session', centerX, centerY + 150);
+
+    ctx.fillStyle = '#667788';
+    ctx.font = '14px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 0;
+    ctx.fillText(`${this.core.mode.label.toUpperCase()} · ${this.getDifficultyLabel(result)} · SEED: ${this.core.seed}`, centerX, centerY + 195);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw the combo line of the results: how much of the score came from the multiplier
+   * @param {Object} result - Result from GameCore.getResult()
+   * @param {number} x - Centre X
+   * @param {number} y - Line Y
+   */
+  drawComboSummary(result, x, y) {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.fillStyle = '#ffdd55';
+    ctx.font = '18px Orbitron, Arial, sans-serif';
+    ctx.shadowBlur = 0;
+    ctx.fillText(
+      `Combo Bonus: +${result.comboBonus} | Best Streak: ${result.bestStreak} (×${result.maxMultiplier})`,
+      x,
+      y
+    );
+    ctx.restore();
+  }
+}
@@ -0,0 +1,143 @@
+import { getReplayDuration, applyReplayEvent } from '../core/Replay.js';
+
+/**
+ * Plays a recorded replay back through the Game
+ * Runs the same fixed simulation steps as the recording and feeds the recorded
+ * input events in at the step they originally happened
+ */
+export class ReplayPlayer {
+  constructor(game, replay) {
+    this.game = game;
+    this.replay = replay;
+    this.duration = getReplayDuration(replay);
+    this.playing = false;
+    this.speed = 1;
+
+    this.frame = 0;
+    this.eventIndex = 0;
+    this.clock = 0;
+  }
+
+  /**
+   * Restart the recorded session from its seed and settings
+   */
+  reset() {
+    this.game.applySettings(this.replay.settings);
+    this.game.restart(this.replay.seed);
+    this.frame = 0;
+    this.eventIndex = 0;
+    this.clock = 0;
+  }
+
+  /**
+   * Start or resume playback
+   */
+  play() {
+    if (this.isFinished()) {
+      this.reset();
+    }
+    this.playing = true;
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.playing = false;
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Set the playback speed
+   * @param {number} speed - Speed multiplier (1 = real time)
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Advance playback by real elapsed time
+   * @param {number} realDt - Real time since last frame in seconds
+   */
+  advance(realDt) {
+    if (!this.playing) return;
+
+    this.clock += realDt * this.speed;
+    while (!this.isFinished() && this.clock >= this.replay.timestep) {
+      this.clock -= this.replay.timestep;
+      this.step();
+    }
+
+    if (this.isFinished()) {
+      this.playing = false;
+    }
+  }
+
+  /**
+   * Get how far playback is between two simulation steps (for interpolated rendering)
+   * @returns {number} Fraction of a step (0-1)
+   */
+  getInterpolationAlpha() {
+    return this.playing ? Math.min(this.clock / this.replay.timestep, 1) : 0;
+  }
+
+  /**
+   * Run one recorded simulation step, applying the events that preceded it
+   */
+  step() {
+    const events = this.replay.events;
+    while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.frame) {
+      applyReplayEvent(this.game.core, events[this.eventIndex]);
+      this.eventIndex++;
+    }
+
+    this.game.core.step(this.replay.timestep);
+    this.frame++;
+  }
+
+  /**
+   * Jump to a point in the replay
+   * Seeking backwards re-simulates from the start, since the game can't run in reverse
+   * @param {number} time - Target simulation time in seconds
+   */
+  seek(time) {
+    const target = Math.max(0, Math.min(time, this.duration));
+
+    if (target < this.getCurrentTime()) {
+      this.reset();
+    }
+
+    this.game.setMuted(true);
+    while (!this.isFinished() && this.getCurrentTime() + this.replay.timestep <= target) {
+      this.step();
+    }
+    this.game.setMuted(false);
+    this.clock = 0;
+  }
+
+  /**
+   * Get the current playback position
+   * @returns {number} Simulation time in seconds
+   */
+  getCurrentTime() {
+    return this.game.core.gameTime;
+  }
+
+  /**
+   * Check if every recorded step has been played
+   * @returns {boolean} True if finished
+   */
+  isFinished() {
+    return this.frame >= this.replay.ticks;
+  }
+}
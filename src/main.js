@@ -2,9 +2,23 @@ import './style-new.css';
 import { Game } from './game/Game.js';
 import { getWordStats } from './data/words.js';
 import { FirebaseService } from './services/FirebaseService.js';
+import { LetterStatsService } from './services/LetterStatsService.js';
+import { ReviewService } from './services/ReviewService.js';
+import { HistoryService } from './services/HistoryService.js';
+import { AchievementService } from './services/AchievementService.js';
+import { GhostService } from './services/GhostService.js';
 import { AuthUI } from './ui/AuthUI.js';
 import { ScoreboardUI } from './ui/ScoreboardUI.js';
 import { LiveScoreboard } from './ui/LiveScoreboard.js';
+import { ReplayUI } from './ui/ReplayUI.js';
+import { ProgressUI } from './ui/ProgressUI.js';
+import { AchievementToast } from './ui/AchievementToast.js';
+import { PauseMenu } from './ui/PauseMenu.js';
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, isDifficulty } from './core/difficulty.js';
+import { GAME_MODES, DEFAULT_MODE, isGameMode } from './core/modes.js';
+import {
+  SHIP_SKINS, DEFAULT_SKIN, DIFFICULTY_UNLOCKS, getLevelInfo, isSkinUnlocked, isDifficultyUnlocked
+} from './core/progression.js';
 
 /**
  * Main entry point for Dhivehi Type game
@@ -12,9 +26,18 @@ import { LiveScoreboard } from './ui/LiveScoreboard.js';
 
 let game = null;
 let firebaseService = null;
+let letterStats = null;
+let reviewService = null;
+let historyService = null;
+let progressUI = null;
+let achievementService = null;
+let ghostService = null;
 let authUI = null;
 let scoreboardUI = null;
 let liveScoreboard = null;
+let replayUI = null;
+let pauseMenu = null;
+let playerLevel = 1;
 
 /**
  * Wait for MV Waheed font to load, then initialize the game
@@ -32,6 +55,188 @@ async function waitForFont() {
   }
 }
 
+/**
+ * Read a fixed seed from the URL (e.g. ?seed=12345) to reproduce a run
+ * @returns {number|undefined} Seed, or undefined for a random seed per run
+ */
+function getSeedFromUrl() {
+  const seed = new URLSearchParams(window.location.search).get('seed');
+  if (seed === null || !/^\d+$/.test(seed)) {
+    return undefined;
+  }
+  return Number(seed) >>> 0;
+}
+
+/**
+ * Read the last chosen difficulty preset
+ * @returns {string} Difficulty preset id
+ */
+function loadDifficulty() {
+  const difficulty = localStorage.getItem('dhivehi_type_difficulty');
+  return isDifficulty(difficulty) && isDifficultyUnlocked(difficulty, playerLevel) ? difficulty : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Fill the difficulty selector, with the presets above the player's level locked
+ * @param {HTMLSelectElement} select - Difficulty selector
+ */
+function renderDifficultyOptions(select) {
+  const value = select.value;
+  select.innerHTML = Object.values(DIFFICULTY_PRESETS)
+    .map(preset => isDifficultyUnlocked(preset.id, playerLevel)
+      ? `<option value="${preset.id}">${preset.label}</option>`
+      : `<option value="${preset.id}" disabled>🔒 ${preset.label} (Lv ${DIFFICULTY_UNLOCKS[preset.id]})</option>`)
+    .join('');
+  select.value = value;
+}
+
+/**
+ * Fill the difficulty selector and switch presets when it changes
+ * Changing the preset starts a new run
+ */
+function setupDifficultySelect() {
+  const select = document.getElementById('difficulty-select');
+  if (!select) return;
+
+  renderDifficultyOptions(select);
+  select.value = game.difficulty;
+
+  select.addEventListener('change', () => {
+    const difficulty = select.value;
+    localStorage.setItem('dhivehi_type_difficulty', difficulty);
+
+    game.setDifficulty(difficulty);
+    liveScoreboard.setDifficulty(difficulty);
+    scoreboardUI.setDifficulty(difficulty);
+
+    const input = document.getElementById('hidden-input');
+    if (input) {
+      input.value = '';
+      input.focus();
+    }
+  });
+}
+
+/**
+ * Read the last chosen ship skin
+ * @returns {string} Skin id (Classic if the saved one is locked)
+ */
+function loadSkin() {
+  const skin = localStorage.getItem('dhivehi_type_skin');
+  return isSkinUnlocked(skin, playerLevel) ? skin : DEFAULT_SKIN;
+}
+
+/**
+ * Fill the ship selector, with the skins above the player's level locked
+ * @param {HTMLSelectElement} select - Ship selector
+ */
+function renderSkinOptions(select) {
+  const value = select.value;
+  select.innerHTML = Object.values(SHIP_SKINS)
+    .map(skin => isSkinUnlocked(skin.id, playerLevel)
+      ? `<option value="${skin.id}">${skin.label}</option>`
+      : `<option value="${skin.id}" disabled>🔒 ${skin.label} (Lv ${skin.level})</option>`)
+    .join('');
+  select.value = value;
+}
+
+/**
+ * Fill the ship selector and change the ship's skin when it changes
+ */
+function setupSkinSelect() {
+  const select = document.getElementById('skin-select');
+  const skin = loadSkin();
+  game.setSkin(skin);
+  if (!select) return;
+
+  renderSkinOptions(select);
+  select.value = skin;
+
+  select.addEventListener('change', () => {
+    localStorage.setItem('dhivehi_type_skin', select.value);
+    game.setSkin(select.value);
+
+    const input = document.getElementById('hidden-input');
+    if (input) input.focus();
+  });
+}
+
+/**
+ * Lock and unlock the skins and presets for a new player level
+ * A preset already being played stays on until the player picks another
+ * @param {number} level - Player level
+ */
+function updateLevelUnlocks(level) {
+  playerLevel = level;
+
+  const difficultySelect = document.getElementById('difficulty-select');
+  if (difficultySelect) renderDifficultyOptions(difficultySelect);
+
+  const skinSelect = document.getElementById('skin-select');
+  if (skinSelect) renderSkinOptions(skinSelect);
+}
+
+/**
+ * Read the last chosen game mode
+ * @returns {string} Game mode id
+ */
+function loadMode() {
+  const mode = localStorage.getItem('dhivehi_type_mode');
+  return isGameMode(mode) ? mode : DEFAULT_MODE;
+}
+
+/**
+ * Update the controls that depend on the mode
+ * The End Session button only shows in modes that never end by themselves, and modes
+ * with a fixed difficulty lock the difficulty selector to it
+ * @param {string} mode - Game mode id
+ */
+function updateModeControls(mode) {
+  const { damage, duration, difficulty } = GAME_MODES[mode];
+
+  const endSessionBtn = document.getElementById('end-session-btn');
+  if (endSessionBtn) {
+    endSessionBtn.classList.toggle('hidden', damage || duration !== null);
+  }
+
+  const difficultySelect = document.getElementById('difficulty-select');
+  if (difficultySelect) {
+    difficultySelect.disabled = difficulty !== null;
+    difficultySelect.value = difficulty ?? game.difficulty;
+  }
+}
+
+/**
+ * Fill the mode selector and switch modes when it changes
+ * Changing the mode starts a new run
+ */
+function setupModeSelect() {
+  const select = document.getElementById('mode-select');
+  if (!select) return;
+
+  select.innerHTML = Object.values(GAME_MODES)
+    .map(mode => `<option value="${mode.id}">${mode.label}</option>`)
+    .join('');
+  select.value = game.mode;
+  updateModeControls(game.mode);
+
+  select.addEventListener('change', () => {
+    const mode = select.value;
+    localStorage.setItem('dhivehi_type_mode', mode);
+
+    game.setMode(mode);
+    liveScoreboard.setMode(mode);
+    scoreboardUI.setMode(mode);
+    updateModeControls(mode);
+
+    const input = document.getElementById('hidden-input');
+    if (input) {
+      input.value = '';
+      input.focus();
+    }
+  });
+}
+
 /**
  * Initialize the game
  */
@@ -49,20 +254,62 @@ async function init() {
   console.log('📚 Word files loaded:', wordStats.totalFiles, 'files (', wordStats.fileRange, ')');
 
   firebaseService = new FirebaseService();
+  letterStats = new LetterStatsService();
+  reviewService = new ReviewService(firebaseService);
+  firebaseService.onAuthChange(() => reviewService.load());
+  historyService = new HistoryService();
+  achievementService = new AchievementService(firebaseService);
+  firebaseService.onAuthChange(() => achievementService.load());
+  ghostService = new GhostService();
   authUI = new AuthUI(firebaseService);
-  scoreboardUI = new ScoreboardUI(firebaseService);
+  scoreboardUI = new ScoreboardUI(firebaseService, letterStats, achievementService);
   liveScoreboard = new LiveScoreboard(firebaseService);
 
-  game = new Game(canvas, firebaseService);
+  playerLevel = getLevelInfo(await firebaseService.getXp()).level;
+  const difficulty = loadDifficulty();
+  const mode = loadMode();
+  liveScoreboard.setDifficulty(difficulty);
+  liveScoreboard.setMode(mode);
+  scoreboardUI.setDifficulty(difficulty);
+  scoreboardUI.setMode(mode);
+
+  await reviewService.load();
+  await achievementService.load();
+  const achievementToast = new AchievementToast();
+  achievementService.onUnlock(achievement => achievementToast.show(achievement));
+  game = new Game(canvas, firebaseService, { seed: getSeedFromUrl(), difficulty, mode, letterStats, review: reviewService, history: historyService, achievements: achievementService, ghosts: ghostService });
+  setupDifficultySelect();
+  setupModeSelect();
+  setupSkinSelect();
+  liveScoreboard.onLevelChange(updateLevelUnlocks);
+  replayUI = new ReplayUI(game);
+  progressUI = new ProgressUI(historyService);
+  pauseMenu = new PauseMenu(game);
 
   window.addEventListener('resize', () => {
     game.setupCanvas();
-    game.particles.resize(game.width, game.height);
   });
 
+  
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      game.pause();
+    }
+  });
+
+  const pauseBtn = document.getElementById('pause-btn');
+  if (pauseBtn) {
+    pauseBtn.addEventListener('click', () => game.togglePause());
+  }
+
+  const endSessionBtn = document.getElementById('end-session-btn');
+  if (endSessionBtn) {
+    endSessionBtn.addEventListener('click', () => game.quit());
+  }
+
   document.addEventListener('keydown', (e) => {
     if (e.key === 'r' || e.key === 'R') {
-      if (game.gameOver) {
+      if (game.gameOver && !game.isReplaying()) {
         e.preventDefault();
         e.stopPropagation();
         game.restart();
@@ -81,6 +328,11 @@ async function init() {
 
   window.showScoreboard = () => scoreboardUI.show();
   window.showAuthUI = (callback) => authUI.show(callback);
+  window.showReplays = () => replayUI.show();
+  window.showProgress = () => progressUI.show();
+  window.updatePlayerLevel = (xp, gained) => liveScoreboard.showLevel(xp, gained);
+  window.showPauseMenu = () => pauseMenu.show();
+  window.hidePauseMenu = () => pauseMenu.hide();
 }
 
 if (document.readyState === 'loading') {
@@ -0,0 +1,185 @@
+import { ACHIEVEMENTS, createAchievementRecords, getNewAchievements } from '../core/achievements.js';
+
+/**
+ * Achievement engine
+ * Watches a game core's events, keeps the player's lifetime records and unlocks badges
+ * as their goals are reached (see core/achievements.js). Records and unlocks are stored
+ * through FirebaseService, which falls back to localStorage.
+ */
+export class AchievementService {
+  /**
+   * @param {FirebaseService} firebaseService - Service that stores the achievements
+   */
+  constructor(firebaseService) {
+    this.firebaseService = firebaseService;
+    this.records = createAchievementRecords();
+    this.unlocked = {}; // Achievement id -> unlock time in ms
+    this.account = null; // Player the records belong to (see FirebaseService.getLocalAccountKey())
+    this.loads = 0;
+    this.listeners = [];
+    this.dirty = false;
+  }
+
+  /**
+   * Load the player's records and badges (again whenever they log in or out)
+   */
+  async load() {
+    const load = ++this.loads;
+    const account = this.firebaseService.getLocalAccountKey();
+    const saved = await this.firebaseService.getAchievements();
+    if (load !== this.loads) return; // A later load (e.g. after logging in) wins
+
+    this.setSaved(saved);
+    this.account = account;
+    this.dirty = false;
+    console.log(`🏅 Achievements loaded (${Object.keys(this.unlocked).length}/${ACHIEVEMENTS.length})`);
+  }
+
+  /**
+   * Call a function whenever a badge unlocks
+   * @param {Function} callback - Called with the achievement
+   */
+  onUnlock(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Follow a game core's events
+   * @param {GameCore} core - Game core
+   * @param {Function} shouldRecord - Returns false while a run mustn't count (replays)
+   */
+  attach(core, shouldRecord = () => true) {
+    const on = (event, handler) => core.on(event, (data) => {
+      if (shouldRecord()) handler(data);
+    });
+
+    on('enemyDestroyed', ({ enemy }) => {
+      this.recordWord(enemy.word);
+      if (enemy.type !== 'pickup') {
+        this.update({ shipsDestroyed: this.records.shipsDestroyed + 1 });
+      }
+    });
+    on('wordCompleted', ({ word }) => this.recordWord(word));
+    on('powerUpActivated', ({ destroyed }) => {
+      if (destroyed && destroyed.length > 0) {
+        this.update({ shipsDestroyed: this.records.shipsDestroyed + destroyed.length });
+      }
+    });
+    on('combo', ({ multiplier }) => {
+      if (multiplier > this.records.bestMultiplier) {
+        this.update({ bestMultiplier: multiplier });
+      }
+    });
+    on('waveClear', ({ stats }) => {
+      if (stats.incorrectInputs === 0 && stats.correctInputs > 0) {
+        this.update({ perfectWaves: this.records.perfectWaves + 1 });
+      }
+    });
+    on('waveStart', ({ wave }) => {
+      if (wave > this.records.bestWave) {
+        this.update({ bestWave: wave });
+      }
+    });
+    on('gameOver', () => {
+      this.recordDayPlayed(new Date());
+      if (core.mode.daily) {
+        this.update({ dailyChallenges: this.records.dailyChallenges + 1 });
+      }
+    });
+  }
+
+  /**
+   * Record a typed word's length
+   * @param {string} word - Word typed
+   */
+  recordWord(word) {
+    if (word.length > this.records.longestWord) {
+      this.update({ longestWord: word.length });
+    }
+  }
+
+  /**
+   * Count a finished game towards the run of days played
+   * @param {Date} now - When the game finished
+   */
+  recordDayPlayed(now) {
+    const today = this.getDayKey(now);
+    if (this.records.lastPlayedDay === today) return;
+
+    const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    const currentStreak = this.records.lastPlayedDay === this.getDayKey(yesterday)
+      ? this.records.currentStreak + 1
+      : 1;
+
+    this.update({
+      lastPlayedDay: today,
+      currentStreak,
+      dayStreak: Math.max(this.records.dayStreak, currentStreak)
+    });
+  }
+
+  /**
+   * Change some records and unlock any badges they earn
+   * @param {Object} changes - New values of the records
+   */
+  update(changes) {
+    Object.assign(this.records, changes);
+    this.dirty = true;
+
+    const now = Date.now();
+    for (const achievement of getNewAchievements(this.records, this.unlocked)) {
+      this.unlocked[achievement.id] = now;
+      console.log(`🏅 Achievement unlocked: ${achievement.title}`);
+      this.listeners.forEach(callback => callback(achievement));
+    }
+  }
+
+  /**
+   * Store the records and badges if anything changed since the last save
+   */
+  async save() {
+    if (!this.dirty) return;
+
+    // Never save one player's records to another's account
+    if (this.account !== this.firebaseService.getLocalAccountKey()) {
+      await this.load();
+      return;
+    }
+
+    this.dirty = false;
+    this.setSaved(await this.firebaseService.saveAchievements({ records: this.records, unlocked: this.unlocked }));
+  }
+
+  /**
+   * Take on stored records and badges
+   * @param {{records: Object, unlocked: Object<string, number>}} saved - Records and badges
+   */
+  setSaved(saved) {
+    this.records = { ...createAchievementRecords(), ...saved.records };
+    this.unlocked = saved.unlocked || {};
+  }
+
+  /**
+   * Get every badge with the player's progress towards it
+   * @returns {Array<Object>} Achievements, each with progress (0 up to its goal) and
+   *   unlockedAt (ms, or null while locked)
+   */
+  getAchievements() {
+    return ACHIEVEMENTS.map(achievement => ({
+      ...achievement,
+      progress: Math.min(this.records[achievement.record] || 0, achievement.goal),
+      unlockedAt: this.unlocked[achievement.id] || null
+    }));
+  }
+
+  /**
+   * Key for a local calendar day
+   * @param {Date} date - Date
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
@@ -1,6 +1,11 @@
 import { initializeApp } from 'firebase/app';
 import { getAuth, createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, updateProfile } from 'firebase/auth';
 import { getFirestore, collection, addDoc, query, orderBy, limit, getDocs, doc, setDoc, getDoc, updateDoc, increment } from 'firebase/firestore';
+import { DEFAULT_DIFFICULTY } from '../core/difficulty.js';
+import { DEFAULT_MODE, isTimedMode, isDailyMode, hasOwnLeaderboard } from '../core/modes.js';
+import { getDailyDate } from '../core/daily.js';
+import { mergeReviewDecks } from '../core/review.js';
+import { mergeAchievements } from '../core/achievements.js';
 
 /**
  * Firebase Service for authentication and scoreboard
@@ -13,11 +18,28 @@ export class FirebaseService {
     this.auth = null;
     this.db = null;
     this.currentUser = null;
+    this.authListeners = [];
 
     
     this.initialize();
   }
 
+  /**
+   * Call a function whenever the player logs in or out (including when a saved session
+   * is restored), so per-player data can be reloaded
+   * @param {Function} callback - Called with the current user (null once logged out)
+   */
+  onAuthChange(callback) {
+    this.authListeners.push(callback);
+  }
+
+  /**
+   * Tell the auth listeners that the player changed
+   */
+  notifyAuthChange() {
+    this.authListeners.forEach(callback => callback(this.currentUser));
+  }
+
   /**
    * Initialize Firebase with environment variables
    */
@@ -81,6 +103,7 @@ export class FirebaseService {
         username: savedUsername
       };
       console.log(`👤 Welcome back, ${savedUsername}!`);
+      this.notifyAuthChange();
     }
   }
 
@@ -172,6 +195,7 @@ export class FirebaseService {
       this.saveLocalUsername(trimmedUsername);
       this.saveLocalPassword(password);
 
+      this.notifyAuthChange();
       return this.currentUser;
 
     } catch (error) {
@@ -197,6 +221,7 @@ export class FirebaseService {
       this.saveLocalUsername(trimmedUsername);
       this.saveLocalPassword(password);
 
+      this.notifyAuthChange();
       return this.currentUser;
     }
   }
@@ -256,6 +281,7 @@ export class FirebaseService {
       this.saveLocalUsername(trimmedUsername);
       this.saveLocalPassword(password);
 
+      this.notifyAuthChange();
       return this.currentUser;
 
     } catch (error) {
@@ -280,7 +306,7 @@ export class FirebaseService {
    * Save score to Firebase or localStorage
    */
   async saveScore(scoreData) {
-    const { score, wave, wpm, accuracy } = scoreData;
+    const { score, wave, wpm, accuracy, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_MODE } = scoreData;
 
     if (!this.currentUser) {
       console.warn('⚠️ No user logged in. Score not saved.');
@@ -294,10 +320,33 @@ export class FirebaseService {
       wave,
       wpm,
       accuracy,
+      difficulty,
+      mode,
       timestamp: Date.now(),
       date: new Date().toISOString()
     };
 
+    if (scoreData.netWpm !== undefined) {
+      scoreEntry.netWpm = scoreData.netWpm;
+      scoreEntry.correctedAccuracy = scoreData.correctedAccuracy;
+    }
+
+    if (isTimedMode(mode)) {
+      scoreEntry.wordsDestroyed = scoreData.wordsTyped;
+    }
+
+    if (scoreData.difficultyLevel !== undefined) {
+      scoreEntry.difficultyLevel = scoreData.difficultyLevel;
+    }
+
+    if (isDailyMode(mode)) {
+      if (await this.hasPlayedDaily(scoreData.dailyDate)) {
+        console.warn('⚠️ Daily challenge already played today. Score not saved.');
+        return false;
+      }
+      scoreEntry.dailyDate = scoreData.dailyDate;
+    }
+
     try {
       if (this.enabled && this.db) {
         
@@ -322,21 +371,24 @@ export class FirebaseService {
   /**
    * Get top scores from Firebase or localStorage
    * Now queries users collection to show each user's best score only
+   * Classic scores are ranked per difficulty, timed challenges per duration and the
+   * daily challenge per day (today's board)
    */
-  async getLeaderboard(limitCount = 10) {
-    console.log(`🔍 getLeaderboard called, Firebase enabled: ${this.enabled}`);
+  async getLeaderboard(limitCount = 10, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_MODE) {
+    console.log(`🔍 getLeaderboard called (${mode}/${difficulty}), Firebase enabled: ${this.enabled}`);
 
     
     if (!this.enabled || !this.db) {
       console.log('⚠️ Firebase not enabled, using local scores');
-      return this.getLocalLeaderboard(limitCount);
+      return this.getLocalLeaderboard(limitCount, difficulty, mode);
     }
 
     try {
-      
+      const [group, bucket] = this.getLeaderboardBucket(mode, difficulty);
+
       const q = query(
         collection(this.db, 'users'),
-        orderBy('highestScore', 'desc'),
+        orderBy(`${group}.${bucket}.highestScore`, 'desc'),
         limit(limitCount)
       );
 
@@ -345,30 +397,170 @@ export class FirebaseService {
 
       querySnapshot.forEach((doc) => {
         const userData = doc.data();
+        const best = userData[group][bucket];
         
         scores.push({
           id: doc.id,
           username: userData.username,
           userId: userData.userId || doc.id,
-          score: userData.highestScore || 0,
-          wave: userData.highestWave || 0,
-          wpm: userData.bestWpm || 0,
-          accuracy: userData.bestAccuracy || 0,
-          gamesPlayed: userData.gamesPlayed || 0,
-          totalScore: userData.totalScore || 0
+          score: best.highestScore || 0,
+          wave: best.highestWave || 0,
+          wpm: best.bestWpm || 0,
+          accuracy: best.bestAccuracy || 0,
+          gamesPlayed: best.gamesPlayed || 0,
+          difficultyLevel: best.highestDifficultyLevel,
+          totalScore: userData.totalScore || 0,
+          difficulty,
+          mode
         });
       });
 
+      
+      if (!hasOwnLeaderboard(mode) && difficulty === DEFAULT_DIFFICULTY) {
+        scores.push(...await this.getLegacyLeaderboard(limitCount));
+        scores.sort((a, b) => b.score - a.score);
+        scores.splice(limitCount);
+      }
+
       console.log(`📊 Loaded ${scores.length} users from Firebase leaderboard`);
       return scores;
 
     } catch (error) {
       console.error('❌ Failed to load Firebase leaderboard:', error.message);
       
-      return this.getLocalLeaderboard(limitCount);
+      return this.getLocalLeaderboard(limitCount, difficulty, mode);
+    }
+  }
+
+  /**
+   * Where a user's bests for a leaderboard are kept in their users doc
+   * @param {string} mode - Game mode id
+   * @param {string} difficulty - Difficulty preset id
+   * @param {string} dailyDate - Day of a daily challenge (today if omitted)
+   * @returns {string[]} Map name and key (modes.<mode> for timed challenges,
+   *   daily.<day> for the daily challenge, difficulties.<difficulty> otherwise)
+   */
+  getLeaderboardBucket(mode, difficulty, dailyDate = getDailyDate()) {
+    if (isDailyMode(mode)) {
+      return ['daily', dailyDate];
+    }
+    return isTimedMode(mode) ? ['modes', mode] : ['difficulties', difficulty];
+  }
+
+  /**
+   * Check whether the current user already has a ranked daily challenge result for a day
+   * Checks the users doc as well as local stats, so a second device can't rank again
+   * @param {string} dailyDate - Day as YYYY-MM-DD
+   * @returns {Promise<boolean>} True if the day's ranked attempt is used
+   */
+  async hasPlayedDaily(dailyDate) {
+    if (this.getLocalUserStats()?.daily?.[dailyDate]) {
+      return true;
+    }
+
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return false;
+    }
+
+    try {
+      const userDoc = await getDoc(doc(this.db, 'users', this.currentUser.uid));
+      return Boolean(userDoc.exists() && userDoc.data().daily?.[dailyDate]?.gamesPlayed);
+    } catch (error) {
+      console.error('Failed to check daily challenge:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether the current player has started the ranked daily challenge for a day
+   * The start is kept on the account's daily.<day> entry, so another browser can't give
+   * a second ranked try; players without an account only have this browser's record
+   * @param {string} dailyDate - Day as YYYY-MM-DD
+   * @returns {Promise<boolean>} True once the day's ranked attempt has started
+   */
+  async hasUsedDailyAttempt(dailyDate) {
+    if (this.getLocalDailyAttempts()[this.getLocalAccountKey()] === dailyDate) {
+      return true;
+    }
+
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return false;
+    }
+
+    try {
+      const userDoc = await getDoc(doc(this.db, 'users', this.currentUser.uid));
+      return Boolean(userDoc.exists() && userDoc.data().daily?.[dailyDate]);
+    } catch (error) {
+      console.error('Failed to check daily attempt:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record that the current player has started the ranked daily challenge for a day
+   * @param {string} dailyDate - Day as YYYY-MM-DD
+   */
+  async markDailyAttempt(dailyDate) {
+    this.saveLocalDailyAttempt(dailyDate);
+
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return;
+    }
+
+    try {
+      const userRef = doc(this.db, 'users', this.currentUser.uid);
+      const userDoc = await getDoc(userRef);
+      if (userDoc.exists()) {
+        await updateDoc(userRef, { [`daily.${dailyDate}.startedAt`]: Date.now() });
+      } else {
+        await setDoc(userRef, {
+          username: this.currentUser.username,
+          userId: this.currentUser.uid,
+          daily: { [dailyDate]: { startedAt: Date.now() } },
+          createdAt: Date.now()
+        }, { merge: true });
+      }
+    } catch (error) {
+      console.error('Failed to save daily attempt to Firebase:', error);
     }
   }
 
+  /**
+   * Get best scores of users who haven't played since difficulty presets were added
+   * All of their games were played on Normal, so their overall bests count there
+   */
+  async getLegacyLeaderboard(limitCount) {
+    const q = query(
+      collection(this.db, 'users'),
+      orderBy('highestScore', 'desc'),
+      limit(limitCount * 2)
+    );
+
+    const querySnapshot = await getDocs(q);
+    const scores = [];
+
+    querySnapshot.forEach((doc) => {
+      const userData = doc.data();
+      if (userData.difficulties) return;
+
+      scores.push({
+        id: doc.id,
+        username: userData.username,
+        userId: userData.userId || doc.id,
+        score: userData.highestScore || 0,
+        wave: userData.highestWave || 0,
+        wpm: userData.bestWpm || 0,
+        accuracy: userData.bestAccuracy || 0,
+        gamesPlayed: userData.gamesPlayed || 0,
+        totalScore: userData.totalScore || 0,
+        difficulty: DEFAULT_DIFFICULTY,
+        mode: DEFAULT_MODE
+      });
+    });
+
+    return scores;
+  }
+
   /**
    * Get current username
    */
@@ -400,6 +592,7 @@ export class FirebaseService {
     localStorage.removeItem('dhivehi_type_password');
     localStorage.removeItem('dhivehi_type_user_stats');
     console.log('👋 Logged out');
+    this.notifyAuthChange();
   }
 
   /**
@@ -437,20 +630,36 @@ export class FirebaseService {
 
   /**
    * Update user stats after a game
+   * Besides the overall stats, keeps bests per difficulty under difficulties.<id>
+   * Timed challenges use their own scoring, so they only count towards games played
+   * and their bests under modes.<id>; daily challenges likewise keep theirs under daily.<day>
+   * Best WPM is net WPM
    */
   async updateUserStats(gameData) {
     if (!this.currentUser) {
       return false;
     }
 
-    const { score, wave, wpm, accuracy } = gameData;
+    const { score, wave, accuracy, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_MODE } = gameData;
+    const wpm = gameData.netWpm ?? gameData.wpm;
+    const [group, bucket] = this.getLeaderboardBucket(mode, difficulty, gameData.dailyDate);
 
     try {
       if (this.enabled && this.db) {
         const userRef = doc(this.db, 'users', this.currentUser.uid);
         const userDoc = await getDoc(userRef);
 
-        if (userDoc.exists()) {
+        if (userDoc.exists() && hasOwnLeaderboard(mode)) {
+          // Only this leaderboard's entry is written, so the rest of the map (e.g. other
+          // days of the daily challenge) is left as it is
+          const current = userDoc.data()[group]?.[bucket];
+
+          await updateDoc(userRef, {
+            gamesPlayed: increment(1),
+            lastPlayed: Date.now(),
+            [`${group}.${bucket}`]: { ...current, ...this.mergeBestStats(current, gameData) }
+          });
+        } else if (userDoc.exists()) {
           
           const currentStats = userDoc.data();
           const updates = {
@@ -469,7 +678,37 @@ export class FirebaseService {
             updates.bestAccuracy = accuracy;
           }
 
+          
+          // Only this difficulty's entry is written, unless the doc is from before there were
+          // difficulties and its bests move under the default one first
+          if (currentStats.difficulties) {
+            const best = this.mergeBestStats(currentStats.difficulties[difficulty], gameData);
+            updates[`difficulties.${difficulty}`] = best;
+          } else {
+            const difficulties = { [DEFAULT_DIFFICULTY]: this.getLegacyDifficultyStats(currentStats) };
+            difficulties[difficulty] = this.mergeBestStats(difficulties[difficulty], gameData);
+            updates.difficulties = difficulties;
+          }
+
           await updateDoc(userRef, updates);
+        } else if (hasOwnLeaderboard(mode)) {
+          await setDoc(userRef, {
+            username: this.currentUser.username,
+            userId: this.currentUser.uid,
+            gamesPlayed: 1,
+            highestWave: 0,
+            highestScore: 0,
+            totalScore: 0,
+            bestWpm: 0,
+            bestAccuracy: 0,
+            difficulties: {},
+            [group]: {
+              [bucket]: this.mergeBestStats(null, gameData)
+            },
+            xp: this.getLocalXp(),
+            createdAt: Date.now(),
+            lastPlayed: Date.now()
+          });
         } else {
           
           await setDoc(userRef, {
@@ -481,6 +720,10 @@ export class FirebaseService {
             totalScore: score,
             bestWpm: wpm || 0,
             bestAccuracy: accuracy || 0,
+            difficulties: {
+              [difficulty]: this.mergeBestStats(null, gameData)
+            },
+            xp: this.getLocalXp(),
             createdAt: Date.now(),
             lastPlayed: Date.now()
           });
@@ -502,6 +745,209 @@ export class FirebaseService {
     }
   }
 
+  /**
+   * Get the current player's XP (see core/progression.js)
+   * Kept in the users doc under xp, and per player in localStorage for players without one
+   * @returns {Promise<number>} Total XP
+   */
+  async getXp() {
+    const localXp = this.getLocalXp();
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return localXp;
+    }
+
+    try {
+      const userDoc = await getDoc(doc(this.db, 'users', this.currentUser.uid));
+      return userDoc.exists() ? userDoc.data().xp ?? localXp : localXp;
+    } catch (error) {
+      console.error('Failed to load XP from Firebase:', error);
+      return localXp;
+    }
+  }
+
+  /**
+   * Add a finished run's XP
+   * The player's local XP always counts it; the users doc only once it exists (it starts
+   * from the account's local XP when the first game is saved)
+   * @param {number} xp - XP earned
+   * @returns {Promise<number>} New total XP
+   */
+  async addXp(xp) {
+    const total = this.getLocalXp() + xp;
+    this.saveLocalAccountData('dhivehi_type_xp', total);
+
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return total;
+    }
+
+    try {
+      const userRef = doc(this.db, 'users', this.currentUser.uid);
+      const userDoc = await getDoc(userRef);
+      if (userDoc.exists()) {
+        // Docs from before XP existed start from the local XP, like new ones
+        const savedXp = userDoc.data().xp;
+        await updateDoc(userRef, { xp: savedXp === undefined ? total : increment(xp) });
+        console.log(`⭐ +${xp} XP saved to Firebase`);
+        return savedXp === undefined ? total : savedXp + xp;
+      }
+    } catch (error) {
+      console.error('Failed to save XP to Firebase:', error);
+    }
+    return total;
+  }
+
+  /**
+   * Get the current player's review deck (see core/review.js)
+   * Kept in the users doc under review, with a copy per player in localStorage for
+   * offline play; the two are merged card by card
+   * @returns {Promise<Object<string, Object>>} Review cards keyed by word
+   */
+  async getReviewDeck() {
+    const localDeck = this.getLocalReviewDeck();
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return localDeck;
+    }
+
+    try {
+      const userDoc = await getDoc(doc(this.db, 'users', this.currentUser.uid));
+      return mergeReviewDecks(localDeck, (userDoc.exists() && userDoc.data().review) || {});
+    } catch (error) {
+      console.error('Failed to load review deck from Firebase:', error);
+      return localDeck;
+    }
+  }
+
+  /**
+   * Save the current player's review deck
+   * The deck is merged card by card into the one in the users doc, so cards scheduled on
+   * another device aren't lost. The users doc is only updated once it exists (after the
+   * first saved game); until then, and when offline, the deck lives in localStorage
+   * @param {Object<string, Object>} deck - Review cards keyed by word
+   * @returns {Promise<Object<string, Object>>} Deck as saved, with the account's other cards
+   */
+  async saveReviewDeck(deck) {
+    this.saveLocalReviewDeck(deck);
+
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return deck;
+    }
+
+    try {
+      const userRef = doc(this.db, 'users', this.currentUser.uid);
+      const userDoc = await getDoc(userRef);
+      if (userDoc.exists()) {
+        const merged = mergeReviewDecks(deck, userDoc.data().review || {});
+        await updateDoc(userRef, { review: merged });
+        this.saveLocalReviewDeck(merged);
+        console.log('📖 Review deck saved to Firebase');
+        return merged;
+      }
+    } catch (error) {
+      console.error('Failed to save review deck to Firebase:', error);
+    }
+    return deck;
+  }
+
+  /**
+   * Get the current player's achievement records and badges (see core/achievements.js)
+   * Kept in the users doc under achievements, with a copy per player in localStorage for
+   * offline play; the two are merged
+   * @returns {Promise<{records: Object, unlocked: Object<string, number>}>} Lifetime records
+   *   and unlock times by badge id
+   */
+  async getAchievements() {
+    const localAchievements = this.getLocalAchievements();
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return localAchievements;
+    }
+
+    try {
+      const userDoc = await getDoc(doc(this.db, 'users', this.currentUser.uid));
+      if (userDoc.exists() && userDoc.data().achievements) {
+        return mergeAchievements(localAchievements, userDoc.data().achievements);
+      }
+      return localAchievements;
+    } catch (error) {
+      console.error('Failed to load achievements from Firebase:', error);
+      return localAchievements;
+    }
+  }
+
+  /**
+   * Save the current player's achievement records and badges
+   * They're merged into the ones in the users doc (see mergeAchievements()), so progress
+   * made on another device isn't lost. The users doc is only updated once it exists
+   * (after the first saved game); until then, and when offline, they live in localStorage
+   * @param {{records: Object, unlocked: Object<string, number>}} achievements - Records and badges
+   * @returns {Promise<{records: Object, unlocked: Object<string, number>}>} Records and
+   *   badges as saved
+   */
+  async saveAchievements(achievements) {
+    this.saveLocalAchievements(achievements);
+
+    if (!this.currentUser || !this.enabled || !this.db) {
+      return achievements;
+    }
+
+    try {
+      const userRef = doc(this.db, 'users', this.currentUser.uid);
+      const userDoc = await getDoc(userRef);
+      if (userDoc.exists()) {
+        const saved = userDoc.data().achievements;
+        const merged = saved ? mergeAchievements(achievements, saved) : achievements;
+        await updateDoc(userRef, { achievements: merged });
+        this.saveLocalAchievements(merged);
+        console.log('🏅 Achievements saved to Firebase');
+        return merged;
+      }
+    } catch (error) {
+      console.error('Failed to save achievements to Firebase:', error);
+    }
+    return achievements;
+  }
+
+  /**
+   * Add a game to the bests for one leaderboard (a difficulty or a timed challenge)
+   * Keeps the best net WPM (games saved before every mode had one count their WPM)
+   * @param {Object|null} stats - Current bests for the leaderboard
+   * @param {Object} gameData - Result of the game
+   * @returns {Object} Updated bests
+   */
+  mergeBestStats(stats, gameData) {
+    const { score, wave, accuracy } = gameData;
+    const wpm = gameData.netWpm ?? gameData.wpm;
+    const current = stats || {};
+
+    const best = {
+      gamesPlayed: (current.gamesPlayed || 0) + 1,
+      highestScore: Math.max(current.highestScore || 0, score),
+      highestWave: Math.max(current.highestWave || 0, wave),
+      bestWpm: Math.max(current.bestWpm || 0, wpm || 0),
+      bestAccuracy: Math.max(current.bestAccuracy || 0, accuracy || 0)
+    };
+
+    // The Adaptive preset also keeps the highest level a run finished on
+    if (gameData.difficultyLevel !== undefined) {
+      best.highestDifficultyLevel = Math.max(current.highestDifficultyLevel || 0, gameData.difficultyLevel);
+    }
+
+    return best;
+  }
+
+  /**
+   * Bests recorded before difficulty presets existed (every game was on Normal)
+   * @param {Object} stats - User stats without a difficulties map
+   * @returns {Object} Bests for Normal
+   */
+  getLegacyDifficultyStats(stats) {
+    return {
+      gamesPlayed: stats.gamesPlayed || 0,
+      highestScore: stats.highestScore || 0,
+      highestWave: stats.highestWave || 0,
+      bestWpm: stats.bestWpm || 0,
+      bestAccuracy: stats.bestAccuracy || 0
+    };
+  }
   
 
   /**
@@ -554,11 +1000,17 @@ export class FirebaseService {
 
   /**
    * Get local leaderboard from localStorage
-   * Shows only the best score per user
+   * Shows only the best score per user on the given difficulty, in the given timed
+   * challenge or in today's daily challenge (scores saved before difficulty presets and
+   * modes existed count as Classic on Normal)
    */
-  getLocalLeaderboard(limitCount = 10) {
+  getLocalLeaderboard(limitCount = 10, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_MODE) {
     try {
-      const allScores = JSON.parse(localStorage.getItem('dhivehi_type_scores') || '[]');
+      const today = getDailyDate();
+      const allScores = JSON.parse(localStorage.getItem('dhivehi_type_scores') || '[]')
+        .filter(score => (score.mode || DEFAULT_MODE) === mode)
+        .filter(score => !isDailyMode(mode) || score.dailyDate === today)
+        .filter(score => hasOwnLeaderboard(mode) || (score.difficulty || DEFAULT_DIFFICULTY) === difficulty);
 
       
       const bestScores = {};
@@ -601,31 +1053,149 @@ export class FirebaseService {
     }
   }
 
+  /**
+   * Empty local stats for a player who hasn't finished a game on this device
+   * @returns {Object} Stats
+   */
+  createLocalUserStats() {
+    return {
+      username: this.currentUser?.username,
+      gamesPlayed: 0,
+      highestWave: 0,
+      highestScore: 0,
+      totalScore: 0,
+      createdAt: Date.now()
+    };
+  }
+
   /**
    * Update user stats in localStorage
    */
   updateLocalUserStats(gameData) {
     try {
-      const { score, wave, wpm, accuracy } = gameData;
-      const currentStats = this.getLocalUserStats() || {
-        username: this.currentUser?.username,
-        gamesPlayed: 0,
-        highestWave: 0,
-        highestScore: 0,
-        totalScore: 0,
-        createdAt: Date.now()
-      };
+      const { score, wave, difficulty = DEFAULT_DIFFICULTY, mode = DEFAULT_MODE } = gameData;
+      const currentStats = this.getLocalUserStats() || this.createLocalUserStats();
+
+      
+      if (!currentStats.difficulties) {
+        currentStats.difficulties = currentStats.gamesPlayed > 0
+          ? { [DEFAULT_DIFFICULTY]: this.getLegacyDifficultyStats(currentStats) }
+          : {};
+      }
 
       currentStats.gamesPlayed += 1;
-      currentStats.highestWave = Math.max(currentStats.highestWave || 0, wave);
-      currentStats.highestScore = Math.max(currentStats.highestScore || 0, score);
-      currentStats.totalScore = (currentStats.totalScore || 0) + score;
       currentStats.lastPlayed = Date.now();
 
+      if (hasOwnLeaderboard(mode)) {
+        const [group, bucket] = this.getLeaderboardBucket(mode, difficulty, gameData.dailyDate);
+        currentStats[group] = currentStats[group] || {};
+        currentStats[group][bucket] = this.mergeBestStats(currentStats[group][bucket], gameData);
+      } else {
+        currentStats.highestWave = Math.max(currentStats.highestWave || 0, wave);
+        currentStats.highestScore = Math.max(currentStats.highestScore || 0, score);
+        currentStats.totalScore = (currentStats.totalScore || 0) + score;
+        currentStats.difficulties[difficulty] = this.mergeBestStats(currentStats.difficulties[difficulty], gameData);
+      }
+
       localStorage.setItem('dhivehi_type_user_stats', JSON.stringify(currentStats));
       console.log('📊 User stats updated locally');
     } catch (error) {
       console.error('Failed to update local user stats:', error);
     }
   }
+
+  /**
+   * Key for the current player's records in localStorage, so accounts sharing a browser
+   * (and players without one) each keep their own
+   * @returns {string} Lowercased username, or 'guest'
+   */
+  getLocalAccountKey() {
+    return this.getCurrentUsername()?.toLowerCase() || 'guest';
+  }
+
+  /**
+   * Get the current player's XP from localStorage
+   * @returns {number} Total XP
+   */
+  getLocalXp() {
+    return this.getLocalAccountData('dhivehi_type_xp')[this.getLocalAccountKey()] || 0;
+  }
+
+  /**
+   * Get the last day each player on this browser started the ranked daily challenge
+   * @returns {Object<string, string>} Day as YYYY-MM-DD by account key
+   */
+  getLocalDailyAttempts() {
+    return this.getLocalAccountData('dhivehi_type_daily_attempts');
+  }
+
+  /**
+   * Remember in localStorage that the current player started the ranked daily challenge
+   * @param {string} dailyDate - Day as YYYY-MM-DD
+   */
+  saveLocalDailyAttempt(dailyDate) {
+    this.saveLocalAccountData('dhivehi_type_daily_attempts', dailyDate);
+  }
+
+  /**
+   * Get the current player's review deck from localStorage
+   * @returns {Object<string, Object>} Review cards keyed by word
+   */
+  getLocalReviewDeck() {
+    return this.getLocalAccountData('dhivehi_type_review')[this.getLocalAccountKey()] || {};
+  }
+
+  /**
+   * Save the current player's review deck to localStorage
+   * @param {Object<string, Object>} deck - Review cards keyed by word
+   */
+  saveLocalReviewDeck(deck) {
+    this.saveLocalAccountData('dhivehi_type_review', deck);
+  }
+
+  /**
+   * Read a localStorage entry that keeps one value per player
+   * @param {string} key - localStorage key
+   * @returns {Object<string, *>} Values by account key (see getLocalAccountKey())
+   */
+  getLocalAccountData(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key) || '{}');
+    } catch (error) {
+      console.error(`Failed to load ${key}:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Store the current player's value in a localStorage entry that keeps one per player
+   * @param {string} key - localStorage key
+   * @param {*} value - Value to store
+   */
+  saveLocalAccountData(key, value) {
+    try {
+      const data = this.getLocalAccountData(key);
+      data[this.getLocalAccountKey()] = value;
+      localStorage.setItem(key, JSON.stringify(data));
+    } catch (error) {
+      console.error(`Failed to save ${key}:`, error);
+    }
+  }
+
+  /**
+   * Get the current player's achievement records and badges from localStorage
+   * @returns {{records: Object, unlocked: Object<string, number>}} Records and badges
+   */
+  getLocalAchievements() {
+    return this.getLocalAccountData('dhivehi_type_achievements')[this.getLocalAccountKey()] ||
+      { records: {}, unlocked: {} };
+  }
+
+  /**
+   * Save the current player's achievement records and badges to localStorage
+   * @param {{records: Object, unlocked: Object<string, number>}} achievements - Records and badges
+   */
+  saveLocalAchievements(achievements) {
+    this.saveLocalAccountData('dhivehi_type_achievements', achievements);
+  }
 }
@@ -0,0 +1,93 @@
+import { getGameMode } from '../core/modes.js';
+import { validateReplay } from '../core/Replay.js';
+
+/**
+ * Personal bests to race as ghosts, kept in localStorage
+ * The best Classic (or Ghost Race) run on each difficulty is stored with its replay -
+ * the run's seed, settings and keystroke timeline - so Ghost Race can play the same
+ * seed again and replay the run alongside the player. The replay keeps its wave plan,
+ * and a ghost the game can no longer reproduce (see validateReplay()) is dropped.
+ */
+
+const STORAGE_KEY = 'dhivehi_type_ghosts';
+
+export class GhostService {
+  /**
+   * Get the personal best to race on a difficulty
+   * @param {string} difficulty - Difficulty preset id
+   * @returns {Object|null} Best run ({ seed, difficulty, score, wave, netWpm, recordedAt,
+   *   replay }), or null if there isn't one yet
+   */
+  getBest(difficulty) {
+    const ghosts = this.loadSaved();
+    const best = ghosts[difficulty];
+    if (!best) return null;
+
+    try {
+      validateReplay(best.replay);
+      return best;
+    } catch (error) {
+      console.log(`👻 Dropping the ${difficulty} ghost: ${error.message}`);
+      delete ghosts[difficulty];
+      this.saveAll(ghosts);
+      return null;
+    }
+  }
+
+  /**
+   * Keep a finished run as the ghost for its difficulty if it beats the personal best
+   * @param {Object} replay - Recorded replay of the run
+   * @param {Object} result - Result from GameCore.getResult()
+   * @returns {boolean} True if the run is the new personal best
+   */
+  recordRun(replay, result) {
+    const mode = getGameMode(result.mode);
+    if (!replay || !(mode.id === 'classic' || mode.ghost)) return false;
+
+    const best = this.getBest(result.difficulty);
+    if (best && best.score >= result.score) return false;
+
+    const ghosts = this.loadSaved();
+    ghosts[result.difficulty] = {
+      seed: replay.seed,
+      difficulty: result.difficulty,
+      score: result.score,
+      wave: result.wave,
+      netWpm: result.netWpm,
+      recordedAt: replay.recordedAt,
+      replay
+    };
+
+    if (!this.saveAll(ghosts)) return false;
+    console.log(`👻 New personal best ghost (${result.difficulty}): ${result.score}`);
+    return true;
+  }
+
+  /**
+   * Store the ghosts
+   * @param {Object<string, Object>} ghosts - Best runs keyed by difficulty
+   * @returns {boolean} True if they were saved
+   */
+  saveAll(ghosts) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(ghosts));
+      return true;
+    } catch (error) {
+      console.error('Failed to save ghosts:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the stored ghosts
+   * @returns {Object<string, Object>} Best runs keyed by difficulty
+   */
+  loadSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+      console.error('Failed to load ghosts:', error);
+      return {};
+    }
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Session history - a full record of every finished game, kept in IndexedDB
+ * The leaderboards only keep summaries (see FirebaseService.saveLocalScore()); this keeps
+ * each run's waves, settings and words so progress can be charted over time.
+ * Without IndexedDB (e.g. some private browsing modes) nothing is recorded.
+ */
+
+import { getGameMode } from '../core/modes.js';
+
+const DB_NAME = 'dhivehi_type';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+/**
+ * Periods sessions can be grouped by on the Progress view
+ */
+export const HISTORY_PERIODS = {
+  day: { label: 'Day', buckets: 30 },
+  week: { label: 'Week', buckets: 26 },
+  month: { label: 'Month', buckets: 12 }
+};
+
+export class HistoryService {
+  constructor() {
+    this.dbPromise = null;
+    this.waves = [];
+    this.wordsKilled = [];
+    this.wordsMissed = [];
+  }
+
+  /**
+   * Open the database (once)
+   * @returns {Promise<IDBDatabase|null>} Database, or null without IndexedDB
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+      console.warn('⚠️ IndexedDB not available, session history is off');
+      this.dbPromise = Promise.resolve(null);
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('finishedAt', 'finishedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Failed to open session history:', request.error);
+        resolve(null);
+      };
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * Follow a game core's events to collect the run's waves and words
+   * @param {GameCore} core - Game core
+   * @param {Function} shouldRecord - Returns false while a run mustn't count (replays)
+   */
+  attach(core, shouldRecord = () => true) {
+    core.on('reset', () => {
+      this.waves = [];
+      this.wordsKilled = [];
+      this.wordsMissed = [];
+    });
+    core.on('waveClear', ({ stats }) => {
+      if (shouldRecord()) this.waves.push(stats);
+    });
+    core.on('enemyDestroyed', ({ enemy }) => {
+      if (shouldRecord()) this.wordsKilled.push(enemy.word);
+    });
+
+    const recordMissed = ({ enemy }) => {
+      if (shouldRecord()) this.wordsMissed.push(enemy.word);
+    };
+    core.on('damage', recordMissed);
+    core.on('shieldHit', recordMissed);
+    core.on('enemyRecycled', recordMissed);
+  }
+
+  /**
+   * Store the run that just finished
+   * @param {Object} result - Result from GameCore.getResult()
+   * @param {Object} details - The run's seed, settings (see Game.getSettings()),
+   *   duration in seconds and daily challenge date, if any
+   * @returns {Promise<Object|null>} Stored record, or null if it couldn't be stored
+   */
+  async saveSession(result, { seed, settings, duration, dailyDate = null }) {
+    const { waves, ...storedSettings } = settings; // The wave plan is the same for every run
+
+    const record = {
+      finishedAt: Date.now(),
+      seed,
+      mode: result.mode,
+      difficulty: result.difficulty,
+      dailyDate,
+      settings: storedSettings,
+      duration,
+      result,
+      waves: this.waves,
+      wordsKilled: this.wordsKilled,
+      wordsMissed: this.wordsMissed
+    };
+
+    const db = await this.open();
+    if (!db) return null;
+
+    try {
+      record.id = await this.request(db, 'readwrite', store => store.add(record));
+      console.log('📈 Session saved to history');
+      return record;
+    } catch (error) {
+      console.error('Failed to save session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get every stored session
+   * @returns {Promise<Object[]>} Sessions, oldest first
+   */
+  async getSessions() {
+    const db = await this.open();
+    if (!db) return [];
+
+    try {
+      return await this.request(db, 'readonly', store => store.index('finishedAt').getAll());
+    } catch (error) {
+      console.error('Failed to load session history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Run one request against the sessions store
+   * @param {IDBDatabase} db - Database
+   * @param {string} mode - Transaction mode
+   * @param {Function} makeRequest - Makes the request from the store
+   * @returns {Promise<*>} Request result
+   */
+  request(db, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Group sessions by day, week or month (local time)
+   * Covers the most recent periods up to the current one, including those without games,
+   * so the periods are evenly spaced in time
+   * @param {Object[]} sessions - Sessions from getSessions(), oldest first
+   * @param {string} period - 'day', 'week' or 'month'
+   * @param {Date} now - Date in the last period to cover
+   * @returns {Array<{start: Date, label: string, games: number, wpm: number|null,
+   *   accuracy: number|null, bestWave: number|null}>} Periods, oldest first: average net WPM
+   *   and corrected accuracy (null without games), and the best wave reached in modes with waves
+   */
+  aggregate(sessions, period, now = new Date()) {
+    const buckets = new Map();
+    const last = this.getPeriodStart(now, period);
+    for (let offset = HISTORY_PERIODS[period].buckets - 1; offset >= 0; offset--) {
+      const start = this.addPeriods(last, period, -offset);
+      buckets.set(start.getTime(), { start, label: this.formatPeriod(start, period), games: 0, wpmTotal: 0, accuracyTotal: 0, bestWave: null });
+    }
+
+    for (const session of sessions) {
+      const bucket = buckets.get(this.getPeriodStart(new Date(session.finishedAt), period).getTime());
+      if (!bucket) continue;
+
+      const { result } = session;
+      bucket.games++;
+      bucket.wpmTotal += result.netWpm ?? result.wpm ?? 0;
+      bucket.accuracyTotal += result.correctedAccuracy ?? result.accuracy ?? 0;
+      if (getGameMode(session.mode).waves) {
+        bucket.bestWave = Math.max(bucket.bestWave ?? 0, result.wave);
+      }
+    }
+
+    return [...buckets.values()].map(({ start, label, games, wpmTotal, accuracyTotal, bestWave }) => ({
+      start,
+      label,
+      games,
+      wpm: games > 0 ? Math.round(wpmTotal / games) : null,
+      accuracy: games > 0 ? Math.round(accuracyTotal / games) : null,
+      bestWave
+    }));
+  }
+
+  /**
+   * Find the start of the period a date falls in
+   * @param {Date} date - Date
+   * @param {string} period - 'day', 'week' (starting Monday) or 'month'
+   * @returns {Date} Local midnight at the start of the period
+   */
+  getPeriodStart(date, period) {
+    if (period === 'month') {
+      return new Date(date.getFullYear(), date.getMonth(), 1);
+    }
+
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (period === 'week') {
+      day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+    }
+    return day;
+  }
+
+  /**
+   * Move a period start a number of periods on (or back)
+   * @param {Date} start - Start of a period (see getPeriodStart())
+   * @param {string} period - 'day', 'week' or 'month'
+   * @param {number} count - Periods to move by (negative to go back)
+   * @returns {Date} Start of that period
+   */
+  addPeriods(start, period, count) {
+    if (period === 'month') {
+      return new Date(start.getFullYear(), start.getMonth() + count, 1);
+    }
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + count * (period === 'week' ? 7 : 1));
+  }
+
+  /**
+   * Label a period for the chart axis
+   * @param {Date} start - Start of the period
+   * @param {string} period - 'day', 'week' or 'month'
+   * @returns {string} Label (e.g. "Mar 4", "Wk Mar 4" or "Mar 2025")
+   */
+  formatPeriod(start, period) {
+    if (period === 'month') {
+      return start.toLocaleDateString('en', { month: 'short', year: 'numeric' });
+    }
+
+    const day = start.toLocaleDateString('en', { month: 'short', day: 'numeric' });
+    return period === 'week' ? `Wk ${day}` : day;
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Per-letter typing statistics, kept in localStorage across sessions
+ * Every keystroke aimed at a known character counts as an attempt at that character
+ * (a letter or a fili); wrong keys also record what was typed instead, so common
+ * mix-ups (e.g. ޝ for ށ) can be listed. Latency is the time since the previous
+ * keystroke, counted only while typing a word.
+ */
+
+const STORAGE_KEY = 'dhivehi_type_letter_stats';
+
+export class LetterStatsService {
+  constructor() {
+    this.maxLatency = 2; // Longer gaps between keystrokes are pauses, not latency
+    this.pending = {};
+    this.lastKeystrokeTime = null;
+  }
+
+  /**
+   * Record a keystroke
+   * @param {Object} keystroke - Keystroke event from the core ({ correct, expected, typed })
+   * @param {number} time - Game time of the keystroke in seconds
+   */
+  record({ correct, expected, typed }, time) {
+    const gap = this.lastKeystrokeTime === null ? null : time - this.lastKeystrokeTime;
+    this.lastKeystrokeTime = time;
+
+    if (!expected) return;
+
+    const entry = this.pending[expected] || (this.pending[expected] = this.createEntry());
+    entry.attempts++;
+
+    if (!correct) {
+      entry.errors++;
+      entry.confusions[typed] = (entry.confusions[typed] || 0) + 1;
+    }
+
+    if (gap !== null && gap <= this.maxLatency) {
+      entry.latencyTotal += gap;
+      entry.latencyCount++;
+    }
+  }
+
+  /**
+   * Start timing latency afresh (a new run started)
+   */
+  resetTiming() {
+    this.lastKeystrokeTime = null;
+  }
+
+  /**
+   * Add the keystrokes recorded since the last save to the stored totals
+   */
+  save() {
+    if (Object.keys(this.pending).length === 0) return;
+
+    const stats = this.merge(this.loadSaved(), this.pending);
+    this.pending = {};
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+      console.log('💾 Letter stats saved');
+    } catch (error) {
+      console.error('Failed to save letter stats:', error);
+    }
+  }
+
+  /**
+   * Get the totals over every session, including keystrokes not saved yet
+   * @returns {Object<string, Object>} Per character: { attempts, errors, latencyTotal,
+   *   latencyCount, confusions }
+   */
+  getStats() {
+    return this.merge(this.loadSaved(), this.pending);
+  }
+
+  /**
+   * Summarise one character's totals
+   * @param {Object} entry - Totals for the character (from getStats())
+   * @returns {{attempts: number, errorRate: number, latency: number|null}} Attempts, share
+   *   of wrong keys (0-1) and average latency in seconds (null if never timed)
+   */
+  summarise(entry) {
+    return {
+      attempts: entry.attempts,
+      errorRate: entry.attempts > 0 ? entry.errors / entry.attempts : 0,
+      latency: entry.latencyCount > 0 ? entry.latencyTotal / entry.latencyCount : null
+    };
+  }
+
+  /**
+   * Get the most common mix-ups
+   * @param {number} limitCount - Number of mix-ups to list
+   * @returns {Array<{expected: string, typed: string, count: number}>} Mix-ups, most frequent first
+   */
+  getTopConfusions(limitCount = 5) {
+    const confusions = [];
+    for (const [expected, entry] of Object.entries(this.getStats())) {
+      for (const [typed, count] of Object.entries(entry.confusions)) {
+        confusions.push({ expected, typed, count });
+      }
+    }
+    return confusions.sort((a, b) => b.count - a.count).slice(0, limitCount);
+  }
+
+  /**
+   * Load the stored totals
+   * @returns {Object<string, Object>} Totals per character
+   */
+  loadSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+      console.error('Failed to load letter stats:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Add two sets of totals together
+   * @param {Object<string, Object>} a - Totals per character
+   * @param {Object<string, Object>} b - Totals per character
+   * @returns {Object<string, Object>} Combined totals
+   */
+  merge(a, b) {
+    const merged = {};
+    for (const char of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const entry = this.createEntry();
+      for (const source of [a[char], b[char]]) {
+        if (!source) continue;
+        entry.attempts += source.attempts || 0;
+        entry.errors += source.errors || 0;
+        entry.latencyTotal += source.latencyTotal || 0;
+        entry.latencyCount += source.latencyCount || 0;
+        for (const [typed, count] of Object.entries(source.confusions || {})) {
+          entry.confusions[typed] = (entry.confusions[typed] || 0) + count;
+        }
+      }
+      merged[char] = entry;
+    }
+    return merged;
+  }
+
+  /**
+   * Empty totals for one character
+   * @returns {Object} Totals
+   */
+  createEntry() {
+    return { attempts: 0, errors: 0, latencyTotal: 0, latencyCount: 0, confusions: {} };
+  }
+}
@@ -0,0 +1,135 @@
+import { createReviewCard, gradeEncounter, scheduleReview, getDueWords } from '../core/review.js';
+
+/**
+ * Review deck of missed words
+ * Watches a game core for words that were mistyped or got through to the player and,
+ * when a run ends, grades every word seen and reschedules its card (see core/review.js).
+ * The deck is stored through FirebaseService, which falls back to localStorage.
+ */
+
+// Enemies whose words aren't dictionary words (syllables, phrases, bonus words)
+const UNREVIEWED_TYPES = ['missile', 'fragment', 'boss', 'pickup'];
+
+export class ReviewService {
+  /**
+   * @param {FirebaseService} firebaseService - Service that stores the deck
+   */
+  constructor(firebaseService) {
+    this.firebaseService = firebaseService;
+    this.deck = {};
+    this.account = null; // Player the deck belongs to (see FirebaseService.getLocalAccountKey())
+    this.loads = 0;
+    this.pending = new Map(); // Word -> worst grade and last kill time this run
+    this.enemies = new WeakMap(); // Enemy -> { mistakes, firstShotTime }
+  }
+
+  /**
+   * Load the player's deck (again whenever they log in or out)
+   */
+  async load() {
+    const load = ++this.loads;
+    const account = this.firebaseService.getLocalAccountKey();
+    const deck = await this.firebaseService.getReviewDeck();
+    if (load !== this.loads) return; // A later load (e.g. after logging in) wins
+
+    this.deck = deck;
+    this.account = account;
+    console.log(`📖 Review deck loaded (${Object.keys(this.deck).length} words)`);
+  }
+
+  /**
+   * Follow a game core's events
+   * @param {GameCore} core - Game core
+   * @param {Function} shouldRecord - Returns false while a run mustn't count (replays)
+   */
+  attach(core, shouldRecord = () => true) {
+    const track = (enemy) => {
+      if (!shouldRecord() || !enemy || UNREVIEWED_TYPES.includes(enemy.type)) return null;
+      if (!this.enemies.has(enemy)) {
+        this.enemies.set(enemy, { mistakes: 0, firstShotTime: null });
+      }
+      return this.enemies.get(enemy);
+    };
+
+    core.on('shot', ({ enemy }) => {
+      const state = track(enemy);
+      if (state && state.firstShotTime === null) {
+        state.firstShotTime = core.gameTime;
+      }
+    });
+    core.on('keystroke', ({ correct }) => {
+      if (correct) return;
+      const state = track(core.getTargetedEnemy());
+      if (state) state.mistakes++;
+    });
+    core.on('enemyDestroyed', ({ enemy }) => {
+      const state = track(enemy);
+      if (!state) return;
+      const killTime = state.firstShotTime === null ? null : core.gameTime - state.firstShotTime;
+      this.recordEncounter(enemy, { word: enemy.word, mistakes: state.mistakes, reached: false, killTime });
+    });
+
+    const recordReached = ({ enemy }) => {
+      const state = track(enemy);
+      if (!state) return;
+      this.recordEncounter(enemy, { word: enemy.word, mistakes: state.mistakes, reached: true, killTime: null });
+    };
+    core.on('damage', recordReached);
+    core.on('shieldHit', recordReached);
+    core.on('enemyRecycled', recordReached);
+  }
+
+  /**
+   * Grade one encounter with a word; a word seen several times in a run keeps its worst grade
+   * @param {Enemy} enemy - Enemy that carried the word (starts afresh if it comes round again)
+   * @param {Object} encounter - Encounter for gradeEncounter()
+   */
+  recordEncounter(enemy, encounter) {
+    this.enemies.delete(enemy);
+
+    const grade = gradeEncounter(encounter);
+    const previous = this.pending.get(encounter.word);
+    this.pending.set(encounter.word, {
+      grade: previous ? Math.min(previous.grade, grade) : grade,
+      killTime: encounter.killTime ?? previous?.killTime ?? null
+    });
+  }
+
+  /**
+   * Reschedule the words seen since the last save and store the deck
+   * Words typed cleanly only matter once they're in the deck, and a card that isn't due
+   * yet only moves if the word was missed again
+   */
+  async save() {
+    if (this.pending.size === 0) return;
+
+    // Never save one player's deck to another's account
+    if (this.account !== this.firebaseService.getLocalAccountKey()) {
+      await this.load();
+    }
+
+    const now = Date.now();
+    for (const [word, { grade, killTime }] of this.pending) {
+      let card = this.deck[word];
+      if (!card) {
+        if (grade >= 4) continue;
+        card = createReviewCard(word, now);
+      } else if (grade >= 3 && card.due > now) {
+        continue;
+      }
+
+      this.deck[word] = { ...scheduleReview(card, grade, now), killTime };
+    }
+    this.pending.clear();
+
+    this.deck = await this.firebaseService.saveReviewDeck(this.deck);
+  }
+
+  /**
+   * Get the words due for review now
+   * @returns {string[]} Due words, most overdue first
+   */
+  getDueWords() {
+    return getDueWords(this.deck, Date.now());
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Achievement toasts - a short notice in the corner when a badge unlocks
+ */
+export class AchievementToast {
+  constructor() {
+    this.duration = 4000; // ms each toast stays up
+    this.container = document.createElement('div');
+    this.container.id = 'achievement-toasts';
+    this.container.className = 'achievement-toasts';
+    document.body.appendChild(this.container);
+  }
+
+  /**
+   * Show a toast for an unlocked badge
+   * @param {Object} achievement - Achievement (see core/achievements.js)
+   */
+  show(achievement) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    toast.innerHTML = `
+      <span class="achievement-icon">${achievement.icon}</span>
+      <div class="achievement-text">
+        <div class="achievement-label">Badge Unlocked</div>
+        <div class="achievement-title">${achievement.title}</div>
+        <div class="achievement-description">${achievement.description}</div>
+      </div>
+    `;
+    this.container.appendChild(toast);
+
+    setTimeout(() => {
+      toast.classList.add('leaving');
+      setTimeout(() => toast.remove(), 400);
+    }, this.duration);
+  }
+}
@@ -0,0 +1,123 @@
+import { POWER_UPS } from '../core/powerUps.js';
+
+/**
+ * Stats panel next to the canvas - score, level, WPM, accuracy, combo, health and active power-ups
+ */
+export class HUD {
+  constructor() {
+    this.scoreElement = document.getElementById('score-value');
+    this.levelElement = document.getElementById('level-value');
+    this.wpmElement = document.getElementById('wpm-value');
+    this.accuracyElement = document.getElementById('accuracy-value');
+    this.comboElement = document.getElementById('combo-value');
+    this.streakElement = document.getElementById('combo-streak');
+    this.difficultyLevelElement = document.getElementById('difficulty-level');
+    this.healthBar = document.getElementById('health-bar');
+    this.healthSegments = document.querySelectorAll('.health-segment');
+    this.powerUpIndicators = document.getElementById('powerup-indicators');
+  }
+
+  /**
+   * Make the health bar show one segment per life
+   * @param {number} maxLives - Lives at the start of the run
+   */
+  setMaxLives(maxLives) {
+    if (!this.healthBar || this.healthSegments.length === maxLives) return;
+
+    this.healthBar.innerHTML = '<div class="health-segment"></div>'.repeat(maxLives);
+    this.healthSegments = this.healthBar.querySelectorAll('.health-segment');
+  }
+
+  /**
+   * Show the latest stats
+   * @param {Object} stats - Stats from GameCore.getLiveStats()
+   */
+  update(stats) {
+    if (this.scoreElement) {
+      this.scoreElement.textContent = String(stats.score).padStart(7, '0');
+    }
+
+    if (this.levelElement) {
+      this.levelElement.textContent = String(stats.wave).padStart(3, '0');
+    }
+
+    if (this.wpmElement) {
+      this.wpmElement.textContent = String(stats.wpm);
+    }
+
+    if (this.accuracyElement) {
+      this.accuracyElement.textContent = `${stats.accuracy}%`;
+    }
+
+    if (this.healthBar) {
+      this.healthBar.classList.toggle('hidden', !stats.showLives);
+    }
+
+    this.setMaxLives(stats.maxLives);
+    this.healthSegments.forEach((segment, index) => {
+      if (index < stats.lives) {
+        segment.classList.remove('lost');
+      } else {
+        segment.classList.add('lost');
+      }
+    });
+
+    this.updatePowerUps(stats);
+    this.updateCombo(stats);
+
+    if (this.difficultyLevelElement) {
+      this.difficultyLevelElement.classList.toggle('hidden', stats.difficultyLevel === null);
+      if (stats.difficultyLevel !== null) {
+        this.difficultyLevelElement.textContent = `LEVEL ×${stats.difficultyLevel.toFixed(2)}`;
+      }
+    }
+  }
+
+  /**
+   * Show the combo multiplier and streak
+   * @param {Object} stats - Stats from GameCore.getLiveStats()
+   */
+  updateCombo(stats) {
+    if (this.comboElement) {
+      this.comboElement.textContent = `×${stats.multiplier}`;
+      this.comboElement.classList.toggle('active', stats.multiplier > 1);
+    }
+
+    if (this.streakElement) {
+      this.streakElement.textContent = `STREAK ${stats.streak}`;
+    }
+  }
+
+  /**
+   * Play the combo animation - a pop when the multiplier goes up, a shake when it's lost
+   * @param {boolean} raised - The multiplier went up
+   * @param {boolean} broken - A multiplier above ×1 was lost
+   */
+  animateCombo(raised, broken) {
+    if (!this.comboElement || (!raised && !broken)) return;
+
+    this.comboElement.classList.remove('combo-up', 'combo-break');
+    void this.comboElement.offsetWidth; // Restart the animation
+    this.comboElement.classList.add(raised ? 'combo-up' : 'combo-break');
+  }
+
+  /**
+   * Show a badge for each power-up that is active
+   * @param {Object} stats - Stats from GameCore.getLiveStats()
+   */
+  updatePowerUps(stats) {
+    if (!this.powerUpIndicators) return;
+
+    const badges = [];
+    if (stats.shielded) {
+      badges.push({ powerUp: POWER_UPS.shield, text: POWER_UPS.shield.label });
+    }
+    if (stats.slowTimeLeft > 0) {
+      badges.push({ powerUp: POWER_UPS.slow, text: `${POWER_UPS.slow.label} ${Math.ceil(stats.slowTimeLeft)}s` });
+    }
+
+    this.powerUpIndicators.innerHTML = badges
+      .map(({ powerUp, text }) => `<div class="powerup-badge" style="--powerup-color: ${powerUp.color}">${text}</div>`)
+      .join('');
+  }
+}
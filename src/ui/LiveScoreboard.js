@@ -1,4 +1,8 @@
 import { ConfirmModal } from './ConfirmModal.js';
+import { DEFAULT_DIFFICULTY, getDifficulty } from '../core/difficulty.js';
+import { DEFAULT_MODE, getGameMode, isTimedMode } from '../core/modes.js';
+import { getDailyDate } from '../core/daily.js';
+import { getLevelInfo } from '../core/progression.js';
 
 /**
  * Live scoreboard that shows top 5 scores during gameplay
@@ -9,9 +13,16 @@ export class LiveScoreboard {
     this.container = null;
     this.refreshInterval = null;
     this.confirmModal = new ConfirmModal();
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.mode = DEFAULT_MODE;
+    this.level = null;
+    this.levelListeners = [];
+    this.xpGainTimeout = null;
 
     this.createScoreboard();
     this.startAutoRefresh();
+    this.loadXp();
+    this.firebaseService.onAuthChange(() => this.loadXp());
   }
 
   /**
@@ -30,8 +41,12 @@ export class LiveScoreboard {
     this.container.innerHTML = `
       <div class="live-scoreboard-header">
         <span>🏆 TOP 5</span>
+        <span id="live-scoreboard-difficulty" class="live-scoreboard-difficulty">${this.getBoardLabel()}</span>
+      </div>
+      <div id="user-status" class="user-status">
+        <div id="user-account"></div>
+        <div id="player-level" class="player-level"></div>
       </div>
-      <div id="user-status" class="user-status"></div>
       <div id="login-prompt" class="login-prompt hidden">
         <p class="login-text">Join the leaderboard!</p>
         <p class="login-subtext">Play to unlock registration</p>
@@ -39,12 +54,25 @@ export class LiveScoreboard {
       <div class="live-scoreboard-list" id="live-scoreboard-list">
         <div class="loading-scores">Loading...</div>
       </div>
+      <div class="live-scoreboard-header live-daily-header">
+        <span>📅 TODAY'S DAILY</span>
+        <span id="live-daily-date" class="live-scoreboard-difficulty">${getDailyDate()}</span>
+      </div>
+      <div class="live-scoreboard-list live-daily-list" id="live-daily-list">
+        <div class="loading-scores">Loading...</div>
+      </div>
       <button id="login-register-btn" class="login-register-btn hidden">
         Login / Register
       </button>
       <button id="view-full-leaderboard-btn" class="view-leaderboard-btn">
         View Full Leaderboard
       </button>
+      <button id="view-replays-btn" class="view-leaderboard-btn">
+        Replays
+      </button>
+      <button id="view-progress-btn" class="view-leaderboard-btn">
+        Progress
+      </button>
     `;
 
     this.updateLoginPrompt();
@@ -66,6 +94,25 @@ export class LiveScoreboard {
     }
 
     
+    const replaysBtn = document.getElementById('view-replays-btn');
+    if (replaysBtn) {
+      replaysBtn.addEventListener('click', () => {
+        if (window.showReplays) {
+          window.showReplays();
+        }
+      });
+    }
+
+    const progressBtn = document.getElementById('view-progress-btn');
+    if (progressBtn) {
+      progressBtn.addEventListener('click', () => {
+        if (window.showProgress) {
+          window.showProgress();
+        }
+      });
+    }
+
+    
     const loginRegisterBtn = document.getElementById('login-register-btn');
     if (loginRegisterBtn) {
       loginRegisterBtn.addEventListener('click', () => {
@@ -94,14 +141,53 @@ export class LiveScoreboard {
     }, 30000);
   }
 
+  /**
+   * Show the leaderboard for another difficulty preset
+   * @param {string} difficulty - Difficulty preset id
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = difficulty;
+    this.updateBoardLabel();
+    this.loadScores();
+  }
+
+  /**
+   * Show the leaderboard for a game mode
+   * Timed challenges have one leaderboard per duration; other modes show Classic's
+   * @param {string} mode - Game mode id
+   */
+  setMode(mode) {
+    this.mode = isTimedMode(mode) ? mode : DEFAULT_MODE;
+    this.updateBoardLabel();
+    this.loadScores();
+  }
+
+  /**
+   * Name of the leaderboard being shown
+   * @returns {string} Duration for timed challenges, otherwise the difficulty
+   */
+  getBoardLabel() {
+    return isTimedMode(this.mode) ? getGameMode(this.mode).label : getDifficulty(this.difficulty).label;
+  }
+
+  /**
+   * Update the leaderboard name in the header
+   */
+  updateBoardLabel() {
+    const label = document.getElementById('live-scoreboard-difficulty');
+    if (label) {
+      label.textContent = this.getBoardLabel();
+    }
+  }
+
   /**
    * Update login prompt visibility and user status
    */
   updateLoginPrompt() {
     const loginPrompt = document.getElementById('login-prompt');
-    const userStatus = document.getElementById('user-status');
+    const userAccount = document.getElementById('user-account');
     const loginRegisterBtn = document.getElementById('login-register-btn');
-    if (!loginPrompt || !userStatus) return;
+    if (!loginPrompt || !userAccount) return;
 
     if (this.firebaseService.isLoggedIn()) {
       loginPrompt.classList.add('hidden');
@@ -109,13 +195,12 @@ export class LiveScoreboard {
 
       
       const username = this.firebaseService.getCurrentUsername();
-      userStatus.innerHTML = `
+      userAccount.innerHTML = `
         <div class="user-info">
           <span class="username-display">👤 ${this.escapeHtml(username)}</span>
           <button id="logout-btn" class="logout-btn">Logout</button>
         </div>
       `;
-      userStatus.classList.remove('hidden');
 
       
       const logoutBtn = document.getElementById('logout-btn');
@@ -135,20 +220,94 @@ export class LiveScoreboard {
     } else {
       loginPrompt.classList.remove('hidden');
       if (loginRegisterBtn) loginRegisterBtn.classList.remove('hidden');
-      userStatus.innerHTML = '';
-      userStatus.classList.add('hidden');
+      userAccount.innerHTML = '';
+    }
+  }
+
+  /**
+   * Call a function whenever the player's level changes (including when it's first loaded)
+   * @param {Function} callback - Called with the new level
+   */
+  onLevelChange(callback) {
+    this.levelListeners.push(callback);
+  }
+
+  /**
+   * Load the player's XP and show their level (again on login and logout; after a run,
+   * showLevel() is given the new total)
+   */
+  async loadXp() {
+    try {
+      this.showLevel(await this.firebaseService.getXp());
+    } catch (error) {
+      console.error('Failed to load XP:', error);
+    }
+  }
+
+  /**
+   * Show the player's level and progress to the next one
+   * @param {number} xp - Total XP
+   * @param {number} gained - XP just earned, flashed next to the bar (0 for none)
+   */
+  showLevel(xp, gained = 0) {
+    const levelDiv = document.getElementById('player-level');
+    if (!levelDiv) return;
+
+    const { level, levelXp, nextLevelXp } = getLevelInfo(xp);
+    const progress = Math.round(((xp - levelXp) / (nextLevelXp - levelXp)) * 100);
+    const levelUp = this.level !== null && level > this.level;
+
+    levelDiv.innerHTML = `
+      <div class="player-level-row">
+        <span class="player-level-badge">⭐ LV ${level}</span>
+        <span class="player-xp">${xp - levelXp} / ${nextLevelXp - levelXp} XP</span>
+      </div>
+      <div class="xp-bar"><div class="xp-bar-fill" style="width: ${progress}%"></div></div>
+      ${gained > 0 ? `<div class="xp-gain">${levelUp ? 'LEVEL UP! ' : ''}+${gained} XP</div>` : ''}
+    `;
+    levelDiv.classList.toggle('level-up', levelUp);
+
+    clearTimeout(this.xpGainTimeout);
+    if (gained > 0) {
+      this.xpGainTimeout = setTimeout(() => {
+        levelDiv.querySelector('.xp-gain')?.remove();
+        levelDiv.classList.remove('level-up');
+      }, 4000);
+    }
+
+    if (level !== this.level) {
+      this.level = level;
+      this.levelListeners.forEach(callback => callback(level));
     }
   }
 
   /**
-   * Load top 5 scores
+   * Load top 5 scores, all time and in today's daily challenge
    */
   async loadScores() {
-    const listDiv = document.getElementById('live-scoreboard-list');
     this.updateLoginPrompt();
 
+    const dateLabel = document.getElementById('live-daily-date');
+    if (dateLabel) {
+      dateLabel.textContent = getDailyDate();
+    }
+
+    await Promise.all([
+      this.loadList('live-scoreboard-list', () => this.firebaseService.getLeaderboard(5, this.difficulty, this.mode)),
+      this.loadList('live-daily-list', () => this.firebaseService.getLeaderboard(5, undefined, 'daily'))
+    ]);
+  }
+
+  /**
+   * Fill one of the score lists
+   * @param {string} listId - Id of the list element
+   * @param {Function} fetchScores - Loads the scores to show
+   */
+  async loadList(listId, fetchScores) {
+    const listDiv = document.getElementById(listId);
+
     try {
-      const scores = await this.firebaseService.getLeaderboard(5);
+      const scores = await fetchScores();
 
       if (scores.length === 0) {
         listDiv.innerHTML = '<div class="no-scores-live">No scores yet</div>';
@@ -0,0 +1,196 @@
+/**
+ * Pause menu overlay with Resume / Restart / Settings / Quit
+ */
+export class PauseMenu {
+  constructor(game) {
+    this.game = game;
+    this.overlay = null;
+    this.settings = this.loadSettings();
+
+    this.createOverlay();
+    this.applySettings();
+  }
+
+  /**
+   * Create the pause overlay HTML (covers the canvas)
+   */
+  createOverlay() {
+    const container = document.getElementById('game-container');
+    if (!container) {
+      console.error('Game container not found!');
+      return;
+    }
+
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'pause-overlay';
+    this.overlay.className = 'pause-overlay hidden';
+
+    this.overlay.innerHTML = `
+      <div class="pause-menu">
+        <h2>PAUSED</h2>
+
+        <div class="pause-buttons" id="pause-buttons">
+          <button id="pause-resume" class="btn-primary">Resume</button>
+          <button id="pause-restart" class="btn-secondary">Restart</button>
+          <button id="pause-settings" class="btn-secondary">Settings</button>
+          <button id="pause-quit" class="btn-secondary">Quit</button>
+        </div>
+
+        <div class="pause-settings hidden" id="pause-settings-panel">
+          <label class="pause-setting">
+            <span>Sound Effects</span>
+            <input type="range" id="setting-sfx-volume" min="0" max="1" step="0.05" />
+          </label>
+          <label class="pause-setting">
+            <span>Music</span>
+            <input type="range" id="setting-music-volume" min="0" max="1" step="0.05" />
+          </label>
+          <label class="pause-setting" title="When the ship you're typing goes down, carry on with another ship that matches">
+            <span>Auto-retarget</span>
+            <input type="checkbox" id="setting-auto-retarget" />
+          </label>
+          <button id="pause-settings-back" class="btn-secondary">Back</button>
+        </div>
+
+        <p class="pause-hint">Press Esc to resume</p>
+        <p class="pause-seed" id="pause-seed"></p>
+      </div>
+    `;
+
+    container.appendChild(this.overlay);
+
+    this.buttonsDiv = document.getElementById('pause-buttons');
+    this.settingsPanel = document.getElementById('pause-settings-panel');
+    this.sfxInput = document.getElementById('setting-sfx-volume');
+    this.musicInput = document.getElementById('setting-music-volume');
+    this.autoRetargetInput = document.getElementById('setting-auto-retarget');
+    this.seedLabel = document.getElementById('pause-seed');
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('pause-resume').addEventListener('click', () => {
+      this.game.resume();
+    });
+
+    document.getElementById('pause-restart').addEventListener('click', () => {
+      this.game.restart();
+      this.game.input.focus();
+    });
+
+    document.getElementById('pause-settings').addEventListener('click', () => {
+      this.showSettings(true);
+    });
+
+    document.getElementById('pause-settings-back').addEventListener('click', () => {
+      this.showSettings(false);
+    });
+
+    document.getElementById('pause-quit').addEventListener('click', () => {
+      this.game.quit();
+    });
+
+    
+    this.settingsPanel.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    this.sfxInput.addEventListener('input', () => {
+      this.settings.sfxVolume = parseFloat(this.sfxInput.value);
+      this.applySettings();
+      this.saveSettings();
+    });
+
+    this.musicInput.addEventListener('input', () => {
+      this.settings.musicVolume = parseFloat(this.musicInput.value);
+      this.applySettings();
+      this.saveSettings();
+    });
+
+    this.autoRetargetInput.addEventListener('change', () => {
+      this.settings.autoRetarget = this.autoRetargetInput.checked;
+      this.applySettings();
+      this.saveSettings();
+    });
+  }
+
+  /**
+   * Switch between the main buttons and the settings panel
+   * @param {boolean} visible - Whether to show settings
+   */
+  showSettings(visible) {
+    this.buttonsDiv.classList.toggle('hidden', visible);
+    this.settingsPanel.classList.toggle('hidden', !visible);
+  }
+
+  /**
+   * Load settings from localStorage
+   * @returns {Object} Settings
+   */
+  loadSettings() {
+    const defaults = { sfxVolume: 0.5, musicVolume: 0.3, autoRetarget: false };
+    try {
+      const saved = JSON.parse(localStorage.getItem('dhivehi_type_settings') || '{}');
+      return { ...defaults, ...saved };
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Save settings to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem('dhivehi_type_settings', JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+    }
+  }
+
+  /**
+   * Apply settings to the game's sound manager and targeting
+   */
+  applySettings() {
+    const soundManager = this.game.audio.soundManager;
+    soundManager.setVolume(this.settings.sfxVolume);
+    soundManager.setBackgroundVolume(this.settings.musicVolume);
+    this.game.setAutoRetarget(this.settings.autoRetarget);
+
+    if (this.sfxInput) this.sfxInput.value = String(this.settings.sfxVolume);
+    if (this.musicInput) this.musicInput.value = String(this.settings.musicVolume);
+    if (this.autoRetargetInput) this.autoRetargetInput.checked = this.settings.autoRetarget;
+  }
+
+  /**
+   * Show the pause overlay
+   */
+  show() {
+    if (!this.overlay) return;
+    this.showSettings(false);
+    this.seedLabel.textContent = `Seed: ${this.game.seed}`;
+    this.overlay.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the pause overlay
+   */
+  hide() {
+    if (!this.overlay) return;
+    this.overlay.classList.add('hidden');
+  }
+
+  /**
+   * Destroy the overlay
+   */
+  destroy() {
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+  }
+}
@@ -0,0 +1,277 @@
+import { HISTORY_PERIODS } from '../services/HistoryService.js';
+
+/**
+ * Charts on the Progress view - one line chart per figure, over the grouped sessions
+ */
+const PROGRESS_CHARTS = [
+  { key: 'wpm', label: 'Net WPM', color: '#5b9bd5' },
+  { key: 'accuracy', label: 'Accuracy', unit: '%', color: '#7bd57b', max: 100 },
+  { key: 'bestWave', label: 'Best Wave', color: '#ffdd55' }
+];
+
+const CHART_HEIGHT = 150;
+const CHART_PADDING = { top: 28, right: 16, bottom: 24, left: 40 };
+
+/**
+ * Progress UI - charts of WPM, accuracy and best wave from the session history
+ */
+export class ProgressUI {
+  /**
+   * @param {HistoryService} history - Session history to chart
+   */
+  constructor(history) {
+    this.history = history;
+    this.period = 'day';
+    this.sessions = [];
+    this.modal = null;
+
+    this.createModal();
+  }
+
+  /**
+   * Create the progress modal HTML
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = 'progress-modal';
+    this.modal.className = 'modal hidden';
+
+    this.modal.innerHTML = `
+      <div class="modal-content progress-content">
+        <div class="modal-header">
+          <h2>📈 Progress</h2>
+          <button id="close-progress" class="close-btn">×</button>
+        </div>
+
+        <div class="progress-periods">
+          ${Object.entries(HISTORY_PERIODS).map(([period, { label }]) => `
+            <button class="difficulty-tab-btn ${period === this.period ? 'active' : ''}" data-period="${period}">
+              ${label}
+            </button>
+          `).join('')}
+        </div>
+
+        <div class="stats-grid progress-summary" id="progress-summary"></div>
+
+        <div class="progress-charts" id="progress-charts">
+          ${PROGRESS_CHARTS.map(chart => `
+            <canvas class="progress-chart" data-chart="${chart.key}"></canvas>
+          `).join('')}
+        </div>
+
+        <div class="no-scores hidden" id="progress-empty">No games yet. Start playing!</div>
+      </div>
+    `;
+
+    document.body.appendChild(this.modal);
+
+    this.summaryDiv = document.getElementById('progress-summary');
+    this.chartsDiv = document.getElementById('progress-charts');
+    this.emptyDiv = document.getElementById('progress-empty');
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('close-progress').addEventListener('click', () => {
+      this.hide();
+    });
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.modal.classList.contains('hidden')) {
+        this.hide();
+      }
+    });
+
+    const periodBtns = this.modal.querySelectorAll('[data-period]');
+    periodBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.period = btn.dataset.period;
+        periodBtns.forEach(b => b.classList.toggle('active', b === btn));
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Show the modal with the latest history
+   */
+  async show() {
+    this.modal.classList.remove('hidden');
+    this.sessions = await this.history.getSessions();
+    this.render();
+  }
+
+  /**
+   * Hide the modal
+   */
+  hide() {
+    this.modal.classList.add('hidden');
+  }
+
+  /**
+   * Draw the summary and charts for the chosen period
+   */
+  render() {
+    const empty = this.sessions.length === 0;
+    this.emptyDiv.classList.toggle('hidden', !empty);
+    this.chartsDiv.classList.toggle('hidden', empty);
+    this.summaryDiv.classList.toggle('hidden', empty);
+    if (empty) return;
+
+    const totalTime = this.sessions.reduce((sum, session) => sum + session.duration, 0);
+    const bestWpm = Math.max(...this.sessions.map(session => session.result.netWpm ?? session.result.wpm ?? 0));
+    this.summaryDiv.innerHTML = `
+      <div class="stat-box">
+        <div class="stat-label">Games Played</div>
+        <div class="stat-value">${this.sessions.length}</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-label">Time Played</div>
+        <div class="stat-value">${this.formatDuration(totalTime)}</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-label">Best Net WPM</div>
+        <div class="stat-value">${bestWpm}</div>
+      </div>
+    `;
+
+    const buckets = this.history.aggregate(this.sessions, this.period);
+    for (const chart of PROGRESS_CHARTS) {
+      const canvas = this.chartsDiv.querySelector(`[data-chart="${chart.key}"]`);
+      this.drawChart(canvas, chart, buckets);
+    }
+  }
+
+  /**
+   * Draw one line chart
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Object} chart - Chart from PROGRESS_CHARTS
+   * @param {Object[]} buckets - Grouped sessions from HistoryService.aggregate()
+   */
+  drawChart(canvas, chart, buckets) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 520;
+    const height = CHART_HEIGHT;
+
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.height = height + 'px';
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, width, height);
+
+    const unit = chart.unit || '';
+    const values = buckets.map(bucket => bucket[chart.key]).filter(value => value !== null);
+    const latest = values.length > 0 ? values[values.length - 1] : null;
+
+    ctx.font = 'bold 12px Orbitron, Arial, sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#7ba8d1';
+    ctx.fillText(chart.label.toUpperCase(), CHART_PADDING.left, 6);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = chart.color;
+    ctx.fillText(latest === null ? '—' : `${latest}${unit}`, width - CHART_PADDING.right, 6);
+
+    const plot = {
+      x: CHART_PADDING.left,
+      y: CHART_PADDING.top,
+      width: width - CHART_PADDING.left - CHART_PADDING.right,
+      height: height - CHART_PADDING.top - CHART_PADDING.bottom
+    };
+    const maxValue = chart.max ?? this.niceMax(Math.max(0, ...values));
+
+    // Grid lines at zero, half and the top of the scale
+    ctx.font = '10px Orbitron, Arial, sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    for (const fraction of [0, 0.5, 1]) {
+      const y = plot.y + plot.height * (1 - fraction);
+      ctx.strokeStyle = 'rgba(91, 155, 213, 0.2)';
+      ctx.beginPath();
+      ctx.moveTo(plot.x, y);
+      ctx.lineTo(plot.x + plot.width, y);
+      ctx.stroke();
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.fillText(String(Math.round(maxValue * fraction)), plot.x - 6, y);
+    }
+
+    // Every period keeps its place on the x axis, even where the chart has no value
+    const xAt = (index) => buckets.length === 1
+      ? plot.x + plot.width / 2
+      : plot.x + (plot.width * index) / (buckets.length - 1);
+    const yAt = (value) => plot.y + plot.height * (1 - Math.min(value, maxValue) / maxValue);
+
+    ctx.textBaseline = 'top';
+    const last = buckets.length - 1;
+    for (const index of new Set([0, Math.floor(last / 2), last])) {
+      let align = 'center';
+      if (last > 0 && index === 0) align = 'left';
+      if (last > 0 && index === last) align = 'right';
+      ctx.textAlign = align;
+      ctx.fillText(buckets[index].label, xAt(index), plot.y + plot.height + 8);
+    }
+
+    ctx.strokeStyle = chart.color;
+    ctx.fillStyle = chart.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    buckets.forEach((bucket, index) => {
+      const value = bucket[chart.key];
+      if (value === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(xAt(index), yAt(value));
+      } else {
+        ctx.moveTo(xAt(index), yAt(value));
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+
+    buckets.forEach((bucket, index) => {
+      const value = bucket[chart.key];
+      if (value === null) return;
+      ctx.beginPath();
+      ctx.arc(xAt(index), yAt(value), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  /**
+   * Round a chart's largest value up to a tidy top for its scale
+   * @param {number} value - Largest value
+   * @returns {number} Top of the scale (a multiple of 10, or 5 for small values)
+   */
+  niceMax(value) {
+    if (value <= 5) return 5;
+    return Math.ceil(value / 10) * 10;
+  }
+
+  /**
+   * Format a play time
+   * @param {number} totalSeconds - Seconds
+   * @returns {string} e.g. "1h 05m" or "12m"
+   */
+  formatDuration(totalSeconds) {
+    const totalMinutes = Math.round(totalSeconds / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+  }
+}
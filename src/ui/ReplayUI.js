@@ -0,0 +1,297 @@
+import { serializeReplay, parseReplay } from '../core/Replay.js';
+
+/**
+ * Replay UI - export/import replay files and control playback
+ */
+export class ReplayUI {
+  constructor(game) {
+    this.game = game;
+    this.modal = null;
+    this.controls = null;
+    this.progressInterval = null;
+    this.seeking = false;
+
+    this.createModal();
+    this.createControls();
+  }
+
+  /**
+   * Create the replay modal HTML
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = 'replay-modal';
+    this.modal.className = 'modal hidden';
+
+    this.modal.innerHTML = `
+      <div class="modal-content replay-content">
+        <div class="modal-header">
+          <h2>🎬 Replays</h2>
+          <button id="close-replay" class="close-btn">×</button>
+        </div>
+
+        <div class="replay-actions">
+          <button id="export-replay" class="btn-primary">Download Last Game</button>
+          <button id="import-replay" class="btn-secondary">Load Replay File</button>
+          <input type="file" id="replay-file-input" accept=".json,application/json" style="display: none;" />
+        </div>
+
+        <div class="auth-status hidden" id="replay-status"></div>
+      </div>
+    `;
+
+    document.body.appendChild(this.modal);
+
+    this.exportBtn = document.getElementById('export-replay');
+    this.importBtn = document.getElementById('import-replay');
+    this.fileInput = document.getElementById('replay-file-input');
+    this.statusDiv = document.getElementById('replay-status');
+
+    this.setupModalListeners();
+  }
+
+  /**
+   * Create the playback control bar (shown over the game while a replay plays)
+   */
+  createControls() {
+    const container = document.getElementById('game-container');
+    if (!container) return;
+
+    this.controls = document.createElement('div');
+    this.controls.id = 'replay-controls';
+    this.controls.className = 'replay-controls hidden';
+
+    this.controls.innerHTML = `
+      <span class="replay-badge">REPLAY</span>
+      <button id="replay-play" class="replay-btn">⏸</button>
+      <input type="range" id="replay-seek" min="0" max="1" step="0.1" value="0" />
+      <span id="replay-time" class="replay-time">0:00 / 0:00</span>
+      <select id="replay-speed" class="replay-speed">
+        <option value="0.5">0.5x</option>
+        <option value="1" selected>1x</option>
+        <option value="2">2x</option>
+        <option value="4">4x</option>
+      </select>
+      <button id="replay-exit" class="replay-btn">Exit</button>
+    `;
+
+    container.appendChild(this.controls);
+
+    this.playBtn = document.getElementById('replay-play');
+    this.seekInput = document.getElementById('replay-seek');
+    this.timeLabel = document.getElementById('replay-time');
+    this.speedSelect = document.getElementById('replay-speed');
+    this.exitBtn = document.getElementById('replay-exit');
+
+    this.setupControlListeners();
+  }
+
+  /**
+   * Setup modal event listeners
+   */
+  setupModalListeners() {
+    document.getElementById('close-replay').addEventListener('click', () => {
+      this.hide();
+    });
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.hide();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.modal.classList.contains('hidden')) {
+        this.hide();
+      }
+    });
+
+    this.exportBtn.addEventListener('click', () => this.exportReplay());
+    this.importBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.fileInput.click();
+    });
+    this.fileInput.addEventListener('click', (e) => e.stopPropagation());
+    this.fileInput.addEventListener('change', () => this.importReplay());
+  }
+
+  /**
+   * Setup playback control listeners
+   */
+  setupControlListeners() {
+    this.controls.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    this.playBtn.addEventListener('click', () => {
+      const player = this.game.replayPlayer;
+      if (!player) return;
+      player.togglePlay();
+      this.updateControls();
+    });
+
+    this.seekInput.addEventListener('pointerdown', () => {
+      this.seeking = true;
+    });
+    this.seekInput.addEventListener('change', () => {
+      this.seeking = false;
+    });
+
+    this.seekInput.addEventListener('input', () => {
+      const player = this.game.replayPlayer;
+      if (!player) return;
+      player.seek(parseFloat(this.seekInput.value));
+      this.updateControls();
+    });
+
+    this.speedSelect.addEventListener('change', () => {
+      const player = this.game.replayPlayer;
+      if (!player) return;
+      player.setSpeed(parseFloat(this.speedSelect.value));
+    });
+
+    this.exitBtn.addEventListener('click', () => this.exitPlayback());
+  }
+
+  /**
+   * Download the current/last game as a replay file
+   */
+  exportReplay() {
+    const replay = this.game.recorder.getReplay();
+    if (!replay || replay.ticks === 0) {
+      this.showStatus('Nothing recorded yet. Play a game first!', 'error');
+      return;
+    }
+
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dhivehi-type-replay-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    this.showStatus('✅ Replay downloaded', 'success');
+  }
+
+  /**
+   * Load a replay file chosen by the user and start playback
+   */
+  async importReplay() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const replay = parseReplay(await file.text());
+      this.startPlayback(replay);
+    } catch (error) {
+      console.error('Failed to load replay:', error);
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * Start playing a replay and show the control bar
+   * @param {Object} replay - Parsed replay data
+   */
+  startPlayback(replay) {
+    this.hide();
+
+    const player = this.game.startReplay(replay);
+    this.seekInput.max = String(player.duration);
+    this.speedSelect.value = '1';
+    this.controls.classList.remove('hidden');
+
+    this.stopProgressUpdates();
+    this.progressInterval = setInterval(() => this.updateControls(), 250);
+    this.updateControls();
+  }
+
+  /**
+   * Stop playback and return to a normal game
+   */
+  exitPlayback() {
+    this.stopProgressUpdates();
+    this.controls.classList.add('hidden');
+    this.game.stopReplay();
+  }
+
+  /**
+   * Refresh the control bar from the player state
+   */
+  updateControls() {
+    const player = this.game.replayPlayer;
+    if (!player) return;
+
+    const current = player.getCurrentTime();
+    this.playBtn.textContent = player.playing ? '⏸' : '▶';
+    if (!this.seeking) {
+      this.seekInput.value = String(current);
+    }
+    this.timeLabel.textContent = `${this.formatTime(current)} / ${this.formatTime(player.duration)}`;
+  }
+
+  /**
+   * Stop refreshing the control bar
+   */
+  stopProgressUpdates() {
+    if (this.progressInterval) {
+      clearInterval(this.progressInterval);
+      this.progressInterval = null;
+    }
+  }
+
+  /**
+   * Format seconds as m:ss
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted time
+   */
+  formatTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Show status message
+   */
+  showStatus(message, type = 'info') {
+    this.statusDiv.textContent = message;
+    this.statusDiv.className = `auth-status ${type}`;
+    this.statusDiv.classList.remove('hidden');
+
+    setTimeout(() => {
+      this.statusDiv.classList.add('hidden');
+    }, 3000);
+  }
+
+  /**
+   * Show the modal
+   */
+  show() {
+    this.statusDiv.classList.add('hidden');
+    this.modal.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the modal
+   */
+  hide() {
+    this.modal.classList.add('hidden');
+  }
+
+  /**
+   * Destroy the modal and controls
+   */
+  destroy() {
+    this.stopProgressUpdates();
+    if (this.modal && this.modal.parentNode) {
+      this.modal.parentNode.removeChild(this.modal);
+    }
+    if (this.controls && this.controls.parentNode) {
+      this.controls.parentNode.removeChild(this.controls);
+    }
+  }
+}
@@ -1,11 +1,41 @@
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, getDifficulty } from '../core/difficulty.js';
+import { GAME_MODES, DEFAULT_MODE, getGameMode, hasOwnLeaderboard } from '../core/modes.js';
+import { THAANA_LETTERS, THAANA_FILI } from '../utils/thaana.js';
+
+/**
+ * Heatmap colour scales - values at or beyond `worst` are fully red
+ */
+const HEATMAP_SCALES = {
+  errors: {
+    label: 'Error Rate',
+    worst: 0.3
+  },
+  latency: {
+    label: 'Latency',
+    best: 0.15,
+    worst: 0.8
+  }
+};
+
 /**
  * Scoreboard/Leaderboard UI
  */
 export class ScoreboardUI {
-  constructor(firebaseService) {
+  /**
+   * @param {FirebaseService} firebaseService - Service for scores and stats
+   * @param {LetterStatsService} letterStats - Optional per-letter stats for the Letters tab
+   * @param {AchievementService} achievements - Optional achievement engine for the Badges tab
+   */
+  constructor(firebaseService, letterStats = null, achievements = null) {
     this.firebaseService = firebaseService;
+    this.letterStats = letterStats;
+    this.achievements = achievements;
+    this.heatmapMetric = 'errors';
     this.modal = null;
     this.isOpen = false;
+    this.currentTab = 'global';
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.mode = DEFAULT_MODE;
 
     this.createModal();
   }
@@ -33,6 +63,29 @@ export class ScoreboardUI {
           <button class="tab-btn" data-tab="personal">
             👤 Your Best
           </button>
+          ${this.letterStats ? `
+            <button class="tab-btn" data-tab="letters">
+              🔥 Letters
+            </button>
+          ` : ''}
+          ${this.achievements ? `
+            <button class="tab-btn" data-tab="badges">
+              🏅 Badges
+            </button>
+          ` : ''}
+        </div>
+
+        <div class="difficulty-tabs">
+          ${Object.values(DIFFICULTY_PRESETS).map(preset => `
+            <button class="difficulty-tab-btn ${preset.id === this.difficulty ? 'active' : ''}" data-difficulty="${preset.id}">
+              ${preset.label}
+            </button>
+          `).join('')}
+          ${Object.values(GAME_MODES).filter(mode => hasOwnLeaderboard(mode.id)).map(mode => `
+            <button class="difficulty-tab-btn" data-mode="${mode.id}">
+              ${mode.daily ? '📅' : '⏱'} ${mode.label}
+            </button>
+          `).join('')}
         </div>
 
         <div class="scoreboard-loading hidden" id="scoreboard-loading">
@@ -68,17 +121,36 @@ export class ScoreboardUI {
         const tab = btn.dataset.tab;
         this.switchTab(tab);
 
-        
         tabBtns.forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
       });
     });
 
+    this.modal.querySelectorAll('.difficulty-tab-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.mode) {
+          this.setMode(btn.dataset.mode);
+        } else {
+          this.setMode(DEFAULT_MODE);
+          this.setDifficulty(btn.dataset.difficulty);
+        }
+        if (this.isOpen) {
+          this.switchTab(this.currentTab);
+        }
+      });
+    });
+
     
     this.modal.addEventListener('click', (e) => {
       if (e.target === this.modal) {
         this.hide();
       }
+
+      const metricBtn = e.target.closest('[data-metric]');
+      if (metricBtn) {
+        this.heatmapMetric = metricBtn.dataset.metric;
+        this.loadLetterStats();
+      }
     });
 
     
@@ -93,11 +165,18 @@ export class ScoreboardUI {
    * Switch between tabs
    */
   async switchTab(tab) {
+    this.currentTab = tab;
+    this.modal.querySelector('.difficulty-tabs').classList.toggle('hidden', tab === 'letters' || tab === 'badges');
+
     try {
       if (tab === 'global') {
         await this.loadGlobalScores();
       } else if (tab === 'personal') {
         await this.loadPersonalScores();
+      } else if (tab === 'letters') {
+        this.loadLetterStats();
+      } else if (tab === 'badges') {
+        this.loadAchievements();
       }
     } catch (error) {
       console.error('Error switching tabs:', error);
@@ -113,12 +192,58 @@ export class ScoreboardUI {
     }
   }
 
+  /**
+   * Choose which difficulty preset's scores are listed
+   * @param {string} difficulty - Difficulty preset id
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = difficulty;
+    this.updateBoardButtons();
+  }
+
+  /**
+   * Choose which game mode's scores are listed
+   * Timed challenges have one leaderboard per duration and the daily challenge one per
+   * day; other modes show Classic's
+   * @param {string} mode - Game mode id
+   */
+  setMode(mode) {
+    this.mode = hasOwnLeaderboard(mode) ? mode : DEFAULT_MODE;
+    this.updateBoardButtons();
+  }
+
+  /**
+   * Highlight the button of the leaderboard being shown
+   */
+  updateBoardButtons() {
+    const ownBoard = hasOwnLeaderboard(this.mode);
+    this.modal.querySelectorAll('.difficulty-tab-btn').forEach(btn => {
+      const active = btn.dataset.mode
+        ? btn.dataset.mode === this.mode
+        : !ownBoard && btn.dataset.difficulty === this.difficulty;
+      btn.classList.toggle('active', active);
+    });
+  }
+
+  /**
+   * Name of the leaderboard being shown
+   * @returns {string} Mode for modes with their own leaderboard, otherwise the difficulty
+   */
+  getBoardLabel() {
+    return hasOwnLeaderboard(this.mode) ? getGameMode(this.mode).label : getDifficulty(this.difficulty).label;
+  }
+
   /**
    * Show the scoreboard
    */
   async show() {
     this.modal.classList.remove('hidden');
     this.isOpen = true;
+    this.currentTab = 'global';
+    this.modal.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === 'global');
+    });
+    this.modal.querySelector('.difficulty-tabs').classList.remove('hidden');
 
     
     try {
@@ -162,7 +287,7 @@ export class ScoreboardUI {
 
     try {
       
-      const scores = await this.firebaseService.getLeaderboard(10);
+      const scores = await this.firebaseService.getLeaderboard(10, this.difficulty, this.mode);
 
       console.log(`✅ Loaded ${scores ? scores.length : 0} scores`);
 
@@ -234,7 +359,8 @@ export class ScoreboardUI {
       
       const allScores = JSON.parse(localStorage.getItem('dhivehi_type_scores') || '[]');
       const userScores = allScores
-        .filter(s => s.username === currentUsername)
+        .filter(s => s.username === currentUsername && (s.mode || DEFAULT_MODE) === this.mode)
+        .filter(s => hasOwnLeaderboard(this.mode) || (s.difficulty || DEFAULT_DIFFICULTY) === this.difficulty)
         .sort((a, b) => b.score - a.score)
         .slice(0, 5);
 
@@ -276,7 +402,7 @@ export class ScoreboardUI {
 
       
       if (userScores.length > 0) {
-        html += '<h3 style="margin-top: 20px; color: #7ba8d1; text-align: center; font-family: \'Orbitron\', Arial, sans-serif;">Your Top 5 Scores</h3>';
+        html += `<h3 style="margin-top: 20px; color: #7ba8d1; text-align: center; font-family: \'Orbitron\', Arial, sans-serif;">Your Top 5 Scores (${this.getBoardLabel()})</h3>`;
         html += this.renderScoresList(userScores, false);
       } else if (!stats) {
         html = '<div class="no-scores">No data yet. Start playing!</div>';
@@ -329,7 +455,7 @@ export class ScoreboardUI {
         ${showRank ? `<div class="col-rank">${rankEmoji} ${rank}</div>` : ''}
         <div class="col-player">${this.escapeHtml(score.username)}</div>
         <div class="col-score">${score.score.toLocaleString()}</div>
-        <div class="col-wave">${score.wave || '-'}</div>
+        <div class="col-wave">${score.wave || '-'}${score.difficultyLevel ? ` <span class="score-level">×${score.difficultyLevel.toFixed(2)}</span>` : ''}</div>
         <div class="col-wpm">${score.wpm || '-'}</div>
         <div class="col-acc">${score.accuracy || '-'}%</div>
         ${showRank ? `<div class="col-games">${score.gamesPlayed || 1}</div>` : ''}
@@ -337,6 +463,140 @@ export class ScoreboardUI {
     `;
   }
 
+  /**
+   * Show the heatmap of every letter and fili, from keystrokes saved on this device
+   */
+  loadLetterStats() {
+    const listDiv = document.getElementById('scoreboard-list');
+    if (!listDiv) return;
+
+    const stats = this.letterStats.getStats();
+    if (Object.keys(stats).length === 0) {
+      listDiv.innerHTML = '<div class="no-scores">No keystrokes yet. Start playing!</div>';
+      return;
+    }
+
+    const confusions = this.letterStats.getTopConfusions(5);
+
+    listDiv.innerHTML = `
+      <div class="heatmap-metrics">
+        ${Object.entries(HEATMAP_SCALES).map(([metric, scale]) => `
+          <button class="difficulty-tab-btn ${metric === this.heatmapMetric ? 'active' : ''}" data-metric="${metric}">
+            ${scale.label}
+          </button>
+        `).join('')}
+      </div>
+
+      <h3 class="heatmap-title">Letters</h3>
+      <div class="letter-heatmap">
+        ${THAANA_LETTERS.map(char => this.renderHeatmapCell(char, char, stats[char])).join('')}
+      </div>
+
+      <h3 class="heatmap-title">Fili</h3>
+      <div class="letter-heatmap">
+        ${THAANA_FILI.map(char => this.renderHeatmapCell(char, '\u25cc' + char, stats[char])).join('')}
+      </div>
+
+      ${confusions.length > 0 ? `
+        <h3 class="heatmap-title">Most Confused</h3>
+        <div class="confusion-list">
+          ${confusions.map(({ expected, typed, count }) => `
+            <div class="confusion-row">
+              <span class="confusion-chars">${this.escapeHtml(expected)} → ${this.escapeHtml(typed)}</span>
+              <span class="confusion-count">${count}×</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Show the gallery of badges, earned and still to earn
+   */
+  loadAchievements() {
+    const listDiv = document.getElementById('scoreboard-list');
+    if (!listDiv) return;
+
+    const achievements = this.achievements.getAchievements();
+    const earned = achievements.filter(achievement => achievement.unlockedAt !== null).length;
+
+    listDiv.innerHTML = `
+      <h3 class="heatmap-title">${earned} of ${achievements.length} badges earned</h3>
+      <div class="badge-gallery">
+        ${achievements.map(achievement => this.renderBadge(achievement)).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render one badge, with its unlock date or the progress towards it
+   * @param {Object} achievement - Achievement from AchievementService.getAchievements()
+   * @returns {string} Badge HTML
+   */
+  renderBadge(achievement) {
+    const { icon, title, description, goal, progress, unlockedAt } = achievement;
+
+    let status;
+    if (unlockedAt !== null) {
+      status = `<span class="badge-status">${new Date(unlockedAt).toLocaleDateString()}</span>`;
+    } else if (goal > 1) {
+      status = `
+        <div class="badge-progress"><div class="badge-progress-fill" style="width: ${Math.round((progress / goal) * 100)}%"></div></div>
+        <span class="badge-status">${progress} / ${goal}</span>
+      `;
+    } else {
+      status = '<span class="badge-status">Locked</span>';
+    }
+
+    return `
+      <div class="badge ${unlockedAt !== null ? 'unlocked' : 'locked'}">
+        <span class="badge-icon">${icon}</span>
+        <span class="badge-title">${title}</span>
+        <span class="badge-description">${description}</span>
+        ${status}
+      </div>
+    `;
+  }
+
+  /**
+   * Render one heatmap cell, coloured by the chosen metric
+   * @param {string} char - Letter or fili
+   * @param {string} display - Text to show (fili are drawn on a dotted circle)
+   * @param {Object} entry - The character's totals (undefined if never typed)
+   * @returns {string} Cell HTML
+   */
+  renderHeatmapCell(char, display, entry) {
+    if (!entry || entry.attempts === 0) {
+      return `<div class="heatmap-cell empty" title="No attempts yet"><span class="heatmap-char">${display}</span></div>`;
+    }
+
+    const { attempts, errorRate, latency } = this.letterStats.summarise(entry);
+    const errorText = `${Math.round(errorRate * 100)}%`;
+    const latencyText = latency === null ? '-' : `${Math.round(latency * 1000)}ms`;
+
+    let severity = null;
+    if (this.heatmapMetric === 'errors') {
+      severity = errorRate / HEATMAP_SCALES.errors.worst;
+    } else if (latency !== null) {
+      const { best, worst } = HEATMAP_SCALES.latency;
+      severity = (latency - best) / (worst - best);
+    }
+
+    // Green for good through yellow to red for bad
+    const background = severity === null
+      ? ''
+      : `background: hsla(${Math.round(120 * (1 - Math.min(1, Math.max(0, severity))))}, 70%, 40%, 0.6);`;
+
+    return `
+      <div class="heatmap-cell" style="${background}" title="${attempts} attempts, ${errorText} errors, ${latencyText} average">
+        <span class="heatmap-char">${display}</span>
+        <span class="heatmap-value">${this.heatmapMetric === 'errors' ? errorText : latencyText}</span>
+        <span class="heatmap-attempts">${attempts}</span>
+      </div>
+    `;
+  }
+
   /**
    * Escape HTML to prevent XSS
    */
@@ -0,0 +1,75 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so a run can be reproduced
+ */
+export class Random {
+  /**
+   * @param {number} seed - 32-bit unsigned seed
+   */
+  constructor(seed = Random.createSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Create a fresh, unpredictable seed
+   * @returns {number} 32-bit unsigned seed
+   */
+  static createSeed() {
+    return (Math.floor(Math.random() * 0x100000000) ^ Date.now()) >>> 0;
+  }
+
+  /**
+   * Get the next float in [0, 1)
+   * @returns {number} Random float
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Get a random float in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Random float
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get a random integer in [0, max)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} Random integer
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Pick a random element from an array
+   * @param {Array} list - Array to pick from
+   * @returns {*} Random element
+   */
+  pick(list) {
+    return list[this.int(list.length)];
+  }
+
+  /**
+   * Create an independent generator derived from the current state
+   * Does not advance this generator, so forking never changes its sequence
+   * @param {string} label - Name of the derived stream
+   * @returns {Random} New generator
+   */
+  fork(label = '') {
+    let hash = this.state ^ 0x9e3779b9;
+    for (let i = 0; i < label.length; i++) {
+      hash = Math.imul(hash ^ label.charCodeAt(i), 0x01000193);
+    }
+    return new Random(hash >>> 0);
+  }
+}
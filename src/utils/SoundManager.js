@@ -9,6 +9,7 @@ export class SoundManager {
   constructor() {
     this.sounds = {};
     this.loaded = false;
+    this.muted = false;
     this.volume = 0.5; 
     this.backgroundVolume = 0.3; 
   }
@@ -48,7 +49,7 @@ export class SoundManager {
    * Play shotgun sound (correct typing)
    */
   playShotgun() {
-    if (!this.loaded || !this.sounds.shotgun) return;
+    if (!this.loaded || this.muted || !this.sounds.shotgun) return;
 
     try {
       
@@ -64,7 +65,7 @@ export class SoundManager {
    * Play empty sound (incorrect typing)
    */
   playEmpty() {
-    if (!this.loaded || !this.sounds.empty) return;
+    if (!this.loaded || this.muted || !this.sounds.empty) return;
 
     try {
       
@@ -91,6 +92,15 @@ export class SoundManager {
     }
   }
 
+  /**
+   * Pause background music (keeps position so it can resume)
+   */
+  pauseBackground() {
+    if (this.sounds.background) {
+      this.sounds.background.pause();
+    }
+  }
+
   /**
    * Stop background music
    */
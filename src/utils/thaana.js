@@ -14,6 +14,27 @@ export function isThaana(char) {
   return code >= 0x0780 && code <= 0x07bf;
 }
 
+/**
+ * The Thaana letters (U+0780 to U+07A5), in alphabet order
+ */
+export const THAANA_LETTERS = Array.from({ length: 0x07a6 - 0x0780 }, (_, i) => String.fromCharCode(0x0780 + i));
+
+/**
+ * The fili - vowel signs and sukun (U+07A6 to U+07B0)
+ */
+export const THAANA_FILI = Array.from({ length: 0x07b1 - 0x07a6 }, (_, i) => String.fromCharCode(0x07a6 + i));
+
+/**
+ * Check if a character is a fili (a vowel sign or sukun)
+ * @param {string} char - Character to check
+ * @returns {boolean} True if character is a fili
+ */
+export function isFili(char) {
+  if (!char || char.length === 0) return false;
+  const code = char.charCodeAt(0);
+  return code >= 0x07a6 && code <= 0x07b0;
+}
+
 /**
  * Check if a string contains only Thaana characters
  * @param {string} str - String to check
@@ -54,6 +75,34 @@ export function normalizeThaana(str) {
   return str.trim().normalize('NFC');
 }
 
+/**
+ * Get the first letter of a word
+ * This is what the first keystroke types, so words on screen that share it can't be
+ * told apart when locking on
+ * @param {string} str - Word
+ * @returns {string} First letter ('' for an empty word)
+ */
+export function getFirstLetter(str) {
+  return Array.from(normalizeThaana(str))[0] || '';
+}
+
+/**
+ * Split a word into syllables - each letter with the fili (vowel signs or sukun) after it
+ * @param {string} str - Word
+ * @returns {string[]} Syllables
+ */
+export function splitSyllables(str) {
+  const syllables = [];
+  for (const char of normalizeThaana(str)) {
+    if (isFili(char) && syllables.length > 0) {
+      syllables[syllables.length - 1] += char;
+    } else {
+      syllables.push(char);
+    }
+  }
+  return syllables;
+}
+
 /**
  * Check if two Thaana strings match (case-insensitive, normalized)
  * @param {string} str1 - First string
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveDifficulty } from '../src/core/AdaptiveDifficulty.js';
+
+/**
+ * Play a stretch of keystrokes into the rolling window and update every second
+ * @param {AdaptiveDifficulty} adaptive - Difficulty being driven
+ * @param {Object} options - seconds to play, keystrokes per second, share of them correct
+ *   and share of enemies stopped
+ */
+function play(adaptive, { seconds, keysPerSecond, accuracy = 1, stopRate = 1 }) {
+  for (let second = 0; second < seconds; second++) {
+    for (let key = 0; key < keysPerSecond; key++) {
+      const time = second + key / keysPerSecond;
+      adaptive.keystrokes.push({ time, correct: key / keysPerSecond < accuracy });
+    }
+    adaptive.outcomes.push({ time: second, stopped: (second % 10) / 10 < stopRate });
+    adaptive.update(second + 1);
+  }
+}
+
+test('no adjustment until enough keystrokes are in the window', () => {
+  const adaptive = new AdaptiveDifficulty();
+  play(adaptive, { seconds: 4, keysPerSecond: 2 });
+
+  assert.equal(adaptive.level, 1);
+});
+
+test('flawless fast typing climbs to the top level and no further', () => {
+  const adaptive = new AdaptiveDifficulty();
+  play(adaptive, { seconds: 600, keysPerSecond: 15 });
+
+  assert.equal(adaptive.level, adaptive.maxLevel);
+  assert.equal(adaptive.peakLevel, adaptive.maxLevel);
+});
+
+test('struggling drops to the bottom level and no further', () => {
+  const adaptive = new AdaptiveDifficulty();
+  play(adaptive, { seconds: 600, keysPerSecond: 4, accuracy: 0.3, stopRate: 0.3 });
+
+  assert.equal(adaptive.level, adaptive.minLevel);
+  assert.equal(adaptive.peakLevel, 1);
+});
+
+test('the level never climbs past what the typing speed keeps up with', () => {
+  const adaptive = new AdaptiveDifficulty();
+  // 5 keystrokes a second is 60 WPM, enough to hold level 2
+  play(adaptive, { seconds: 600, keysPerSecond: 5 });
+
+  const { wpm } = adaptive.getRollingStats();
+  assert.equal(Math.round(wpm), 60);
+  assert.equal(adaptive.level, 2);
+});
+
+test('the level scales speed, spawn rate and word length', () => {
+  const adaptive = new AdaptiveDifficulty();
+  adaptive.level = 2;
+
+  const settings = adaptive.apply({ spawnInterval: 3, speed: 30, wordList: 5, minLength: 2, maxLength: 6, boss: null });
+
+  assert.equal(settings.spawnInterval, 1.5);
+  assert.equal(settings.speed, 60);
+  assert.equal(settings.wordList, 8);
+  assert.equal(settings.maxLength, 9);
+
+  adaptive.level = adaptive.minLevel;
+  const easier = adaptive.apply({ spawnInterval: 3, speed: 30, wordList: 1, minLength: 2, maxLength: 3, boss: null });
+  assert.equal(easier.wordList, 0);
+  assert.equal(easier.maxLength, 2);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Combo } from '../src/core/Combo.js';
+import { EventEmitter } from '../src/core/EventEmitter.js';
+
+/**
+ * A combo following a bare event emitter in place of a game core
+ */
+function createCombo() {
+  const core = new EventEmitter();
+  const combo = new Combo();
+  combo.attach(core);
+  return { core, combo };
+}
+
+function kill(core, times) {
+  for (let i = 0; i < times; i++) core.emit('enemyDestroyed');
+}
+
+test('every 5 kills in a row step the multiplier up, to at most ×4', () => {
+  const { core, combo } = createCombo();
+  const steps = [];
+  core.on('combo', ({ multiplier, raised }) => {
+    if (raised) steps.push(multiplier);
+  });
+
+  kill(core, 4);
+  assert.equal(combo.multiplier, 1);
+  kill(core, 1);
+  assert.equal(combo.multiplier, 2);
+  kill(core, 20);
+
+  assert.deepEqual(steps, [2, 3, 4]);
+  assert.equal(combo.multiplier, 4);
+  assert.equal(combo.streak, 25);
+});
+
+test('a wrong key drops the multiplier back to ×1', () => {
+  const { core, combo } = createCombo();
+  let broken = false;
+  core.on('combo', (event) => {
+    broken = event.broken;
+  });
+
+  kill(core, 12);
+  core.emit('keystroke', { correct: true });
+  assert.equal(combo.multiplier, 3);
+
+  core.emit('keystroke', { correct: false });
+  assert.equal(combo.streak, 0);
+  assert.equal(combo.multiplier, 1);
+  assert.equal(combo.bestStreak, 12);
+  assert.equal(combo.maxMultiplierReached, 3);
+  assert.equal(broken, true);
+});
+
+test('losing a life or letting an enemy through breaks the streak too', () => {
+  const { core, combo } = createCombo();
+
+  kill(core, 5);
+  core.emit('damage');
+  assert.equal(combo.multiplier, 1);
+
+  kill(core, 5);
+  core.emit('enemyRecycled');
+  assert.equal(combo.multiplier, 1);
+});
+
+test('the multiplier applies to typed words and the extra points are counted', () => {
+  const { core, combo } = createCombo();
+
+  assert.equal(combo.apply(10), 10);
+  kill(core, 10);
+  assert.equal(combo.apply(10), 30);
+  assert.equal(combo.bonus, 20);
+  assert.deepEqual(combo.getWaveStats(), { bestStreak: 10, bonus: 20 });
+
+  core.emit('waveStart');
+  assert.deepEqual(combo.getWaveStats(), { bestStreak: 10, bonus: 0 });
+
+  core.emit('reset');
+  assert.equal(combo.streak, 0);
+  assert.equal(combo.bonus, 0);
+});
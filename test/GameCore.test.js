@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore } from '../src/core/GameCore.js';
+import { Boss } from '../src/core/Boss.js';
+import { playRun, waveConfig, TIMESTEP } from './support/bot.js';
+
+/**
+ * Collect the words of every enemy a core spawns in its first steps
+ * @param {GameCore} core - Core at the start of a run
+ * @param {number} ticks - Simulation steps to run
+ * @returns {string[]} Spawned words in order
+ */
+function spawnedWords(core, ticks) {
+  const words = [];
+  core.on('spawn', ({ enemy }) => words.push(enemy.word));
+  for (let tick = 0; tick < ticks; tick++) {
+    core.step(TIMESTEP);
+  }
+  return words;
+}
+
+test('the same seed spawns the same words', () => {
+  const first = spawnedWords(new GameCore({ seed: 2024, waves: waveConfig }), 60 * 20);
+  const second = spawnedWords(new GameCore({ seed: 2024, waves: waveConfig }), 60 * 20);
+
+  assert.ok(first.length > 0);
+  assert.deepEqual(first, second);
+});
+
+test('different seeds spawn different words', () => {
+  assert.notDeepEqual(
+    spawnedWords(new GameCore({ seed: 1, waves: waveConfig }), 60 * 20),
+    spawnedWords(new GameCore({ seed: 2, waves: waveConfig }), 60 * 20)
+  );
+});
+
+test('the same seed and inputs give the same run', () => {
+  const first = playRun({ seed: 77, ticks: 60 * 120 });
+  const second = playRun({ seed: 77, ticks: 60 * 120 });
+
+  assert.deepEqual(first.core.getResult(), second.core.getResult());
+  assert.equal(first.core.tick, second.core.tick);
+  assert.deepEqual(
+    first.core.enemies.map(enemy => [enemy.word, enemy.x, enemy.y]),
+    second.core.enemies.map(enemy => [enemy.word, enemy.x, enemy.y])
+  );
+});
+
+test('reset replays a seed from the start', () => {
+  const core = new GameCore({ seed: 5, waves: waveConfig });
+  const first = [...spawnedWords(core, 60 * 10)];
+
+  core.reset(5);
+  const afterReset = [];
+  core.on('spawn', ({ enemy }) => afterReset.push(enemy.word));
+  for (let tick = 0; tick < 60 * 10; tick++) {
+    core.step(TIMESTEP);
+  }
+
+  assert.deepEqual(afterReset, first);
+});
+
+test('clearing waves moves on to the next wave in order', () => {
+  const starts = [];
+  const clears = [];
+  const core = new GameCore({ seed: 3, waves: waveConfig });
+  core.on('waveStart', ({ wave }) => starts.push(wave));
+  core.on('waveClear', ({ stats }) => clears.push(stats.wave));
+
+  // Type every enemy's word as soon as it spawns, so each wave is cleared without damage
+  for (let tick = 0; tick < 60 * 180; tick++) {
+    for (const enemy of core.enemies.filter(enemy => !enemy.dying)) {
+      core.clearInput();
+      core.typeInput(enemy.word);
+    }
+    core.step(TIMESTEP);
+  }
+
+  assert.equal(core.gameOver, false);
+  assert.ok(clears.length >= 3, `cleared ${clears.length} waves`);
+  assert.deepEqual(clears, clears.map((_, i) => i + 1));
+  assert.deepEqual(starts, clears.slice(0, starts.length).map(wave => wave + 1));
+  assert.equal(core.totalStats.totalWavesCompleted, clears.length);
+  assert.ok(core.score > 0);
+});
+
+test('later waves come with more enemies', () => {
+  const core = new GameCore({ seed: 3, waves: waveConfig });
+  const counts = [1, 5, 10].map(wave => core.wavePlan.getWave(wave).count);
+
+  assert.ok(counts[0] < counts[1] && counts[1] < counts[2], `enemy counts ${counts}`);
+});
+
+test('a run without typing ends in game over', () => {
+  const { core, replay } = playRun({ seed: 9, ticks: 60 * 600, typeEvery: 0 });
+
+  assert.equal(core.gameOver, true);
+  assert.ok(replay.ticks < 60 * 600, 'the run ended by itself');
+  assert.equal(core.player.getLives(), 0);
+  assert.equal(replay.result.score, 0);
+  assert.equal(replay.result.accuracy, 100, 'nothing typed, so nothing typed wrong');
+});
+
+test('a boss word reports the word that was typed, not the next one', () => {
+  const core = new GameCore({ seed: 8, waves: waveConfig });
+  const boss = new Boss('ދިވެހި ބަހަކީ ރަނގަޅު', core.width / 2, 100, 10, core.player, core.rng);
+  core.enemies.push(boss);
+
+  const completed = [];
+  core.on('wordCompleted', ({ word, wordsLeft }) => completed.push([word, wordsLeft]));
+  core.typeInput('ދިވެހި');
+  core.typeInput('ބަހަކީ');
+
+  assert.deepEqual(completed, [['ދިވެހި', 2], ['ބަހަކީ', 1]]);
+  assert.equal(boss.word, 'ރަނގަޅު');
+});
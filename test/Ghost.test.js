@@ -0,0 +1,49 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ghost } from '../src/core/Ghost.js';
+import { REPLAY_VERSION } from '../src/core/Replay.js';
+import { GhostService } from '../src/services/GhostService.js';
+import { playRun } from './support/bot.js';
+
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+});
+
+test('a ghost keeps in step with its recorded run', () => {
+  const { replay } = playRun({ seed: 11, ticks: 3600 });
+  const ghost = new Ghost(replay);
+
+  for (const ticks of [600, 1800]) {
+    while (ghost.frame < ticks) ghost.step();
+    assert.equal(ghost.score, playRun({ seed: 11, ticks }).core.score, `score after ${ticks} steps`);
+  }
+
+  while (!ghost.isFinished()) ghost.step();
+  assert.equal(ghost.score, replay.result.score);
+});
+
+test('a beaten personal best becomes the ghost', () => {
+  const ghosts = new GhostService();
+  const first = playRun({ seed: 3, ticks: 1200 });
+  const better = playRun({ seed: 4, ticks: 2400 });
+
+  assert.ok(better.core.score > first.core.score);
+
+  assert.equal(ghosts.recordRun(first.replay, first.core.getResult()), true);
+  assert.equal(ghosts.recordRun(better.replay, better.core.getResult()), true);
+  assert.equal(ghosts.recordRun(first.replay, first.core.getResult()), false);
+  assert.deepEqual(ghosts.getBest('normal').replay, better.replay);
+});
+
+test('a ghost the game can no longer reproduce is dropped', () => {
+  const ghosts = new GhostService();
+  const { replay, core } = playRun({ seed: 5, ticks: 1200 });
+  ghosts.recordRun({ ...replay, version: REPLAY_VERSION - 1 }, core.getResult());
+
+  assert.equal(ghosts.getBest('normal'), null);
+  assert.deepEqual(ghosts.loadSaved(), {});
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryService, HISTORY_PERIODS } from '../src/services/HistoryService.js';
+
+const history = new HistoryService();
+
+function session(finishedAt, netWpm, correctedAccuracy, wave, mode = 'classic') {
+  return { finishedAt: finishedAt.getTime(), mode, result: { netWpm, correctedAccuracy, wave } };
+}
+
+test('sessions are averaged per day, with empty days in between', () => {
+  const now = new Date(2026, 2, 12, 18);
+  const buckets = history.aggregate([
+    session(new Date(2026, 2, 9, 8), 30, 90, 4),
+    session(new Date(2026, 2, 9, 23, 59), 40, 80, 6),
+    session(new Date(2026, 2, 12, 0, 0), 50, 100, 2, 'zen')
+  ], 'day', now);
+
+  assert.equal(buckets.length, HISTORY_PERIODS.day.buckets);
+  assert.deepEqual(buckets.slice(-4), [
+    { start: new Date(2026, 2, 9), label: 'Mar 9', games: 2, wpm: 35, accuracy: 85, bestWave: 6 },
+    { start: new Date(2026, 2, 10), label: 'Mar 10', games: 0, wpm: null, accuracy: null, bestWave: null },
+    { start: new Date(2026, 2, 11), label: 'Mar 11', games: 0, wpm: null, accuracy: null, bestWave: null },
+    { start: new Date(2026, 2, 12), label: 'Mar 12', games: 1, wpm: 50, accuracy: 100, bestWave: null }
+  ]);
+});
+
+test('weeks start on Monday and every week of the window is kept', () => {
+  // Sunday 15 March 2026 falls in the week starting Monday 9 March
+  const buckets = history.aggregate([
+    session(new Date(2026, 1, 16), 20, 70, 1),
+    session(new Date(2026, 2, 15, 22), 40, 90, 3),
+    session(new Date(2026, 2, 16, 1), 60, 95, 5)
+  ], 'week', new Date(2026, 2, 18));
+
+  assert.equal(buckets.length, HISTORY_PERIODS.week.buckets);
+  const starts = buckets.map(bucket => bucket.start.getTime());
+  assert.ok(buckets.every(bucket => bucket.start.getDay() === 1));
+  assert.ok(starts.every((start, index) => index === 0 || start > starts[index - 1]));
+
+  assert.deepEqual(buckets.slice(-6).map(bucket => [bucket.label, bucket.wpm]), [
+    ['Wk Feb 9', null],
+    ['Wk Feb 16', 20],
+    ['Wk Feb 23', null],
+    ['Wk Mar 2', null],
+    ['Wk Mar 9', 40],
+    ['Wk Mar 16', 60]
+  ]);
+});
+
+test('months cover the last year and leave older sessions out', () => {
+  const buckets = history.aggregate([
+    session(new Date(2025, 0, 20), 10, 50, 1),
+    session(new Date(2025, 5, 1), 20, 60, 2),
+    session(new Date(2025, 5, 30), 30, 70, 3)
+  ], 'month', new Date(2026, 0, 5));
+
+  assert.equal(buckets.length, HISTORY_PERIODS.month.buckets);
+  assert.equal(buckets[0].label, 'Feb 2025');
+  assert.equal(buckets.at(-1).label, 'Jan 2026');
+  assert.equal(buckets.reduce((games, bucket) => games + bucket.games, 0), 2);
+  assert.deepEqual(buckets.find(bucket => bucket.label === 'Jun 2025'),
+    { start: new Date(2025, 5, 1), label: 'Jun 2025', games: 2, wpm: 25, accuracy: 65, bestWave: 3 });
+});
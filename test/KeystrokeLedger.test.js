@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeystrokeLedger } from '../src/core/KeystrokeLedger.js';
+
+/**
+ * File the same kind of key event several times
+ * @param {KeystrokeLedger} ledger - Ledger
+ * @param {string} kind - Kind of key event
+ * @param {number} count - Number of events
+ */
+function recordMany(ledger, kind, count) {
+  for (let i = 0; i < count; i++) {
+    ledger.record(kind);
+  }
+}
+
+test('WPM and accuracy come from the counts and the clock', () => {
+  const ledger = new KeystrokeLedger();
+  recordMany(ledger, 'correct', 90);
+  recordMany(ledger, 'wrong', 10);
+  recordMany(ledger, 'correction', 20);
+  recordMany(ledger, 'ignored', 3);
+  ledger.addTime(60);
+
+  assert.deepEqual(ledger.getStatistics(), {
+    correct: 90,
+    wrong: 10,
+    corrections: 20,
+    ignored: 3,
+    activeTime: 60,
+    grossWpm: 20, // 100 characters = 20 words in a minute
+    netWpm: 10, // less one word per wrong character per minute
+    rawAccuracy: 90,
+    correctedAccuracy: 75 // 90 of 120 keystrokes
+  });
+});
+
+test('an empty ledger reads as no speed and full accuracy', () => {
+  const stats = new KeystrokeLedger().getStatistics();
+
+  assert.equal(stats.grossWpm, 0);
+  assert.equal(stats.netWpm, 0);
+  assert.equal(stats.rawAccuracy, 100);
+  assert.equal(stats.correctedAccuracy, 100);
+});
+
+test('wave statistics count from the start of the wave', () => {
+  const ledger = new KeystrokeLedger();
+  recordMany(ledger, 'correct', 50);
+  ledger.addTime(30);
+
+  ledger.startWave();
+  recordMany(ledger, 'correct', 10);
+  recordMany(ledger, 'wrong', 10);
+  ledger.addTime(12);
+
+  const wave = ledger.getWaveStatistics();
+  assert.equal(wave.correct, 10);
+  assert.equal(wave.wrong, 10);
+  assert.equal(wave.activeTime, 12);
+  assert.equal(wave.rawAccuracy, 50);
+  assert.equal(ledger.getStatistics().correct, 60);
+});
+
+test('reset starts a new run', () => {
+  const ledger = new KeystrokeLedger();
+  recordMany(ledger, 'wrong', 5);
+  ledger.addTime(10);
+  ledger.reset();
+
+  assert.deepEqual(ledger.getStatistics(), new KeystrokeLedger().getStatistics());
+});
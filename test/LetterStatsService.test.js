@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LetterStatsService } from '../src/services/LetterStatsService.js';
+
+test('merging letter stats adds up every count and mix-up', () => {
+  const stats = new LetterStatsService();
+  const saved = {
+    'ށ': { attempts: 10, errors: 2, latencyTotal: 3, latencyCount: 6, confusions: { 'ޝ': 2 } },
+    'ވ': { attempts: 4, errors: 0, latencyTotal: 1, latencyCount: 2, confusions: {} }
+  };
+  const pending = {
+    'ށ': { attempts: 5, errors: 3, latencyTotal: 2, latencyCount: 4, confusions: { 'ޝ': 1, 'ސ': 2 } },
+    'ި': { attempts: 1, errors: 1, latencyTotal: 0, latencyCount: 0, confusions: { 'ީ': 1 } }
+  };
+
+  assert.deepEqual(stats.merge(saved, pending), {
+    'ށ': { attempts: 15, errors: 5, latencyTotal: 5, latencyCount: 10, confusions: { 'ޝ': 3, 'ސ': 2 } },
+    'ވ': { attempts: 4, errors: 0, latencyTotal: 1, latencyCount: 2, confusions: {} },
+    'ި': { attempts: 1, errors: 1, latencyTotal: 0, latencyCount: 0, confusions: { 'ީ': 1 } }
+  });
+});
+
+test('merging leaves both sets of totals as they were', () => {
+  const stats = new LetterStatsService();
+  const saved = { 'ށ': { attempts: 1, errors: 1, latencyTotal: 0, latencyCount: 0, confusions: { 'ޝ': 1 } } };
+  const copy = structuredClone(saved);
+
+  stats.merge(saved, saved);
+  assert.deepEqual(saved, copy);
+  assert.deepEqual(stats.merge({}, {}), {});
+});
+
+test('recorded keystrokes are merged into per-letter totals', () => {
+  const stats = new LetterStatsService();
+  stats.record({ correct: true, expected: 'ށ', typed: 'ށ' }, 1);
+  stats.record({ correct: false, expected: 'ަ', typed: 'ާ' }, 1.5);
+  stats.record({ correct: true, expected: 'ަ', typed: 'ަ' }, 5);
+
+  const merged = stats.merge({}, stats.pending);
+  assert.deepEqual(stats.summarise(merged['ަ']), { attempts: 2, errorRate: 0.5, latency: 0.5 });
+  assert.deepEqual(merged['ަ'].confusions, { 'ާ': 1 });
+});
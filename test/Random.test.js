@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Random } from '../src/utils/Random.js';
+
+/**
+ * Draw the next values from a generator
+ * @param {Random} rng - Generator
+ * @param {number} count - Number of values
+ * @returns {number[]} Values
+ */
+function draw(rng, count) {
+  return Array.from({ length: count }, () => rng.next());
+}
+
+test('the same seed always produces the same sequence', () => {
+  assert.deepEqual(draw(new Random(12345), 100), draw(new Random(12345), 100));
+});
+
+test('a seed produces a fixed, known sequence', () => {
+  const rng = new Random(1);
+  assert.deepEqual([rng.int(1000), rng.int(1000), rng.int(1000), rng.int(1000)], [627, 2, 527, 981]);
+});
+
+test('different seeds produce different sequences', () => {
+  assert.notDeepEqual(draw(new Random(1), 10), draw(new Random(2), 10));
+});
+
+test('seeds are kept as 32-bit unsigned integers', () => {
+  assert.equal(new Random(-1).seed, 0xffffffff);
+  assert.deepEqual(draw(new Random(-1), 10), draw(new Random(0xffffffff), 10));
+});
+
+test('range, int and pick stay within their bounds', () => {
+  const rng = new Random(99);
+  const list = ['a', 'b', 'c'];
+  for (let i = 0; i < 1000; i++) {
+    const value = rng.range(5, 10);
+    assert.ok(value >= 5 && value < 10);
+
+    const int = rng.int(7);
+    assert.ok(Number.isInteger(int) && int >= 0 && int < 7);
+
+    assert.ok(list.includes(rng.pick(list)));
+  }
+});
+
+test('forking does not advance the parent generator', () => {
+  const forked = new Random(42);
+  forked.fork('fx');
+  forked.fork('spawns');
+
+  assert.deepEqual(draw(forked, 50), draw(new Random(42), 50));
+});
+
+test('forks are reproducible', () => {
+  assert.deepEqual(draw(new Random(42).fork('fx'), 50), draw(new Random(42).fork('fx'), 50));
+});
+
+test('forks with different labels give independent streams', () => {
+  const parent = new Random(42);
+  const fx = draw(parent.fork('fx'), 50);
+  const spawns = draw(parent.fork('spawns'), 50);
+
+  assert.notDeepEqual(fx, spawns);
+  assert.notDeepEqual(fx, draw(new Random(42), 50));
+});
+
+test('drawing from a fork leaves the parent and its other forks unchanged', () => {
+  const parent = new Random(42);
+  draw(parent.fork('fx'), 1000);
+
+  assert.deepEqual(draw(parent.fork('spawns'), 50), draw(new Random(42).fork('spawns'), 50));
+  assert.deepEqual(draw(parent, 50), draw(new Random(42), 50));
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  simulateReplay, serializeReplay, parseReplay, REPLAY_VERSION
+} from '../src/core/Replay.js';
+import { playRun } from './support/bot.js';
+
+test('simulating a recorded run reproduces its result', () => {
+  for (const seed of [1, 2, 3]) {
+    const { replay } = playRun({ seed, ticks: 60 * 180 });
+
+    assert.ok(replay.events.length > 0);
+    assert.ok(replay.result.score > 0);
+    assert.deepEqual(simulateReplay(replay), replay.result);
+  }
+});
+
+test('a run that ended in game over is reproduced too', () => {
+  const { replay } = playRun({ seed: 4, ticks: 60 * 600, typeEvery: 40 });
+
+  assert.ok(replay.ticks < 60 * 600, 'the run ended by itself');
+  assert.deepEqual(simulateReplay(replay), replay.result);
+});
+
+test('a replay survives being saved and loaded', () => {
+  const { replay } = playRun({ seed: 11, ticks: 60 * 60 });
+  const loaded = parseReplay(serializeReplay(replay));
+
+  assert.deepEqual(loaded, replay);
+  assert.deepEqual(simulateReplay(loaded), replay.result);
+});
+
+test('changing the inputs changes the simulated result', () => {
+  const { replay } = playRun({ seed: 12, ticks: 60 * 120 });
+  const tampered = { ...replay, events: replay.events.slice(0, replay.events.length / 2) };
+
+  assert.notDeepEqual(simulateReplay(tampered), replay.result);
+});
+
+test('replays from other versions are rejected', () => {
+  const { replay } = playRun({ seed: 13, ticks: 60 });
+
+  for (let version = 1; version < REPLAY_VERSION; version++) {
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, version })), /recorded before the .+ update/);
+  }
+  assert.throws(() => parseReplay(serializeReplay({ ...replay, version: REPLAY_VERSION + 1 })), /Unsupported replay version/);
+});
+
+test('broken replay files are rejected', () => {
+  const { replay } = playRun({ seed: 14, ticks: 60 });
+
+  assert.throws(() => parseReplay('{'), /not valid JSON/);
+  assert.throws(() => parseReplay(serializeReplay({ ...replay, seed: 'abc' })), /seed/);
+  assert.throws(() => parseReplay(serializeReplay({ ...replay, ticks: -1 })), /step count/);
+  assert.throws(() => parseReplay(serializeReplay({ ...replay, events: [{ type: 'input' }] })), /events/);
+});
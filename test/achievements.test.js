@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAchievementRecords, mergeAchievements } from '../src/core/achievements.js';
+
+test('merging achievements keeps the best of each record and every badge', () => {
+  const here = {
+    records: { ...createAchievementRecords(), shipsDestroyed: 120, bestWave: 4, bestMultiplier: 3 },
+    unlocked: { first_blood: 2000, wave_5: 5000 }
+  };
+  const there = {
+    records: { shipsDestroyed: 80, bestWave: 9, longestWord: 7 },
+    unlocked: { first_blood: 1000, combo_5: 3000 }
+  };
+
+  const { records, unlocked } = mergeAchievements(here, there);
+
+  assert.equal(records.shipsDestroyed, 120);
+  assert.equal(records.bestWave, 9);
+  assert.equal(records.longestWord, 7);
+  assert.equal(records.bestMultiplier, 3);
+  assert.deepEqual(unlocked, { first_blood: 1000, wave_5: 5000, combo_5: 3000 });
+});
+
+test('merging achievements follows the run of days of the copy played last', () => {
+  const here = { records: { lastPlayedDay: '2026-10-18', currentStreak: 5, dayStreak: 5 }, unlocked: {} };
+  const there = { records: { lastPlayedDay: '2026-10-19', currentStreak: 1, dayStreak: 3 }, unlocked: {} };
+
+  const { records } = mergeAchievements(here, there);
+
+  assert.equal(records.lastPlayedDay, '2026-10-19');
+  assert.equal(records.currentStreak, 1);
+  assert.equal(records.dayStreak, 5);
+  assert.deepEqual(mergeAchievements(there, here).records, records);
+});
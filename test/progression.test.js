@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRunXp, getLevelInfo, getXpForLevel, XP_RULES } from '../src/core/progression.js';
+
+test('a run earns XP for its words, accuracy and waves', () => {
+  // 52 correct letters are 10 whole words; 90% accuracy is half of the bonus
+  assert.deepEqual(getRunXp({ correctInputs: 52, accuracy: 90, wave: 3 }), {
+    words: 100,
+    accuracy: 25,
+    waves: 75,
+    total: 200
+  });
+});
+
+test('no accuracy bonus below the floor, and the full bonus at 100%', () => {
+  assert.equal(getRunXp({ correctInputs: 50, accuracy: XP_RULES.accuracyFloor - 10, wave: 0 }).accuracy, 0);
+  assert.equal(getRunXp({ correctInputs: 50, accuracy: 100, wave: 0 }).accuracy, 50);
+  assert.equal(getRunXp({ correctInputs: 0, accuracy: 100 }).total, 0);
+});
+
+test('each level needs 250 XP more than the one before', () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map(getXpForLevel), [0, 250, 750, 1500, 2500]);
+});
+
+test('levels start at their XP threshold', () => {
+  assert.deepEqual(getLevelInfo(0), { level: 1, xp: 0, levelXp: 0, nextLevelXp: 250 });
+  assert.equal(getLevelInfo(249).level, 1);
+  assert.deepEqual(getLevelInfo(250), { level: 2, xp: 250, levelXp: 250, nextLevelXp: 750 });
+  assert.equal(getLevelInfo(1499).level, 3);
+  assert.equal(getLevelInfo(2500).level, 5);
+});
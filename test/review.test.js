@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReviewCard, scheduleReview, mergeReviewDecks } from '../src/core/review.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a remembered word is pushed further out each time', () => {
+  let card = createReviewCard('ދިވެހި', 0);
+  card = scheduleReview(card, 5, 0);
+  assert.equal(card.interval, 1);
+  card = scheduleReview(card, 5, DAY_MS);
+  assert.equal(card.interval, 6);
+  card = scheduleReview(card, 5, 7 * DAY_MS);
+  assert.ok(card.interval > 6);
+  assert.equal(card.due, 7 * DAY_MS + card.interval * DAY_MS);
+});
+
+test('a missed word comes back the next day', () => {
+  const card = scheduleReview(scheduleReview(createReviewCard('ރާއްޖެ', 0), 5, 0), 0, DAY_MS);
+
+  assert.equal(card.repetitions, 0);
+  assert.equal(card.interval, 1);
+  assert.equal(card.lapses, 1);
+});
+
+test('merging decks keeps the most recently reviewed card for each word', () => {
+  const older = scheduleReview(createReviewCard('ކުޑަ', 0), 1, 0);
+  const newer = scheduleReview(older, 5, DAY_MS);
+  const onlyHere = createReviewCard('ބޮޑު', 0);
+  const onlyThere = createReviewCard('މާލެ', 0);
+
+  const merged = mergeReviewDecks({ 'ކުޑަ': older, 'ބޮޑު': onlyHere }, { 'ކުޑަ': newer, 'މާލެ': onlyThere });
+  assert.deepEqual(merged, { 'ކުޑަ': newer, 'ބޮޑު': onlyHere, 'މާލެ': onlyThere });
+
+  assert.deepEqual(mergeReviewDecks({ 'ކުޑަ': newer }, { 'ކުޑަ': older }), { 'ކުޑަ': newer });
+});
@@ -0,0 +1,82 @@
+import { readFileSync } from 'node:fs';
+import { GameCore } from '../../src/core/GameCore.js';
+import { ReplayRecorder } from '../../src/core/Replay.js';
+
+/**
+ * Helpers for driving a GameCore in tests
+ */
+
+export const TIMESTEP = 1 / 60;
+
+/**
+ * The game's own wave definitions
+ */
+export const waveConfig = JSON.parse(readFileSync(new URL('../../src/data/waves.json', import.meta.url), 'utf8'));
+
+/**
+ * Play a run with a simple typing bot, recording it like the browser Game does
+ * Every few steps the bot types the next letter of the word it's locked on (or of the
+ * closest enemy), and now and then a wrong key, so runs score, clear waves and lose lives
+ * @param {Object} options - GameCore options, plus:
+ * @param {number} options.ticks - Most simulation steps to play
+ * @param {number} options.typeEvery - Steps between keystrokes (never types if 0)
+ * @returns {{core: GameCore, replay: Object}} Core at the end of the run and its replay
+ */
+export function playRun({ ticks, typeEvery = 6, ...options }) {
+  const core = new GameCore({ waves: waveConfig, ...options });
+  const recorder = new ReplayRecorder();
+  recorder.start(core.seed, {
+    width: core.width,
+    height: core.height,
+    waves: core.wavePlan.config
+  }, TIMESTEP);
+
+  let keystrokes = 0;
+  for (let tick = 0; tick < ticks && !core.gameOver; tick++) {
+    if (typeEvery > 0 && tick % typeEvery === 0) {
+      const value = getNextInput(core, keystrokes++);
+      if (value !== null) {
+        recorder.record(core.tick, core.gameTime, { type: 'input', value });
+        core.typeInput(value);
+      }
+    }
+    recorder.recordStep();
+    core.step(TIMESTEP);
+  }
+
+  core.endGame();
+  recorder.finish(core.getResult());
+  return { core, replay: recorder.getReplay() };
+}
+
+/**
+ * Work out the bot's next input
+ * @param {GameCore} core - Core being played
+ * @param {number} keystroke - Number of keystrokes typed so far
+ * @returns {string|null} Full input value, or null if there's nothing to type at
+ */
+function getNextInput(core, keystroke) {
+  const input = core.typing.currentInput;
+  if (keystroke % 50 === 49) return input + 'ޗ';
+
+  const target = core.getTargetedEnemy() || core.enemies
+    .filter(enemy => !enemy.dying)
+    .sort((a, b) => getDistance(core, a) - getDistance(core, b))[0];
+  if (!target) return null;
+
+  return target.word.startsWith(input)
+    ? target.word.slice(0, input.length + 1)
+    : target.word.slice(0, 1);
+}
+
+/**
+ * Distance from an enemy to the player's ship
+ * @param {GameCore} core - Core being played
+ * @param {Object} enemy - Enemy
+ * @returns {number} Distance in pixels
+ */
+function getDistance(core, enemy) {
+  const dx = enemy.x - core.player.x;
+  const dy = enemy.y - core.player.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
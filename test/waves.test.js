@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WavePlan, getWaveConfigErrors, validateWaveConfig } from '../src/core/waves.js';
+import { waveConfig } from './support/bot.js';
+
+test('the game\'s own wave definitions are valid', () => {
+  assert.deepEqual(getWaveConfigErrors(waveConfig), []);
+});
+
+test('every problem in a wave config is described', () => {
+  const errors = getWaveConfigErrors({
+    defaults: { count: 0, speed: -5, colour: 'red' },
+    waves: [
+      { from: 1, to: 5, wordLength: { min: 3, max: 2 } },
+      { from: 4, perWave: { words: 1 } }
+    ],
+    extra: true
+  });
+
+  assert.deepEqual(errors, [
+    'unknown key "extra"',
+    'defaults: unknown field "colour"',
+    'defaults.count must be a whole number above 0',
+    'defaults.speed must be a number above 0',
+    'waves[0].wordLength.max must be null or a whole number no smaller than min',
+    'waves[1].perWave: "words" can\'t grow per wave (only count, spawnInterval, speed, wordList)',
+    'waves[1] overlaps the range before it (ranges must be in order and not overlap)'
+  ]);
+});
+
+test('ranges need a start and an end no earlier than it', () => {
+  assert.deepEqual(getWaveConfigErrors({ waves: [{ from: 0, to: 1 }, { from: 3, to: 2 }] }), [
+    'waves[0].from must be a whole number of at least 1',
+    'waves[1].to must be a whole number no smaller than from'
+  ]);
+  assert.deepEqual(getWaveConfigErrors({ waves: {} }), ['waves must be an array']);
+  assert.deepEqual(getWaveConfigErrors([]), ['wave config must be an object']);
+});
+
+test('a wave plan refuses an invalid config', () => {
+  assert.throws(() => validateWaveConfig({ waves: [{ from: 1, speed: 0 }] }),
+    /Invalid wave config:\n- waves\[0\]\.speed must be a number above 0/);
+  assert.throws(() => new WavePlan({ defaults: { count: 1.5 } }), /defaults\.count/);
+});
+
+test('wave settings come from their range and grow per wave', () => {
+  const plan = new WavePlan({
+    defaults: { count: 5, speed: 20, perWave: { count: 1 } },
+    waves: [
+      { from: 1, to: 3, speed: 10 },
+      { from: 4, count: 20, perWave: { count: 2, speed: 5 } }
+    ]
+  });
+
+  assert.equal(plan.getWave(1).count, 5);
+  assert.equal(plan.getWave(3).count, 7);
+  assert.equal(plan.getWave(3).speed, 10);
+  assert.equal(plan.getWave(4).count, 20);
+  assert.equal(plan.getWave(6).count, 24);
+  // A value from the defaults grows from wave 1
+  assert.equal(plan.getWave(6).speed, 45);
+});